@@ -0,0 +1,80 @@
+/**
+ * Roles and Permissions
+ * What each role is allowed to do. Routes check permissions (see
+ * requirePermission in middleware/auth.js), never role names, so a role's
+ * abilities can change here without touching the routes.
+ *
+ * Event organizers can always edit the events they organize and see their
+ * registrations (see Event.isOrganizer); the permissions below are about
+ * every event at the user's institution.
+ */
+
+const PERMISSIONS = {
+  CREATE_EVENTS: 'events:create',
+  EDIT_EVENTS: 'events:edit',
+  DELETE_EVENTS: 'events:delete',
+  VIEW_REGISTRATIONS: 'events:registrations',
+  MANAGE_USERS: 'users:manage',
+  MANAGE_INSTITUTIONS: 'institutions:manage'
+};
+
+// Role -> permissions
+const ROLES = {
+  student: [],
+  'event-organizer': [
+    PERMISSIONS.CREATE_EVENTS
+  ],
+  'faculty-coordinator': [
+    PERMISSIONS.EDIT_EVENTS,
+    PERMISSIONS.VIEW_REGISTRATIONS
+  ],
+  admin: [
+    PERMISSIONS.CREATE_EVENTS,
+    PERMISSIONS.EDIT_EVENTS,
+    PERMISSIONS.DELETE_EVENTS,
+    PERMISSIONS.VIEW_REGISTRATIONS,
+    PERMISSIONS.MANAGE_USERS
+  ],
+  // Runs the whole deployment: every institution, not just their own
+  'super-admin': Object.values(PERMISSIONS)
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Get the permissions of a role
+ * @param {string} role
+ * @returns {string[]} Empty for unknown roles
+ */
+const getRolePermissions = (role) => ROLES[role] || [];
+
+/**
+ * Check if a user's role has a permission
+ * @param {Object} user - Anything with a role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  return !!user && getRolePermissions(user.role).includes(permission);
+};
+
+/**
+ * Check if a user may give someone a role
+ * Nobody can hand out a permission they don't have themselves.
+ * @param {Object} user - User granting the role
+ * @param {string} role - Role to grant
+ * @returns {boolean}
+ */
+const canGrantRole = (user, role) => {
+  return hasPermission(user, PERMISSIONS.MANAGE_USERS) &&
+    getRolePermissions(role).every(permission => hasPermission(user, permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getRolePermissions,
+  hasPermission,
+  canGrantRole
+};
@@ -0,0 +1,152 @@
+/**
+ * Skill Catalog
+ * The canonical list of skills students can pick from.
+ *
+ * Each skill has:
+ *   id       - canonical ID stored on users and used for search and matching
+ *   name     - how the skill is shown
+ *   category - one of SKILL_CATEGORIES
+ *   aliases  - other ways people write it (case, dots, dashes and spaces
+ *              are ignored when matching, so "React.js" and "react js" both
+ *              match the alias "reactjs")
+ *
+ * Skills not in the catalog are still allowed; they are kept as typed.
+ */
+
+// Proficiency levels a student can give a skill (lowest first)
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const SKILL_CATEGORIES = [
+  'Languages',
+  'Computer Science',
+  'Frontend',
+  'Backend',
+  'Mobile',
+  'Data & AI',
+  'Cloud & DevOps',
+  'Databases',
+  'Design',
+  'Security',
+  'Hardware',
+  'Blockchain',
+  'Game Development',
+  'Business & Soft Skills'
+];
+
+const SKILLS = [
+  // Languages
+  { id: 'javascript', name: 'JavaScript', category: 'Languages', aliases: ['js', 'ecmascript', 'es6'] },
+  { id: 'typescript', name: 'TypeScript', category: 'Languages', aliases: ['ts'] },
+  { id: 'python', name: 'Python', category: 'Languages', aliases: ['python3', 'py'] },
+  { id: 'java', name: 'Java', category: 'Languages', aliases: [] },
+  { id: 'c', name: 'C', category: 'Languages', aliases: ['c language', 'ansi c'] },
+  { id: 'cpp', name: 'C++', category: 'Languages', aliases: ['c++', 'cplusplus'] },
+  { id: 'csharp', name: 'C#', category: 'Languages', aliases: ['c#', 'c sharp'] },
+  { id: 'go', name: 'Go', category: 'Languages', aliases: ['golang'] },
+  { id: 'rust', name: 'Rust', category: 'Languages', aliases: ['rustlang'] },
+  { id: 'kotlin', name: 'Kotlin', category: 'Languages', aliases: [] },
+  { id: 'swift', name: 'Swift', category: 'Languages', aliases: [] },
+  { id: 'php', name: 'PHP', category: 'Languages', aliases: [] },
+  { id: 'ruby', name: 'Ruby', category: 'Languages', aliases: [] },
+  { id: 'r', name: 'R', category: 'Languages', aliases: ['r language', 'rlang'] },
+  { id: 'matlab', name: 'MATLAB', category: 'Languages', aliases: [] },
+  { id: 'dart', name: 'Dart', category: 'Languages', aliases: [] },
+
+  // Frontend
+  { id: 'html', name: 'HTML', category: 'Frontend', aliases: ['html5'] },
+  { id: 'css', name: 'CSS', category: 'Frontend', aliases: ['css3'] },
+  { id: 'react', name: 'React', category: 'Frontend', aliases: ['reactjs', 'react.js'] },
+  { id: 'angular', name: 'Angular', category: 'Frontend', aliases: ['angularjs', 'angular.js'] },
+  { id: 'vue', name: 'Vue.js', category: 'Frontend', aliases: ['vuejs', 'vue js'] },
+  { id: 'nextjs', name: 'Next.js', category: 'Frontend', aliases: ['next', 'next js'] },
+  { id: 'tailwind', name: 'Tailwind CSS', category: 'Frontend', aliases: ['tailwindcss'] },
+
+  // Backend
+  { id: 'nodejs', name: 'Node.js', category: 'Backend', aliases: ['node', 'node js'] },
+  { id: 'express', name: 'Express', category: 'Backend', aliases: ['expressjs', 'express.js'] },
+  { id: 'django', name: 'Django', category: 'Backend', aliases: [] },
+  { id: 'flask', name: 'Flask', category: 'Backend', aliases: [] },
+  { id: 'spring', name: 'Spring Boot', category: 'Backend', aliases: ['spring', 'springboot'] },
+  { id: 'rest-api', name: 'REST APIs', category: 'Backend', aliases: ['rest', 'rest api', 'restful'] },
+  { id: 'graphql', name: 'GraphQL', category: 'Backend', aliases: [] },
+
+  // Mobile
+  { id: 'android', name: 'Android', category: 'Mobile', aliases: ['android development'] },
+  { id: 'ios', name: 'iOS', category: 'Mobile', aliases: ['ios development'] },
+  { id: 'react-native', name: 'React Native', category: 'Mobile', aliases: ['reactnative', 'rn'] },
+  { id: 'flutter', name: 'Flutter', category: 'Mobile', aliases: [] },
+
+  // Data & AI
+  { id: 'machine-learning', name: 'Machine Learning', category: 'Data & AI', aliases: ['ml'] },
+  { id: 'deep-learning', name: 'Deep Learning', category: 'Data & AI', aliases: ['dl', 'neural networks'] },
+  { id: 'data-science', name: 'Data Science', category: 'Data & AI', aliases: [] },
+  { id: 'data-analysis', name: 'Data Analysis', category: 'Data & AI', aliases: ['data analytics', 'analytics'] },
+  { id: 'nlp', name: 'Natural Language Processing', category: 'Data & AI', aliases: ['natural language processing'] },
+  { id: 'computer-vision', name: 'Computer Vision', category: 'Data & AI', aliases: ['cv', 'opencv'] },
+  { id: 'tensorflow', name: 'TensorFlow', category: 'Data & AI', aliases: ['tf'] },
+  { id: 'pytorch', name: 'PyTorch', category: 'Data & AI', aliases: ['torch'] },
+  { id: 'pandas', name: 'Pandas', category: 'Data & AI', aliases: [] },
+  { id: 'generative-ai', name: 'Generative AI', category: 'Data & AI', aliases: ['genai', 'llm', 'llms', 'prompt engineering'] },
+
+  // Cloud & DevOps
+  { id: 'aws', name: 'AWS', category: 'Cloud & DevOps', aliases: ['amazon web services'] },
+  { id: 'azure', name: 'Azure', category: 'Cloud & DevOps', aliases: ['microsoft azure'] },
+  { id: 'gcp', name: 'Google Cloud', category: 'Cloud & DevOps', aliases: ['google cloud platform'] },
+  { id: 'docker', name: 'Docker', category: 'Cloud & DevOps', aliases: [] },
+  { id: 'kubernetes', name: 'Kubernetes', category: 'Cloud & DevOps', aliases: ['k8s'] },
+  { id: 'devops', name: 'DevOps', category: 'Cloud & DevOps', aliases: ['ci/cd', 'cicd'] },
+  { id: 'linux', name: 'Linux', category: 'Cloud & DevOps', aliases: ['unix', 'bash'] },
+  { id: 'git', name: 'Git', category: 'Cloud & DevOps', aliases: ['github', 'version control'] },
+
+  // Databases
+  { id: 'sql', name: 'SQL', category: 'Databases', aliases: ['mysql', 'postgresql', 'postgres', 'sqlite'] },
+  { id: 'mongodb', name: 'MongoDB', category: 'Databases', aliases: ['mongo'] },
+  { id: 'firebase', name: 'Firebase', category: 'Databases', aliases: [] },
+
+  // Design
+  { id: 'ui-ux-design', name: 'UI/UX Design', category: 'Design', aliases: ['ui/ux', 'ux', 'ui', 'ui design', 'ux design', 'user experience'] },
+  { id: 'figma', name: 'Figma', category: 'Design', aliases: [] },
+  { id: 'graphic-design', name: 'Graphic Design', category: 'Design', aliases: ['photoshop', 'illustrator'] },
+  { id: '3d-modeling', name: '3D Modeling', category: 'Design', aliases: ['blender', '3d modelling'] },
+
+  // Security
+  { id: 'cybersecurity', name: 'Cybersecurity', category: 'Security', aliases: ['cyber security', 'infosec', 'security'] },
+  { id: 'ethical-hacking', name: 'Ethical Hacking', category: 'Security', aliases: ['penetration testing', 'pentesting', 'ctf'] },
+  { id: 'networking', name: 'Networking', category: 'Security', aliases: ['computer networks'] },
+
+  // Hardware
+  { id: 'arduino', name: 'Arduino', category: 'Hardware', aliases: [] },
+  { id: 'raspberry-pi', name: 'Raspberry Pi', category: 'Hardware', aliases: ['raspberrypi', 'rpi'] },
+  { id: 'embedded-systems', name: 'Embedded Systems', category: 'Hardware', aliases: ['embedded', 'embedded c'] },
+  { id: 'iot', name: 'IoT', category: 'Hardware', aliases: ['internet of things'] },
+  { id: 'robotics', name: 'Robotics', category: 'Hardware', aliases: ['ros'] },
+
+  // Blockchain
+  { id: 'blockchain', name: 'Blockchain', category: 'Blockchain', aliases: [] },
+  { id: 'solidity', name: 'Solidity', category: 'Blockchain', aliases: ['smart contracts'] },
+  { id: 'web3', name: 'Web3', category: 'Blockchain', aliases: ['web3js', 'ethers'] },
+
+  // Game Development
+  { id: 'unity', name: 'Unity', category: 'Game Development', aliases: ['unity3d'] },
+  { id: 'unreal', name: 'Unreal Engine', category: 'Game Development', aliases: ['unreal engine', 'ue5', 'ue4'] },
+  { id: 'game-development', name: 'Game Development', category: 'Game Development', aliases: ['game dev', 'gamedev'] },
+
+  // Computer Science
+  { id: 'dsa', name: 'Data Structures & Algorithms', category: 'Computer Science', aliases: ['data structures', 'algorithms', 'dsa'] },
+  { id: 'competitive-programming', name: 'Competitive Programming', category: 'Computer Science', aliases: ['cp', 'codeforces', 'leetcode'] },
+  { id: 'operating-systems', name: 'Operating Systems', category: 'Computer Science', aliases: ['os'] },
+
+  // Business & Soft Skills
+  { id: 'public-speaking', name: 'Public Speaking', category: 'Business & Soft Skills', aliases: ['presentation', 'pitching'] },
+  { id: 'product-management', name: 'Product Management', category: 'Business & Soft Skills', aliases: ['pm', 'product'] },
+  { id: 'marketing', name: 'Marketing', category: 'Business & Soft Skills', aliases: ['digital marketing'] },
+  { id: 'business-strategy', name: 'Business Strategy', category: 'Business & Soft Skills', aliases: ['business', 'entrepreneurship'] },
+  { id: 'finance', name: 'Finance', category: 'Business & Soft Skills', aliases: [] },
+  { id: 'technical-writing', name: 'Technical Writing', category: 'Business & Soft Skills', aliases: ['documentation'] }
+];
+
+module.exports = {
+  SKILL_LEVELS,
+  SKILL_CATEGORIES,
+  SKILLS
+};
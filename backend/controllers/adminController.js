@@ -0,0 +1,445 @@
+/**
+ * Admin Controller
+ * Handles institutions (colleges sharing this deployment) and managing
+ * users: listing them, changing roles, suspending accounts and logging
+ * them out.
+ *
+ * Super admins run the deployment: they can set up and change every
+ * institution. Other admins look after their own college.
+ */
+
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const { normalizeDomains, institutionScope } = require('../services/institutionService');
+const { PERMISSIONS, hasPermission, canGrantRole } = require('../config/roles');
+const { revokeAllSessions } = require('../services/sessionService');
+const { disconnectUser } = require('../services/realtime');
+const { getPageParams, toSort, keysetFilter, withCursor, toKeysetPage } = require('../services/paginationService');
+
+// User list order: newest accounts first
+const USER_SORT = [['createdAt', -1], ['_id', -1]];
+
+/**
+ * Check if an admin runs the whole deployment rather than one college
+ * @param {Object} user - Admin
+ * @returns {boolean}
+ */
+const isDeploymentAdmin = (user) => hasPermission(user, PERMISSIONS.MANAGE_INSTITUTIONS);
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filter limiting a user query to the users an admin looks after
+ * @param {Object} admin
+ * @param {Object} [filter] - Query to limit
+ * @returns {Object}
+ */
+const managedUsers = (admin, filter = {}) => {
+  return isDeploymentAdmin(admin) ? filter : { ...filter, ...institutionScope(admin) };
+};
+
+/**
+ * Find the user an admin route is about (only users the admin looks after)
+ * @param {Object} req - Express request object (params.id is the user)
+ * @returns {Promise<Object|null>}
+ */
+const findManagedUser = (req) => {
+  return User.findOne(managedUsers(req.user, { _id: req.params.id }))
+    .select('-passwordHash -refreshToken');
+};
+
+/**
+ * Response for a user the admin can't see
+ * @param {Object} res - Express response object
+ */
+const userNotFound = (res) => {
+  return res.status(404).json({
+    error: {
+      code: 404,
+      message: 'User not found'
+    }
+  });
+};
+
+/**
+ * Check that an admin may act on another account
+ * Nobody acts on themselves here, and acting on someone needs the rights to
+ * grant their role (so admins can't suspend super admins).
+ * @param {Object} admin
+ * @param {Object} user - Account being managed
+ * @param {string} action - e.g. 'suspend'
+ * @returns {Object|null} { status, message } for the response, or null if allowed
+ */
+const checkCanManage = (admin, user, action) => {
+  if (user._id.toString() === admin._id.toString()) {
+    return { status: 400, message: `You cannot ${action} yourself` };
+  }
+  if (!canGrantRole(admin, user.role)) {
+    return { status: 403, message: `You cannot ${action} a ${user.role}` };
+  }
+  return null;
+};
+
+/**
+ * Response for changes only deployment admins can make
+ * @param {Object} res - Express response object
+ */
+const deploymentAdminOnly = (res) => {
+  return res.status(403).json({
+    error: {
+      code: 403,
+      message: 'Only super admins can manage institutions'
+    }
+  });
+};
+
+/**
+ * Find the institution that already claims one of these domains
+ * @param {string[]} domains
+ * @param {string} [exceptId] - Institution being edited
+ * @returns {Promise<Object|null>}
+ */
+const findDomainOwner = (domains, exceptId) => {
+  const filter = { domains: { $in: domains } };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Institution.findOne(filter);
+};
+
+/**
+ * Response for a domain that belongs to another institution
+ * @param {Object} res - Express response object
+ * @param {Object} owner - Institution that has the domain
+ */
+const domainTaken = (res, owner) => {
+  const message = `One of these domains already belongs to ${owner.name}`;
+  return res.status(400).json({
+    error: { code: 400, message, fields: { domains: message } }
+  });
+};
+
+/**
+ * List institutions (just the admin's own, for college admins)
+ * GET /api/admin/institutions
+ */
+const getInstitutions = async (req, res, next) => {
+  try {
+    const filter = isDeploymentAdmin(req.user) ? {} : { _id: req.user.institutionId };
+    const institutions = await Institution.find(filter).sort({ name: 1 });
+
+    res.json({
+      institutions,
+      total: institutions.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set up a new institution
+ * POST /api/admin/institutions
+ */
+const createInstitution = async (req, res, next) => {
+  try {
+    if (!isDeploymentAdmin(req.user)) {
+      return deploymentAdminOnly(res);
+    }
+
+    // Fields are checked by validators/adminValidators.js
+    const domains = normalizeDomains(req.body.domains);
+
+    const owner = await findDomainOwner(domains);
+    if (owner) {
+      return domainTaken(res, owner);
+    }
+
+    const institution = await Institution.create({
+      name: req.body.name,
+      domains,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Institution created successfully',
+      institution
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename an institution or change its email domains
+ * Existing members stay; the domains only decide who can register.
+ * PUT /api/admin/institutions/:id
+ */
+const updateInstitution = async (req, res, next) => {
+  try {
+    if (!isDeploymentAdmin(req.user)) {
+      return deploymentAdminOnly(res);
+    }
+
+    const institution = await Institution.findById(req.params.id);
+    if (!institution) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Institution not found'
+        }
+      });
+    }
+
+    const { name, domains } = req.body;
+
+    if (name) institution.name = name;
+    if (domains) {
+      const normalized = normalizeDomains(domains);
+
+      const owner = await findDomainOwner(normalized, institution._id);
+      if (owner) {
+        return domainTaken(res, owner);
+      }
+      institution.domains = normalized;
+    }
+
+    await institution.save();
+
+    res.json({
+      message: 'Institution updated successfully',
+      institution
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * College admins can only change users at their own college, and nobody
+ * can grant a role with permissions they don't have.
+ * PUT /api/admin/users/:id/role
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'You cannot change your own role'
+        }
+      });
+    }
+
+    if (!canGrantRole(req.user, req.body.role)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: `You cannot grant the ${req.body.role} role`
+        }
+      });
+    }
+
+    const user = await findManagedUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    // Taking a role away needs the same rights as granting it
+    if (!canGrantRole(req.user, user.role)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: `You cannot change the role of a ${user.role}`
+        }
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+      message: `${user.name} is now a ${user.role}`,
+      user: user.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the users an admin looks after, newest first, one page at a time
+ * GET /api/admin/users?role=student&branch=CSE&year=2&status=suspended&q=ann
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const { role, branch, year, status, q, institution } = req.query;
+    const { limit, cursor } = getPageParams(req.query);
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (branch) filter.branch = new RegExp(`^${escapeRegex(branch.trim())}$`, 'i');
+    if (year) filter.year = new RegExp(`^${escapeRegex(year.trim())}$`, 'i');
+    if (status === 'suspended') filter.suspendedAt = { $ne: null };
+    if (status === 'active') filter.suspendedAt = null;
+    if (q) {
+      const text = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ name: text }, { email: text }];
+    }
+    // Super admins can narrow the list to one college
+    if (institution && isDeploymentAdmin(req.user)) filter.institutionId = institution;
+
+    const query = managedUsers(req.user, filter);
+
+    const [results, total] = await Promise.all([
+      User.find(withCursor(query, keysetFilter(USER_SORT, cursor)))
+        .select('-passwordHash -refreshToken')
+        .populate('institutionId', 'name')
+        .sort(toSort(USER_SORT))
+        .limit(limit + 1),
+      User.countDocuments(query)
+    ]);
+
+    res.json({ ...toKeysetPage(results, limit, USER_SORT), total });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend an account: it is logged out everywhere and can't log in or use
+ * the API until unsuspended
+ * POST /api/admin/users/:id/suspend
+ */
+const suspendUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const problem = checkCanManage(req.user, user, 'suspend');
+    if (problem) {
+      return res.status(problem.status).json({
+        error: { code: problem.status, message: problem.message }
+      });
+    }
+
+    if (user.suspendedAt) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: `${user.name} is already suspended`
+        }
+      });
+    }
+
+    user.suspendedAt = new Date();
+    user.suspendedReason = req.body.reason || '';
+    user.suspendedBy = req.user._id;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    disconnectUser(user._id);
+
+    res.json({
+      message: `${user.name} has been suspended`,
+      user: user.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a suspension (the user logs in again as usual)
+ * POST /api/admin/users/:id/unsuspend
+ */
+const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const problem = checkCanManage(req.user, user, 'unsuspend');
+    if (problem) {
+      return res.status(problem.status).json({
+        error: { code: problem.status, message: problem.message }
+      });
+    }
+
+    if (!user.suspendedAt) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: `${user.name} is not suspended`
+        }
+      });
+    }
+
+    user.suspendedAt = null;
+    user.suspendedReason = '';
+    user.suspendedBy = null;
+    await user.save();
+
+    res.json({
+      message: `${user.name} can log in again`,
+      user: user.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log a user out of every device by ending all their sessions
+ * Their refresh tokens stop working at once and their live update
+ * connections are closed; access tokens already handed out last until they
+ * expire (up to 15 minutes).
+ * POST /api/admin/users/:id/logout
+ */
+const logoutUser = async (req, res, next) => {
+  try {
+    const user = await findManagedUser(req);
+    if (!user) {
+      return userNotFound(res);
+    }
+
+    const problem = checkCanManage(req.user, user, 'log out');
+    if (problem) {
+      return res.status(problem.status).json({
+        error: { code: problem.status, message: problem.message }
+      });
+    }
+
+    const revoked = await revokeAllSessions(user._id);
+    // Refresh token kept on accounts from before per-device sessions
+    await User.updateOne({ _id: user._id }, { $unset: { refreshToken: 1 } });
+    disconnectUser(user._id);
+
+    res.json({
+      message: revoked > 0
+        ? `${user.name} was logged out of ${revoked} device${revoked === 1 ? '' : 's'}`
+        : `${user.name} was not logged in anywhere`,
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getInstitutions,
+  createInstitution,
+  updateInstitution,
+  getUsers,
+  updateUserRole,
+  suspendUser,
+  unsuspendUser,
+  logoutUser
+};
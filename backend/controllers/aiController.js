@@ -0,0 +1,63 @@
+/**
+ * AI Controller
+ * Handles the AI gateway endpoints: document summaries and quota usage
+ */
+
+const { summarizeDocument } = require('../services/summarizerService');
+const { runAiTask, getUsage } = require('../services/aiGateway');
+
+/**
+ * Summarize an uploaded document (PDF or image)
+ * POST /api/ai/summarize
+ */
+const summarizeUploadedDocument = async (req, res, next) => {
+  try {
+    // Check if file was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'No file uploaded'
+        }
+      });
+    }
+
+    const summary = await runAiTask(
+      { user: req.user, feature: 'summarize-document' },
+      (provider) => summarizeDocument({
+        data: req.file.buffer.toString('base64'),
+        mimeType: req.file.mimetype
+      }, provider)
+    );
+
+    res.json({
+      message: 'Document summarized successfully',
+      data: {
+        summary,
+        filename: req.file.originalname
+      },
+      usage: await getUsage(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's AI quota usage
+ * GET /api/ai/usage
+ */
+const getMyUsage = async (req, res, next) => {
+  try {
+    res.json({
+      usage: await getUsage(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  summarizeUploadedDocument,
+  getMyUsage
+};
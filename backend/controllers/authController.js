@@ -1,36 +1,44 @@
 /**
  * Authentication Controller
- * Handles user registration, login, token refresh, and logout
+ * Handles user registration, login, token refresh, logout, email
+ * verification, password reset, and the user's list of logged-in
+ * devices (sessions)
  */
 
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { accountSuspended } = require('../middleware/auth');
+const { normalizeSkillList } = require('../services/skillService');
+const { findInstitutionByEmail, hasInstitutions } = require('../services/institutionService');
+const {
+  createSession,
+  rotateSession,
+  endSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  formatSession
+} = require('../services/sessionService');
+const {
+  isEmailVerificationRequired,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/accountTokenService');
 
 /**
- * Generate JWT access token (short-lived)
- * @param {string} userId - User's MongoDB ID
- * @returns {string} JWT access token
+ * Send an account email without failing the request if mail is down
+ * The reply to the user shouldn't depend on whether the email went out (or,
+ * for forgotten passwords, on whether the account exists at all).
+ * @param {Function} send - sendVerificationEmail or sendPasswordResetEmail
+ * @param {Object} user - User document
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_ACCESS_SECRET,
-    { expiresIn: '15m' } // 15 minutes
-  );
-};
-
-/**
- * Generate JWT refresh token (long-lived)
- * @param {string} userId - User's MongoDB ID
- * @returns {string} JWT refresh token
- */
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '7d' } // 7 days
-  );
+const sendAccountEmail = async (send, user) => {
+  try {
+    await send(user);
+  } catch (error) {
+    console.error(`❌ Failed to email ${user.email}: ${error.message}`);
+  }
 };
 
 /**
@@ -39,17 +47,9 @@ const generateRefreshToken = (userId) => {
  */
 const register = async (req, res, next) => {
   try {
-    const { name, email, password, role, course, branch, year, skills, phone } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Name, email, and password are required'
-        }
-      });
-    }
+    // Fields are checked by validators/authValidators.js
+    // Everyone starts as a student; admins grant the admin role (see adminController.js)
+    const { name, email, password, course, branch, year, skills, phone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -62,6 +62,15 @@ const register = async (req, res, next) => {
       });
     }
 
+    // Join the college the email belongs to (once colleges are set up, other emails can't register)
+    const institution = await findInstitutionByEmail(email);
+    if (!institution && await hasInstitutions()) {
+      const message = 'Please register with your college email address';
+      return res.status(400).json({
+        error: { code: 400, message, fields: { email: message } }
+      });
+    }
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
@@ -71,23 +80,32 @@ const register = async (req, res, next) => {
       name,
       email: email.toLowerCase(),
       passwordHash,
-      role: role || 'student',
+      role: 'student',
+      institutionId: institution ? institution._id : null,
       course,
       branch,
       year,
       phone,
-      skills: skills || []
+      // Canonical skill IDs (and levels, if given)
+      ...normalizeSkillList(skills)
     });
 
     await user.save();
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Email a link to prove the address is real
+    await sendAccountEmail(sendVerificationEmail, user);
 
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
-    await user.save();
+    // When logging in needs a verified email, the user logs in after following the link
+    if (isEmailVerificationRequired()) {
+      return res.status(201).json({
+        message: 'Account created. Check your email for a link to verify it, then log in.',
+        user: user.toJSON(),
+        verificationRequired: true
+      });
+    }
+
+    // Start a session for this device
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     // Return user data and tokens
     res.status(201).json({
@@ -109,16 +127,6 @@ const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Email and password are required'
-        }
-      });
-    }
-
     // Find user by email
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
@@ -141,13 +149,22 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    if (user.suspendedAt) {
+      return accountSuspended(res, user);
+    }
 
-    // Save refresh token to database
-    user.refreshToken = refreshToken;
-    await user.save();
+    if (isEmailVerificationRequired() && !user.emailVerified) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Please verify your email before logging in',
+          emailNotVerified: true
+        }
+      });
+    }
+
+    // Start a session for this device (other devices stay logged in)
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     // Return user data and tokens
     res.json({
@@ -162,52 +179,142 @@ const login = async (req, res, next) => {
 };
 
 /**
- * Refresh access token using refresh token
+ * Swap a refresh token for a new access token and refresh token
+ * The old refresh token stops working; reusing it ends the session.
  * POST /api/auth/refresh
  */
 const refresh = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const { accessToken, refreshToken } = await rotateSession(req.body.refreshToken, req);
 
-    if (!refreshToken) {
-      return res.status(400).json({
+    res.json({
+      message: 'Token refreshed successfully',
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout user (ends this device's session)
+ * POST /api/auth/logout
+ */
+const logout = async (req, res, next) => {
+  try {
+    await endSession(req.body.refreshToken);
+
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a user's email as verified using the token from their email
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'verify-email');
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({
         error: {
-          code: 400,
-          message: 'Refresh token is required'
+          code: 404,
+          message: 'User not found'
         }
       });
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (error) {
-      return res.status(401).json({
-        error: {
-          code: 401,
-          message: 'Invalid or expired refresh token'
-        }
-      });
+    res.json({
+      message: 'Email verified',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a new verification link
+ * Replies the same whether or not the account exists.
+ * POST /api/auth/resend-verification
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && !user.emailVerified) {
+      await sendAccountEmail(sendVerificationEmail, user);
     }
 
-    // Find user and verify refresh token matches
-    const user = await User.findById(decoded.userId);
-    if (!user || user.refreshToken !== refreshToken) {
-      return res.status(401).json({
+    res.json({
+      message: 'If that account still needs verifying, a new link is on its way'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a link to reset a forgotten password
+ * Replies the same whether or not the account exists.
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user) {
+      await sendAccountEmail(sendPasswordResetEmail, user);
+    }
+
+    res.json({
+      message: 'If an account uses that email, a link to reset the password is on its way'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password using the token from a reset email
+ * Every device is logged out; following the link also proves the email is real.
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'reset-password');
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
         error: {
-          code: 401,
-          message: 'Invalid refresh token'
+          code: 404,
+          message: 'User not found'
         }
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user._id);
+    const salt = await bcrypt.genSalt(10);
+    user.passwordHash = await bcrypt.hash(req.body.password, salt);
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id);
 
     res.json({
-      message: 'Token refreshed successfully',
-      accessToken: newAccessToken
+      message: 'Password reset. Please log in with your new password.'
     });
   } catch (error) {
     next(error);
@@ -215,31 +322,58 @@ const refresh = async (req, res, next) => {
 };
 
 /**
- * Logout user
- * POST /api/auth/logout
+ * List the devices the current user is logged in on
+ * GET /api/auth/sessions
  */
-const logout = async (req, res, next) => {
+const getSessions = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    const sessions = await getActiveSessions(req.user._id);
 
-    if (!refreshToken) {
-      return res.status(400).json({
+    res.json({
+      sessions: sessions.map(session => formatSession(session, req.sessionId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log one of the current user's devices out
+ * Its access token keeps working until it expires (at most 15 minutes).
+ * DELETE /api/auth/sessions/:id
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
         error: {
-          code: 400,
-          message: 'Refresh token is required'
+          code: 404,
+          message: 'Session not found'
         }
       });
     }
 
-    // Find user with this refresh token and remove it
-    const user = await User.findOne({ refreshToken });
-    if (user) {
-      user.refreshToken = null;
-      await user.save();
-    }
+    res.json({
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log the current user out everywhere except this device
+ * DELETE /api/auth/sessions
+ */
+const deleteOtherSessions = async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, { exceptSessionId: req.sessionId });
 
     res.json({
-      message: 'Logout successful'
+      message: `Logged out of ${count} other session${count !== 1 ? 's' : ''}`,
+      revoked: count
     });
   } catch (error) {
     next(error);
@@ -250,5 +384,12 @@ module.exports = {
   register,
   login,
   refresh,
-  logout
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions
 };
@@ -1,20 +1,80 @@
 /**
  * Event Controller
- * Handles event CRUD operations, brochure parsing, and chatbot
+ * Handles event CRUD operations, organizers, brochure parsing, and chatbot
  */
 
 const Event = require('../models/Event');
+const ChatThread = require('../models/ChatThread');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
 const { parseEventBrochure } = require('../services/aiParserService');
 const { answerEventQuestion } = require('../services/chatbotService');
-const fs = require('fs');
-const path = require('path');
+const {
+  getBrochureFilename,
+  loadBrochure,
+  hashFile,
+  summarizeDocument,
+  extractDocumentText
+} = require('../services/summarizerService');
+const { runAiTask, getUsage } = require('../services/aiGateway');
+const { getTeamPolicy } = require('../services/teamPolicyService');
+const { notifyUsers, getEventParticipants } = require('../services/notificationService');
+const { publishEventUpdate } = require('../services/realtime');
+const { buildEventFilters, getEventFacets } = require('../services/eventSearchService');
+const { institutionScope } = require('../services/institutionService');
+const { getDeadlineOrderError } = require('../validators/eventValidators');
+const {
+  getPageParams,
+  toSort,
+  keysetFilter,
+  withCursor,
+  getOffset,
+  toKeysetPage,
+  toOffsetPage
+} = require('../services/paginationService');
+
+// Event list order: soonest first (events without a start date first), then oldest created
+const EVENT_SORT = [['deadlines.eventStart', 1], ['_id', 1]];
 
 /**
- * Create a new event (Admin only)
+ * Work out what a user may do with an event
+ * Organizers run their own events; permissions cover every event at the
+ * institution (see config/roles.js).
+ * @param {Object} user
+ * @param {Object} event - Event document
+ * @returns {Object} { canEdit, canDelete, canViewRegistrations }
+ */
+const getEventAccess = (user, event) => {
+  const organizer = event.isOrganizer(user._id);
+  return {
+    canEdit: organizer || hasPermission(user, PERMISSIONS.EDIT_EVENTS),
+    canDelete: organizer || hasPermission(user, PERMISSIONS.DELETE_EVENTS),
+    canViewRegistrations: organizer || hasPermission(user, PERMISSIONS.VIEW_REGISTRATIONS)
+  };
+};
+
+/**
+ * Response for an event action the user isn't allowed
+ * @param {Object} res - Express response object
+ * @param {string} action - e.g. 'update this event'
+ */
+const notAllowed = (res, action) => {
+  return res.status(403).json({
+    error: {
+      code: 403,
+      message: `Not authorized to ${action}`
+    }
+  });
+};
+
+/**
+ * Create a new event (event creators only)
  * POST /api/events
  */
 const createEvent = async (req, res, next) => {
   try {
+    // Fields (and deadline order) are checked by validators/eventValidators.js
     const {
       title,
       description,
@@ -24,19 +84,11 @@ const createEvent = async (req, res, next) => {
       teamSizeMax,
       registrationClose,
       eventStart,
-      eventEnd
+      eventEnd,
+      graceHours,
+      rosterLockDate
     } = req.body;
 
-    // Validate required fields
-    if (!title || !description || !categories) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Title, description, and categories are required'
-        }
-      });
-    }
-
     // Process categories and rules
     const categoriesArray = categories.split(',').map(c => c.trim()).filter(c => c);
     const rulesArray = rules ? rules.split('\n').map(r => r.trim()).filter(r => r) : [];
@@ -66,13 +118,20 @@ const createEvent = async (req, res, next) => {
         max: parseInt(teamSizeMax) || 6
       },
       brochureUrl,
-      createdBy: req.user._id
+      teamPolicy: {
+        graceHours: parseInt(graceHours) || 0,
+        rosterLockDate: rosterLockDate ? new Date(rosterLockDate) : null
+      },
+      createdBy: req.user._id,
+      organizers: [req.user._id],
+      institutionId: req.user.institutionId || null
     });
 
     await event.save();
 
-    // Populate creator info
+    // Populate creator and organizer info
     await event.populate('createdBy', 'name email');
+    await event.populate('organizers', 'name email');
 
     res.status(201).json({
       message: 'Event created successfully',
@@ -84,42 +143,46 @@ const createEvent = async (req, res, next) => {
 };
 
 /**
- * Get all events with optional filters
- * GET /api/events?status=upcoming&category=hackathon
+ * Get events with optional filters, one page at a time
+ * GET /api/events?q=machine+learning&status=upcoming&category=hackathon&from=2025-01-01&to=2025-03-31&limit=20&cursor=...
+ * With q, events are ranked by how well they match; otherwise by start date.
  */
 const getEvents = async (req, res, next) => {
   try {
-    const { status, category, limit = 50, page = 1 } = req.query;
-
-    // Build filter object
-    const filter = {};
-
-    if (status) {
-      filter.status = status;
-    }
-
-    if (category) {
-      filter.categories = { $in: [new RegExp(category, 'i')] };
+    const { limit, cursor } = getPageParams(req.query);
+
+    // Only the user's institution's events
+    const filters = buildEventFilters(req.query, institutionScope(req.user));
+    const filter = { ...filters.base, ...filters.status, ...filters.category };
+
+    let page;
+    if (filters.text) {
+      // Relevance can't be used as a cursor position, so search results page by offset
+      const offset = getOffset(cursor);
+      const results = await Event.find(filter, { brochureSummary: 0, score: { $meta: 'textScore' } })
+        .populate('createdBy', 'name email')
+        .sort({ score: { $meta: 'textScore' }, 'deadlines.eventStart': 1, _id: 1 })
+        .skip(offset)
+        .limit(limit + 1);
+      page = toOffsetPage(results, limit, offset);
+    } else {
+      const results = await Event.find(withCursor(filter, keysetFilter(EVENT_SORT, cursor)), { brochureSummary: 0 })
+        .populate('createdBy', 'name email')
+        .sort(toSort(EVENT_SORT))
+        .limit(limit + 1);
+      page = toKeysetPage(results, limit, EVENT_SORT);
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Get events
-    const events = await Event.find(filter)
-      .populate('createdBy', 'name email')
-      .sort({ 'deadlines.eventStart': 1 }) // Sort by event start date
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const total = await Event.countDocuments(filter);
+    // Total for the whole list, and counts for the filter chips
+    const [total, facets] = await Promise.all([
+      Event.countDocuments(filter),
+      getEventFacets(filters)
+    ]);
 
     res.json({
-      events,
+      ...page,
       total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit))
+      facets
     });
   } catch (error) {
     next(error);
@@ -132,8 +195,9 @@ const getEvents = async (req, res, next) => {
  */
 const getEventById = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('createdBy', 'name email');
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) })
+      .populate('createdBy', 'name email')
+      .populate('organizers', 'name email');
 
     if (!event) {
       return res.status(404).json({
@@ -144,12 +208,10 @@ const getEventById = async (req, res, next) => {
       });
     }
 
-    // Update status before returning
-    event.updateStatus();
-    await event.save();
-
     res.json({
-      event
+      event,
+      teamPolicy: getTeamPolicy(event),
+      access: getEventAccess(req.user, event)
     });
   } catch (error) {
     next(error);
@@ -157,12 +219,12 @@ const getEventById = async (req, res, next) => {
 };
 
 /**
- * Update event (Admin only)
+ * Update event (organizers, or anyone who can edit events)
  * PUT /api/events/:id
  */
 const updateEvent = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) });
 
     if (!event) {
       return res.status(404).json({
@@ -173,14 +235,8 @@ const updateEvent = async (req, res, next) => {
       });
     }
 
-    // Check if user is the creator or admin
-    if (event.createdBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: {
-          code: 403,
-          message: 'Not authorized to update this event'
-        }
-      });
+    if (!getEventAccess(req.user, event).canEdit) {
+      return notAllowed(res, 'update this event');
     }
 
     // Update fields
@@ -192,7 +248,8 @@ const updateEvent = async (req, res, next) => {
       deadlines,
       teamSize,
       brochureUrl,
-      status
+      status,
+      teamPolicy
     } = req.body;
 
     if (title) event.title = title;
@@ -200,12 +257,59 @@ const updateEvent = async (req, res, next) => {
     if (categories) event.categories = categories;
     if (rules) event.rules = rules;
     if (deadlines) event.deadlines = { ...event.deadlines, ...deadlines };
-    if (teamSize) event.teamSize = teamSize;
-    if (brochureUrl !== undefined) event.brochureUrl = brochureUrl;
+    if (teamSize) {
+      if (teamSize.min !== undefined) event.teamSize.min = teamSize.min;
+      if (teamSize.max !== undefined) event.teamSize.max = teamSize.max;
+    }
+    if (brochureUrl !== undefined && brochureUrl !== event.brochureUrl) {
+      event.brochureUrl = brochureUrl;
+      // New brochure: the cached AI summary and text no longer apply
+      event.brochureSummary = undefined;
+      event.brochureText = undefined;
+    }
     if (status) event.status = status;
+    if (teamPolicy) {
+      if (teamPolicy.graceHours !== undefined) event.teamPolicy.graceHours = teamPolicy.graceHours;
+      if (teamPolicy.rosterLockDate !== undefined) event.teamPolicy.rosterLockDate = teamPolicy.rosterLockDate || null;
+    }
+
+    // The request was checked on its own; check the result against what was already set.
+    // Registration opening defaults to when the event was created, so it only counts if changed.
+    if (deadlines) {
+      const merged = { ...event.deadlines };
+      if (!deadlines.registrationOpen) delete merged.registrationOpen;
+
+      const orderError = getDeadlineOrderError(merged);
+      if (orderError) {
+        return res.status(400).json({
+          error: {
+            code: 400,
+            message: orderError.message,
+            fields: { [`deadlines.${orderError.field}`]: orderError.message }
+          }
+        });
+      }
+    }
+    if (event.teamSize.max < event.teamSize.min) {
+      const message = 'Maximum team size must be greater than or equal to minimum';
+      return res.status(400).json({
+        error: { code: 400, message, fields: { 'teamSize.max': message } }
+      });
+    }
 
     await event.save();
     await event.populate('createdBy', 'name email');
+    await event.populate('organizers', 'name email');
+
+    publishEventUpdate(event._id, 'updated');
+
+    await notifyUsers(await getEventParticipants(event._id), {
+      type: 'event_updated',
+      message: `${event.title} was updated by the organizers`,
+      link: `/events/${event._id}`,
+      actorId: req.user._id,
+      eventId: event._id
+    });
 
     res.json({
       message: 'Event updated successfully',
@@ -217,12 +321,58 @@ const updateEvent = async (req, res, next) => {
 };
 
 /**
- * Delete event (Admin only)
+ * Delete event (organizers, or anyone who can delete events)
  * DELETE /api/events/:id
  */
 const deleteEvent = async (req, res, next) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) });
+
+    if (!event) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Event not found'
+        }
+      });
+    }
+
+    if (!getEventAccess(req.user, event).canDelete) {
+      return notAllowed(res, 'delete this event');
+    }
+
+    // Tell participants before their teams lose the event
+    const participants = await getEventParticipants(event._id);
+
+    await Event.findByIdAndDelete(req.params.id);
+
+    // Conversations about a deleted event are no longer useful
+    await ChatThread.deleteMany({ eventId: req.params.id });
+
+    publishEventUpdate(event._id, 'deleted');
+
+    await notifyUsers(participants, {
+      type: 'event_deleted',
+      message: `${event.title} was cancelled by the organizers`,
+      actorId: req.user._id
+    });
+
+    res.json({
+      message: 'Event deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List teams registered for an event (organizers, or anyone who can see registrations)
+ * GET /api/events/:id/registrations
+ */
+const getEventRegistrations = async (req, res, next) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) })
+      .select('title teamSize deadlines createdBy organizers');
 
     if (!event) {
       return res.status(404).json({
@@ -233,20 +383,91 @@ const deleteEvent = async (req, res, next) => {
       });
     }
 
-    // Check if user is the creator
-    if (event.createdBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (!getEventAccess(req.user, event).canViewRegistrations) {
+      return notAllowed(res, 'see this event\'s registrations');
+    }
+
+    const teams = await Team.find({
+      eventId: event._id,
+      registeredAt: { $ne: null }
+    })
+    .populate('leaderId', 'name email phone')
+    .populate('members', 'name email phone branch year')
+    .sort({ registeredAt: 1 });
+
+    res.json({
+      event,
+      teams,
+      total: teams.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an organizer to an event
+ * POST /api/events/:id/organizers
+ */
+const addOrganizer = async (req, res, next) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) });
+
+    if (!event) {
+      return res.status(404).json({
         error: {
-          code: 403,
-          message: 'Not authorized to delete this event'
+          code: 404,
+          message: 'Event not found'
         }
       });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
+    if (!getEventAccess(req.user, event).canEdit) {
+      return notAllowed(res, 'change this event\'s organizers');
+    }
+
+    // Organizers come from the event's institution
+    const organizer = await User.findOne({
+      email: req.body.email.toLowerCase(),
+      ...institutionScope(req.user)
+    });
+    if (!organizer) {
+      const message = 'No one at your institution uses that email';
+      return res.status(404).json({
+        error: { code: 404, message, fields: { email: message } }
+      });
+    }
+
+    if (event.isOrganizer(organizer._id)) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: `${organizer.name} already organizes this event`
+        }
+      });
+    }
+
+    // Events from before organizers: keep the creator on the list
+    if (event.organizers.length === 0) {
+      event.organizers.push(event.createdBy);
+    }
+    event.organizers.push(organizer._id);
+    await event.save();
+    await event.populate('organizers', 'name email');
+
+    publishEventUpdate(event._id, 'updated');
+
+    await notifyUsers([organizer._id], {
+      type: 'event_organizer_added',
+      message: `${req.user.name} made you an organizer of ${event.title}`,
+      link: `/events/${event._id}`,
+      actorId: req.user._id,
+      eventId: event._id
+    });
 
     res.json({
-      message: 'Event deleted successfully'
+      message: `${organizer.name} is now an organizer`,
+      organizers: event.organizers
     });
   } catch (error) {
     next(error);
@@ -254,11 +475,124 @@ const deleteEvent = async (req, res, next) => {
 };
 
 /**
- * Parse event brochure using AI (Stub)
+ * Remove an organizer from an event
+ * An event always keeps at least one organizer.
+ * DELETE /api/events/:id/organizers/:userId
+ */
+const removeOrganizer = async (req, res, next) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) });
+
+    if (!event) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Event not found'
+        }
+      });
+    }
+
+    if (!getEventAccess(req.user, event).canEdit) {
+      return notAllowed(res, 'change this event\'s organizers');
+    }
+
+    if (!event.isOrganizer(req.params.userId)) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'That user does not organize this event'
+        }
+      });
+    }
+
+    const remaining = (event.organizers.length > 0 ? event.organizers : [event.createdBy])
+      .filter(organizer => organizer.toString() !== req.params.userId);
+    if (remaining.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'An event needs at least one organizer'
+        }
+      });
+    }
+
+    event.organizers = remaining;
+    await event.save();
+    await event.populate('organizers', 'name email');
+
+    publishEventUpdate(event._id, 'updated');
+
+    res.json({
+      message: 'Organizer removed',
+      organizers: event.organizers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check parsed brochure data against the Event schema rules
+ * @param {Object} parsedData - Event-shaped data from the AI parser
+ * @param {string} userId - Current user (needed for the required createdBy field)
+ * @returns {Object} { valid, errors } where errors maps field -> message
+ */
+const validateParsedEvent = (parsedData, userId) => {
+  const { deadlines, teamSize } = parsedData;
+
+  // Drop nulls so Mongoose reports "required" instead of cast errors
+  const candidate = new Event({
+    title: parsedData.title || undefined,
+    description: parsedData.description || undefined,
+    categories: parsedData.categories,
+    rules: parsedData.rules,
+    deadlines: Object.fromEntries(
+      Object.entries(deadlines).filter(([, value]) => value)
+    ),
+    teamSize: {
+      min: teamSize.min || undefined,
+      max: teamSize.max || undefined
+    },
+    createdBy: userId
+  });
+
+  const validationError = candidate.validateSync();
+  const errors = {};
+
+  if (validationError) {
+    Object.values(validationError.errors).forEach(err => {
+      // Report "teamSize.max" problems under the top-level "teamSize" field
+      errors[err.path.split('.')[0]] = err.message;
+    });
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+};
+
+/**
+ * Parse event brochure using AI (to fill in an event the user can edit)
  * POST /api/events/:id/parse-brochure
  */
 const parseBrochure = async (req, res, next) => {
   try {
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) });
+
+    if (!event) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Event not found'
+        }
+      });
+    }
+
+    if (!getEventAccess(req.user, event).canEdit) {
+      return notAllowed(res, 'update this event');
+    }
+
     // Check if file was uploaded
     if (!req.file) {
       return res.status(400).json({
@@ -269,12 +603,29 @@ const parseBrochure = async (req, res, next) => {
       });
     }
 
-    // Use AI parser stub to extract event details
-    const parsedData = await parseEventBrochure(req.file);
+    // Use the AI parser to extract event details
+    const result = await runAiTask(
+      { user: req.user, feature: 'parse-brochure', eventId: event._id },
+      (provider) => parseEventBrochure(req.file, provider)
+    );
+
+    // Fields that break the Event schema can't be trusted, whatever the model said
+    const validation = validateParsedEvent(result.parsedData, req.user._id);
+    const invalidFields = Object.keys(validation.errors);
+
+    const confidentFields = result.confidentFields.filter(field => !invalidFields.includes(field));
+    const uncertainFields = result.uncertainFields.concat(
+      invalidFields.filter(field => !result.uncertainFields.includes(field))
+    );
 
     res.json({
-      message: 'Brochure parsed successfully (stub)',
-      data: parsedData
+      message: 'Brochure parsed successfully',
+      data: {
+        ...result,
+        confidentFields,
+        uncertainFields,
+        validation
+      }
     });
   } catch (error) {
     next(error);
@@ -282,24 +633,16 @@ const parseBrochure = async (req, res, next) => {
 };
 
 /**
- * Ask chatbot about event (Stub)
+ * Ask the AI assistant about an event
  * POST /api/events/:id/ask
  */
 const askChatbot = async (req, res, next) => {
   try {
     const { question } = req.body;
 
-    if (!question) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Question is required'
-        }
-      });
-    }
-
-    // Get event details
-    const event = await Event.findById(req.params.id);
+    // Get event details (with the brochure text the chatbot searches)
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) })
+      .select('+brochureText.text');
 
     if (!event) {
       return res.status(404).json({
@@ -310,12 +653,93 @@ const askChatbot = async (req, res, next) => {
       });
     }
 
-    // Use chatbot stub to answer question
-    const answer = answerEventQuestion(question, event);
+    // Brochure not read yet: load it so its text can be extracted once for everyone
+    let brochure = null;
+    if (event.brochureUrl && event.brochureText.sourceUrl !== event.brochureUrl) {
+      try {
+        brochure = await loadBrochure(event.brochureUrl);
+      } catch (error) {
+        console.error(`Could not load brochure for event ${event._id}: ${error.message}`);
+      }
+    }
+
+    // Load this user's conversation about the event (if any)
+    const thread = await ChatThread.findOne({ userId: req.user._id, eventId: event._id });
+
+    // Answer through the AI gateway (quota + usage logging)
+    const { answer, citations } = await runAiTask(
+      { user: req.user, feature: 'ask', eventId: event._id },
+      async (provider) => {
+        if (brochure) {
+          event.brochureText = {
+            text: await extractDocumentText(brochure, provider),
+            sourceUrl: event.brochureUrl,
+            extractedAt: new Date()
+          };
+        }
+        return answerEventQuestion(question.trim(), event, provider, {
+          history: thread ? thread.messages : []
+        });
+      }
+    );
+
+    // Keep the extracted text for later questions (unless the brochure changed meanwhile)
+    if (brochure) {
+      await Event.updateOne(
+        { _id: event._id, brochureUrl: event.brochureText.sourceUrl },
+        {
+          $set: {
+            'brochureText.text': event.brochureText.text,
+            'brochureText.sourceUrl': event.brochureText.sourceUrl,
+            'brochureText.extractedAt': event.brochureText.extractedAt
+          }
+        }
+      );
+    }
+
+    // Save both sides of the exchange for follow-up questions
+    await ChatThread.addMessages(req.user._id, event._id, [
+      { role: 'user', content: question.trim() },
+      { role: 'assistant', content: answer, citations }
+    ]);
 
     res.json({
       question,
-      answer
+      answer,
+      citations,
+      usage: await getUsage(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's conversation about an event
+ * GET /api/events/:id/conversation
+ */
+const getConversation = async (req, res, next) => {
+  try {
+    const thread = await ChatThread.findOne({ userId: req.user._id, eventId: req.params.id });
+
+    res.json({
+      messages: thread ? thread.messages : []
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear the current user's conversation about an event
+ * DELETE /api/events/:id/conversation
+ */
+const clearConversation = async (req, res, next) => {
+  try {
+    await ChatThread.deleteOne({ userId: req.user._id, eventId: req.params.id });
+
+    res.json({
+      message: 'Conversation cleared'
     });
   } catch (error) {
     next(error);
@@ -329,7 +753,7 @@ const askChatbot = async (req, res, next) => {
 const summarizeBrochure = async (req, res, next) => {
   try {
     // Get event details
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findOne({ _id: req.params.id, ...institutionScope(req.user) });
 
     if (!event) {
       return res.status(404).json({
@@ -349,68 +773,66 @@ const summarizeBrochure = async (req, res, next) => {
       });
     }
 
-    // Check if brochure file exists for local files
-    if (event.brochureUrl.startsWith('/media/')) {
-      const filePath = path.join(__dirname, '..', event.brochureUrl.substring(1)); // Remove leading slash
-      
-      console.log('Brochure URL:', event.brochureUrl);
-      console.log('Constructed file path:', filePath);
-      console.log('__dirname:', __dirname);
-      console.log('File exists:', fs.existsSync(filePath));
-      
-      if (!fs.existsSync(filePath)) {
-        return res.status(404).json({
-          error: {
-            code: 404,
-            message: `Brochure file not found on server. Path: ${filePath}`
-          }
-        });
+    const cached = event.brochureSummary;
+    const cachedResponse = () => res.json({
+      message: 'Brochure summary retrieved from cache',
+      data: {
+        summary: cached.text,
+        filename: getBrochureFilename(event.brochureUrl),
+        cached: true,
+        generatedAt: cached.generatedAt
       }
+    });
 
-      // Read the file and convert to base64
-      const fileBuffer = fs.readFileSync(filePath);
-      const base64Data = fileBuffer.toString('base64');
-      
-      // Determine file type from extension
-      const ext = path.extname(filePath).toLowerCase();
-      let mimeType = 'application/octet-stream';
-      
-      switch(ext) {
-        case '.jpg':
-        case '.jpeg':
-          mimeType = 'image/jpeg';
-          break;
-        case '.png':
-          mimeType = 'image/png';
-          break;
-        case '.pdf':
-          mimeType = 'application/pdf';
-          break;
-        case '.gif':
-          mimeType = 'image/gif';
-          break;
-      }
+    // Summary of this brochure already stored: no need to fetch the file again
+    // (updateEvent clears it when the brochure changes)
+    if (cached && cached.text && cached.sourceUrl === event.brochureUrl) {
+      return cachedResponse();
+    }
 
-      // Return the file data for the frontend to process
-      res.json({
-        message: 'Brochure data retrieved successfully',
-        data: {
-          base64: base64Data,
-          mimeType: mimeType,
-          filename: path.basename(filePath)
-        }
-      });
-    } else {
-      // For external URLs (like Google Drive), return the URL for frontend processing
-      res.json({
-        message: 'External brochure URL retrieved',
-        data: {
-          url: event.brochureUrl
-        }
-      });
+    // Read the brochure on the server (local upload or external link)
+    const brochure = await loadBrochure(event.brochureUrl);
+    const fileHash = hashFile(brochure);
+
+    // Summaries stored before sourceUrl was kept: reuse them if the file is the same
+    if (cached && cached.text && !cached.sourceUrl && cached.fileHash === fileHash) {
+      await Event.updateOne(
+        { _id: event._id, brochureUrl: event.brochureUrl },
+        { $set: { 'brochureSummary.sourceUrl': event.brochureUrl } }
+      );
+      return cachedResponse();
     }
+
+    // Summarize through the AI gateway (quota + usage logging)
+    const result = await runAiTask(
+      { user: req.user, feature: 'summarize-brochure', eventId: event._id },
+      async (provider) => ({
+        text: await summarizeDocument(brochure, provider),
+        provider: provider.name
+      })
+    );
+
+    // Store the summary on the event for every other student
+    event.brochureSummary = {
+      text: result.text,
+      fileHash,
+      sourceUrl: event.brochureUrl,
+      provider: result.provider,
+      generatedAt: new Date()
+    };
+    await event.save();
+
+    res.json({
+      message: 'Brochure summarized successfully',
+      data: {
+        summary: result.text,
+        filename: brochure.filename,
+        cached: false,
+        generatedAt: event.brochureSummary.generatedAt
+      },
+      usage: await getUsage(req.user._id)
+    });
   } catch (error) {
-    console.error('Error retrieving brochure:', error);
     next(error);
   }
 };
@@ -421,7 +843,12 @@ module.exports = {
   getEventById,
   updateEvent,
   deleteEvent,
+  getEventRegistrations,
+  addOrganizer,
+  removeOrganizer,
   parseBrochure,
   askChatbot,
+  getConversation,
+  clearConversation,
   summarizeBrochure
 };
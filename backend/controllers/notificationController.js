@@ -0,0 +1,118 @@
+/**
+ * Notification Controller
+ * Lists the current user's notifications and marks them as read
+ */
+
+const Notification = require('../models/Notification');
+
+/**
+ * Get the current user's notifications (newest first)
+ * GET /api/notifications?unread=true&limit=20
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, limit = 20 } = req.query;
+
+    const filter = { userId: req.user._id };
+    if (unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const notifications = await Notification.find(filter)
+      .populate('actorId', 'name')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    const unreadCount = await Notification.countDocuments({
+      userId: req.user._id,
+      readAt: null
+    });
+
+    res.json({
+      notifications,
+      unreadCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the number of unread notifications
+ * GET /api/notifications/unread-count
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      userId: req.user._id,
+      readAt: null
+    });
+
+    res.json({
+      unreadCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark one notification as read
+ * POST /api/notifications/:id/read
+ */
+const markAsRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Notification not found'
+        }
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * POST /api/notifications/read-all
+ */
+const markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead
+};
@@ -0,0 +1,35 @@
+/**
+ * Skill Controller
+ * Serves the skill catalog (for autocomplete on profile forms)
+ */
+
+const { SKILL_CATEGORIES, SKILL_LEVELS, searchSkills } = require('../services/skillService');
+
+// Most results returned for a search
+const MAX_LIMIT = 100;
+
+/**
+ * Get catalog skills, optionally filtered by what the user has typed
+ * GET /api/skills?q=rea&category=Frontend&limit=10
+ */
+const getSkills = async (req, res, next) => {
+  try {
+    const { q, category } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || MAX_LIMIT, MAX_LIMIT);
+
+    const skills = searchSkills(q, { category, limit: q ? limit : undefined });
+
+    res.json({
+      skills,
+      categories: SKILL_CATEGORIES,
+      levels: SKILL_LEVELS,
+      total: skills.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSkills
+};
@@ -0,0 +1,212 @@
+/**
+ * Team Chat Controller
+ * Message history and live chat between the members of a team.
+ * Only team members can read or post; the leader can delete messages.
+ */
+
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const TeamMessage = require('../models/TeamMessage');
+const TeamChatRead = require('../models/TeamChatRead');
+const { publishToUsers } = require('../services/realtime');
+
+// Messages returned per page of history
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Get a page of the team's chat history (oldest first within the page)
+ * Pass the ID of the oldest message you have as ?before= to load earlier messages.
+ * GET /api/teams/:id/messages?before=<messageId>&limit=30
+ */
+const getMessages = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Chat is for team members only
+    if (!team.hasMember(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team members can view the team chat' }
+      });
+    }
+
+    const { before, limit } = req.query;
+    const pageSize = Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const filter = { teamId: team._id };
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) {
+        return res.status(400).json({
+          error: { code: 400, message: 'Invalid message cursor' }
+        });
+      }
+      filter._id = { $lt: before };
+    }
+
+    // Fetch one extra message to know whether there are more
+    const page = await TeamMessage.find(filter)
+      .sort({ _id: -1 })
+      .limit(pageSize + 1)
+      .populate('senderId', 'name');
+
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize).reverse();
+
+    // Unread = messages from others since this member last read the chat
+    const read = await TeamChatRead.findOne({ teamId: team._id, userId: req.user._id });
+    const lastReadAt = read ? read.lastReadAt : null;
+
+    const unreadFilter = { teamId: team._id, senderId: { $ne: req.user._id } };
+    if (lastReadAt) {
+      unreadFilter.createdAt = { $gt: lastReadAt };
+    }
+    const unreadCount = await TeamMessage.countDocuments(unreadFilter);
+
+    res.json({
+      messages,
+      hasMore,
+      lastReadAt,
+      unreadCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a message to the team chat
+ * POST /api/teams/:id/messages
+ */
+const sendMessage = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    if (!team.hasMember(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team members can post in the team chat' }
+      });
+    }
+
+    const teamMessage = await TeamMessage.create({
+      teamId: team._id,
+      senderId: req.user._id,
+      content
+    });
+
+    await teamMessage.populate('senderId', 'name');
+
+    // Deliver to members only (never on the public team channel)
+    publishToUsers(team.members, 'team:message', {
+      teamId: team._id.toString(),
+      message: teamMessage
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      teamMessage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a message from the team chat (leader only)
+ * DELETE /api/teams/:id/messages/:messageId
+ */
+const deleteMessage = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only team leader can delete messages
+    if (!team.isLeader(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader can delete messages' }
+      });
+    }
+
+    const teamMessage = await TeamMessage.findOneAndDelete({
+      _id: req.params.messageId,
+      teamId: team._id
+    });
+
+    if (!teamMessage) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Message not found' }
+      });
+    }
+
+    publishToUsers(team.members, 'team:message_deleted', {
+      teamId: team._id.toString(),
+      messageId: teamMessage._id.toString()
+    });
+
+    res.json({
+      message: 'Message deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark the team chat as read up to now
+ * POST /api/teams/:id/messages/read
+ */
+const markChatRead = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    if (!team.hasMember(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team members can view the team chat' }
+      });
+    }
+
+    const read = await TeamChatRead.findOneAndUpdate(
+      { teamId: team._id, userId: req.user._id },
+      { $set: { lastReadAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      message: 'Chat marked as read',
+      lastReadAt: read.lastReadAt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMessages,
+  sendMessage,
+  deleteMessage,
+  markChatRead
+};
@@ -6,6 +6,63 @@
 const Team = require('../models/Team');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const TeamMessage = require('../models/TeamMessage');
+const TeamChatRead = require('../models/TeamChatRead');
+const TeamActivity = require('../models/TeamActivity');
+const { checkTeamAction, getTeamPolicy } = require('../services/teamPolicyService');
+const { notifyUsers, excerpt } = require('../services/notificationService');
+const { publishTeamUpdate } = require('../services/realtime');
+const { recommendTeammates } = require('../services/recommendationService');
+const { institutionScope, isSameInstitution } = require('../services/institutionService');
+const { MAX_INVITE_DAYS } = require('../validators/teamValidators');
+const { getPageParams, toSort, keysetFilter, withCursor, toKeysetPage } = require('../services/paginationService');
+
+// How long invites last unless the inviter picks another duration (days)
+const DEFAULT_INVITE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Team list orders: an event's teams oldest first, the user's own lists newest first
+const EVENT_TEAMS_SORT = [['_id', 1]];
+const MY_TEAMS_SORT = [['_id', -1]];
+// Team activity log: newest first
+const ACTIVITY_SORT = [['_id', -1]];
+
+// Error message for changes to a team that has already registered
+const ROSTER_LOCKED_MESSAGE = 'Team is registered for the event, so its roster is locked';
+
+/**
+ * Remove a user's pending join requests from every team of an event
+ * Called once the user has ended up in a team for that event
+ * @param {string} eventId - Event the teams belong to
+ * @param {string} userId - User whose requests should be removed
+ */
+const clearJoinRequestsForEvent = async (eventId, userId) => {
+  await Team.updateMany(
+    { eventId, joinRequests: userId },
+    { $pull: { joinRequests: userId } }
+  );
+};
+
+/**
+ * Get one page of teams matching a query
+ * @param {Object} query - Team filter
+ * @param {Array} sortFields - One of the *_SORT orders above
+ * @param {Object} pageParams - From getPageParams()
+ * @param {Object[]} populate - Populate options, e.g. [{ path: 'leaderId', select: 'name email' }]
+ * @returns {Promise<Object>} { items, nextCursor, total }
+ */
+const findTeamsPage = async (query, sortFields, { limit, cursor }, populate) => {
+  const [results, total] = await Promise.all([
+    Team.find(withCursor(query, keysetFilter(sortFields, cursor)))
+      .populate(populate)
+      .sort(toSort(sortFields))
+      .limit(limit + 1),
+    Team.countDocuments(query)
+  ]);
+
+  return { ...toKeysetPage(results, limit, sortFields), total };
+};
 
 /**
  * Create a new team for an event
@@ -13,20 +70,11 @@ const User = require('../models/User');
  */
 const createTeam = async (req, res, next) => {
   try {
+    // eventId and name are checked by validators/teamValidators.js
     const { eventId, name } = req.body;
 
-    // Validate required fields
-    if (!eventId || !name) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Event ID and team name are required'
-        }
-      });
-    }
-
-    // Check if event exists
-    const event = await Event.findById(eventId);
+    // Check if event exists (at the user's institution)
+    const event = await Event.findOne({ _id: eventId, ...institutionScope(req.user) });
     if (!event) {
       return res.status(404).json({ 
         error: {
@@ -36,6 +84,14 @@ const createTeam = async (req, res, next) => {
       });
     }
 
+    // Check the event's deadlines and team policy
+    const policy = checkTeamAction(event);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
     // Check if user already has a team for this event
     const existingTeam = await Team.findOne({
       eventId,
@@ -60,18 +116,38 @@ const createTeam = async (req, res, next) => {
       name,
       leaderId: req.user._id,
       members: [req.user._id],
-      invites: []
+      invites: [],
+      joinRequests: []
     });
 
-    await team.save();
+    try {
+      await team.save();
+    } catch (error) {
+      // Another request put the user in a team for this event meanwhile
+      if (Team.isMembershipConflict(error)) {
+        return res.status(400).json({
+          error: {
+            code: 400,
+            message: 'You are already part of a team for this event'
+          }
+        });
+      }
+      throw error;
+    }
+
+    // User now has a team for this event, so drop their other join requests
+    await clearJoinRequestsForEvent(eventId, req.user._id);
 
     // Populate team members and event
     await team.populate('leaderId', 'name email skills');
     await team.populate('members', 'name email skills');
     await team.populate('eventId', 'title teamSize');
 
+    publishTeamUpdate(team, 'created');
+
     res.status(201).json({
       message: 'Team created successfully',
+      warning: policy.warning,
       team
     });
   } catch (error) {
@@ -88,10 +164,13 @@ const getTeamById = async (req, res, next) => {
     const team = await Team.findById(req.params.id)
       .populate('leaderId', 'name email skills stats')
       .populate('members', 'name email skills stats')
-      .populate('invites', 'name email skills')
-      .populate('eventId', 'title teamSize');
+      .populate('invites.userId', 'name email skills')
+      .populate('invites.invitedBy', 'name')
+      .populate('joinRequests', 'name email skills stats')
+      .populate('eventId', 'title teamSize deadlines status teamPolicy institutionId');
 
-    if (!team) {
+    // Teams of other institutions' events don't exist as far as this user knows
+    if (!team || (team.eventId && !isSameInstitution(team.eventId, req.user))) {
       return res.status(404).json({
         error: {
           code: 404,
@@ -100,8 +179,12 @@ const getTeamById = async (req, res, next) => {
       });
     }
 
+    // Expired invites are cleaned up in the background; don't show them meanwhile
+    team.invites = team.getActiveInvites();
+
     res.json({
-      team
+      team,
+      teamPolicy: team.eventId ? getTeamPolicy(team.eventId) : null
     });
   } catch (error) {
     next(error);
@@ -109,19 +192,42 @@ const getTeamById = async (req, res, next) => {
 };
 
 /**
- * Get all teams for an event
- * GET /api/teams/event/:eventId
+ * Suggest students to invite, with the reasons for each suggestion
+ * GET /api/teams/:id/recommendations?limit=10
  */
-const getTeamsByEvent = async (req, res, next) => {
+const getTeamRecommendations = async (req, res, next) => {
   try {
-    const teams = await Team.find({ eventId: req.params.eventId })
-      .populate('leaderId', 'name email')
-      .populate('members', 'name email')
-      .populate('eventId', 'title');
+    const team = await Team.findById(req.params.id)
+      .populate('members', 'skills')
+      .populate('eventId', 'title categories institutionId');
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Team not found'
+        }
+      });
+    }
+
+    // Only the team's own members see who to invite
+    if (!team.hasMember(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          code: 403,
+          message: 'Only team members can see recommendations'
+        }
+      });
+    }
+
+    // Expired invites don't stop someone being suggested again
+    team.invites = team.getActiveInvites();
+
+    const result = await recommendTeammates(team, team.eventId, { limit: req.query.limit });
 
     res.json({
-      teams,
-      total: teams.length
+      ...result,
+      total: result.recommendations.length
     });
   } catch (error) {
     next(error);
@@ -129,25 +235,61 @@ const getTeamsByEvent = async (req, res, next) => {
 };
 
 /**
- * Get current user's teams
- * GET /api/teams/my-teams
+ * Get the teams for an event, one page at a time
+ * GET /api/teams/event/:eventId?limit=20&cursor=...
+ */
+const getTeamsByEvent = async (req, res, next) => {
+  try {
+    if (!(await Event.exists({ _id: req.params.eventId, ...institutionScope(req.user) }))) {
+      return res.status(404).json({
+        error: {
+          code: 404,
+          message: 'Event not found'
+        }
+      });
+    }
+
+    const page = await findTeamsPage({ eventId: req.params.eventId }, EVENT_TEAMS_SORT, getPageParams(req.query), [
+      { path: 'leaderId', select: 'name email' },
+      { path: 'members', select: 'name email' },
+      { path: 'eventId', select: 'title' }
+    ]);
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get current user's teams, newest first, one page at a time
+ * GET /api/teams/my-teams?eventId=...&limit=20&cursor=...
+ * eventId narrows the list to the user's team for that event.
  */
 const getMyTeams = async (req, res, next) => {
   try {
-    const teams = await Team.find({
+    const query = {
       $or: [
         { leaderId: req.user._id },
         { members: req.user._id }
       ]
-    })
-    .populate('leaderId', 'name email')
-    .populate('members', 'name email')
-    .populate('eventId', 'title status deadlines');
+    };
+    if (req.query.eventId) {
+      query.eventId = req.query.eventId;
+    }
 
-    res.json({
-      teams,
-      total: teams.length
+    const page = await findTeamsPage(query, MY_TEAMS_SORT, getPageParams(req.query), [
+      { path: 'leaderId', select: 'name email' },
+      { path: 'members', select: 'name email' },
+      { path: 'eventId', select: 'title status deadlines' }
+    ]);
+
+    // Only count invites that can still be accepted
+    page.items.forEach(team => {
+      team.invites = team.getActiveInvites();
     });
+
+    res.json(page);
   } catch (error) {
     next(error);
   }
@@ -159,16 +301,7 @@ const getMyTeams = async (req, res, next) => {
  */
 const inviteToTeam = async (req, res, next) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'User ID is required'
-        }
-      });
-    }
+    const { userId, message, expiresInDays } = req.body;
 
     // Find team
     const team = await Team.findById(req.params.id).populate('eventId');
@@ -182,16 +315,31 @@ const inviteToTeam = async (req, res, next) => {
       });
     }
 
-    // Only team leader can invite
-    if (team.leaderId.toString() !== req.user._id.toString()) {
+    // Only the leader and co-leaders can invite
+    if (!team.canManageMembers(req.user._id)) {
       return res.status(403).json({
         error: {
           code: 403,
-          message: 'Only team leader can invite members'
+          message: 'Only team leader or co-leaders can invite members'
         }
       });
     }
 
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
+      });
+    }
+
+    // Check the event's deadlines and team policy
+    const policy = checkTeamAction(team.eventId);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
     // Check if team is full
     if (await team.isFull()) {
       return res.status(400).json({
@@ -213,6 +361,16 @@ const inviteToTeam = async (req, res, next) => {
       });
     }
 
+    // Teams are made within one institution
+    if (team.eventId && !isSameInstitution(user, team.eventId)) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'You can only invite students from your institution'
+        }
+      });
+    }
+
     // Check if user is already a member
     if (team.hasMember(userId)) {
       return res.status(400).json({
@@ -251,14 +409,34 @@ const inviteToTeam = async (req, res, next) => {
       });
     }
 
-    // Add invite
-    team.invites.push(userId);
+    // Add invite (replacing any expired one)
+    const days = Math.min(Math.max(parseInt(expiresInDays) || DEFAULT_INVITE_DAYS, 1), MAX_INVITE_DAYS);
+    team.removeInvite(userId);
+    team.invites.push({
+      userId,
+      invitedBy: req.user._id,
+      message,
+      expiresAt: new Date(Date.now() + days * DAY_MS)
+    });
     await team.save();
 
-    await team.populate('invites', 'name email skills');
+    await notifyUsers([userId], {
+      type: 'team_invite',
+      message: `${req.user.name} invited you to join ${team.name} for ${team.eventId.title}` +
+        (message ? `: "${excerpt(message)}"` : ''),
+      link: '/my-teams',
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId._id
+    });
+
+    await team.populate('invites.userId', 'name email skills');
+
+    publishTeamUpdate(team, 'invited');
 
     res.json({
       message: 'Invite sent successfully',
+      warning: policy.warning,
       team
     });
   } catch (error) {
@@ -273,7 +451,7 @@ const inviteToTeam = async (req, res, next) => {
 const joinTeam = async (req, res, next) => {
   try {
     // Find team
-    const team = await Team.findById(req.params.id).populate('eventId');
+    let team = await Team.findById(req.params.id).populate('eventId');
 
     if (!team) {
       return res.status(404).json({
@@ -284,16 +462,33 @@ const joinTeam = async (req, res, next) => {
       });
     }
 
-    // Check if user has an invite
+    // Check if user has an invite that is still valid
     if (!team.hasInvite(req.user._id)) {
       return res.status(400).json({
         error: {
           code: 400,
-          message: 'You do not have an invite to this team'
+          message: team.getInvite(req.user._id)
+            ? 'Your invite to this team has expired'
+            : 'You do not have an invite to this team'
         }
       });
     }
 
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
+      });
+    }
+
+    // Check the event's deadlines and team policy
+    const policy = checkTeamAction(team.eventId);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
     // Check if team is full
     if (await team.isFull()) {
       return res.status(400).json({
@@ -304,20 +499,60 @@ const joinTeam = async (req, res, next) => {
       });
     }
 
-    // Remove from invites and add to members
-    team.invites = team.invites.filter(
-      id => id.toString() !== req.user._id.toString()
-    );
-    team.members.push(req.user._id);
+    // Check if user is already in another team for this event
+    const existingTeam = await Team.findOne({
+      eventId: team.eventId._id,
+      members: req.user._id
+    });
+
+    if (existingTeam) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'You are already part of another team for this event'
+        }
+      });
+    }
+
+    // Remove from invites and add to members, as long as the invite is still
+    // valid and there is still room (the invite may have been revoked or
+    // someone else may have accepted since the checks above)
+    const event = team.eventId;
+    team = await Team.addMember(team._id, req.user._id, event.teamSize.max, {
+      invites: { $elemMatch: { userId: req.user._id, expiresAt: { $gt: new Date() } } }
+    });
 
-    await team.save();
+    if (!team) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: 'Team is full or your invite is no longer valid'
+        }
+      });
+    }
+    team.eventId = event;
+
+    // User now has a team for this event, so drop their other join requests
+    await clearJoinRequestsForEvent(team.eventId._id, req.user._id);
+
+    await notifyUsers(team.members, {
+      type: 'member_joined',
+      message: `${req.user.name} joined ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId._id
+    });
 
     await team.populate('leaderId', 'name email skills');
     await team.populate('members', 'name email skills');
-    await team.populate('invites', 'name email skills');
+    await team.populate('invites.userId', 'name email skills');
+
+    publishTeamUpdate(team, 'member_joined');
 
     res.json({
       message: 'Successfully joined team',
+      warning: policy.warning,
       team
     });
   } catch (error) {
@@ -352,23 +587,52 @@ const leaveTeam = async (req, res, next) => {
       });
     }
 
-    // Team leader cannot leave (must delete team instead)
-    if (team.leaderId.toString() === req.user._id.toString()) {
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
       return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Team leader cannot leave. Delete the team instead.'
-        }
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
       });
     }
 
-    // Remove user from members
-    team.members = team.members.filter(
-      id => id.toString() !== req.user._id.toString()
-    );
+    // Remove user from members (a leaving leader hands over to the longest-standing member)
+    const { newLeaderId, isEmpty } = team.removeMember(req.user._id);
+
+    // Nobody left: the team goes away
+    if (isEmpty) {
+      await Team.findByIdAndDelete(team._id);
+      await TeamMessage.deleteMany({ teamId: team._id });
+      await TeamChatRead.deleteMany({ teamId: team._id });
+      await TeamActivity.deleteMany({ teamId: team._id });
+
+      return res.json({
+        message: 'Left team. It had no other members, so it was deleted'
+      });
+    }
 
     await team.save();
 
+    if (newLeaderId) {
+      await notifyUsers([newLeaderId], {
+        type: 'leadership_transferred',
+        message: `${req.user.name} left ${team.name}, so you are now its leader`,
+        link: `/teams/${team._id}`,
+        actorId: req.user._id,
+        teamId: team._id,
+        eventId: team.eventId
+      });
+    }
+
+    await notifyUsers(team.members, {
+      type: 'member_left',
+      message: `${req.user.name} left ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'member_left', [req.user._id]);
+
     res.json({
       message: 'Successfully left team'
     });
@@ -394,8 +658,8 @@ const deleteTeam = async (req, res, next) => {
       });
     }
 
-    // Only team leader can delete
-    if (team.leaderId.toString() !== req.user._id.toString()) {
+    // Only team leader can delete (co-leaders cannot)
+    if (!team.isLeader(req.user._id)) {
       return res.status(403).json({
         error: {
           code: 403,
@@ -404,8 +668,29 @@ const deleteTeam = async (req, res, next) => {
       });
     }
 
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
+      });
+    }
+
     await Team.findByIdAndDelete(req.params.id);
 
+    // The team's chat and activity log go with it
+    await TeamMessage.deleteMany({ teamId: team._id });
+    await TeamChatRead.deleteMany({ teamId: team._id });
+    await TeamActivity.deleteMany({ teamId: team._id });
+
+    await notifyUsers([...team.members, ...team.getActiveInvites().map(invite => invite.userId), ...team.joinRequests], {
+      type: 'team_deleted',
+      message: `${team.name} was deleted by its leader`,
+      actorId: req.user._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'deleted');
+
     res.json({
       message: 'Team deleted successfully'
     });
@@ -415,22 +700,30 @@ const deleteTeam = async (req, res, next) => {
 };
 
 /**
- * Get teams that have invited the current user
- * GET /api/teams/my-invites
+ * Get teams that have invited the current user, newest first, one page at a time
+ * GET /api/teams/my-invites?limit=20&cursor=...
  */
 const getMyInvites = async (req, res, next) => {
   try {
-    const teams = await Team.find({
-      invites: req.user._id
-    })
-    .populate('leaderId', 'name email')
-    .populate('eventId', 'title status')
-    .populate('invites', 'name email');
+    // Only invites that can still be accepted
+    const page = await findTeamsPage({
+      invites: { $elemMatch: { userId: req.user._id, expiresAt: { $gt: new Date() } } }
+    }, MY_TEAMS_SORT, getPageParams(req.query), [
+      { path: 'leaderId', select: 'name email' },
+      { path: 'eventId', select: 'title status' },
+      { path: 'invites.invitedBy', select: 'name' }
+    ]);
 
-    res.json({
-      invites: teams,
-      total: teams.length
+    // Return each team with just this user's invite (who sent it, message, expiry)
+    page.items = page.items.map(team => {
+      const { invites: allInvites, ...teamData } = team.toObject();
+      return {
+        ...teamData,
+        invite: allInvites.find(invite => invite.userId.toString() === req.user._id.toString())
+      };
     });
+
+    res.json(page);
   } catch (error) {
     next(error);
   }
@@ -458,9 +751,20 @@ const declineInvite = async (req, res, next) => {
     }
 
     // Remove the invite
-    team.invites = team.invites.filter(id => id.toString() !== req.user._id.toString());
+    team.removeInvite(req.user._id);
     await team.save();
 
+    await notifyUsers([team.leaderId], {
+      type: 'invite_declined',
+      message: `${req.user.name} declined the invite to ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'invite_declined', [req.user._id]);
+
     res.json({
       message: 'Invitation declined'
     });
@@ -469,9 +773,774 @@ const declineInvite = async (req, res, next) => {
   }
 };
 
+/**
+ * Ask to join a team
+ * POST /api/teams/:id/request
+ */
+const requestToJoin = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id).populate('eventId');
+
+    if (!team || (team.eventId && !isSameInstitution(team.eventId, req.user))) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Check if user is already a member
+    if (team.hasMember(req.user._id)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'You are already a member of this team' }
+      });
+    }
+
+    // An invite already exists, so the user can simply accept it
+    if (team.hasInvite(req.user._id)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'You already have an invite to this team. Accept it instead.' }
+      });
+    }
+
+    // Check if user already asked to join
+    if (team.hasJoinRequest(req.user._id)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'You already have a pending request for this team' }
+      });
+    }
+
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
+      });
+    }
+
+    // Check the event's deadlines and team policy
+    const policy = checkTeamAction(team.eventId);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
+    // Check if team is full
+    if (await team.isFull()) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Team is already full' }
+      });
+    }
+
+    // Check if user is already in another team for this event
+    const existingTeam = await Team.findOne({
+      eventId: team.eventId,
+      $or: [
+        { leaderId: req.user._id },
+        { members: req.user._id }
+      ]
+    });
+
+    if (existingTeam) {
+      return res.status(400).json({
+        error: { code: 400, message: 'You are already part of a team for this event' }
+      });
+    }
+
+    // Add join request
+    team.joinRequests.push(req.user._id);
+    await team.save();
+
+    await notifyUsers([team.leaderId, ...team.coLeaders], {
+      type: 'join_request',
+      message: `${req.user.name} asked to join ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId._id
+    });
+
+    publishTeamUpdate(team, 'join_requested');
+
+    res.json({
+      message: 'Join request sent successfully',
+      warning: policy.warning
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel the current user's join request
+ * DELETE /api/teams/:id/request
+ */
+const cancelJoinRequest = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Check user actually has a request
+    if (!team.hasJoinRequest(req.user._id)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'You do not have a pending request for this team' }
+      });
+    }
+
+    // Remove the request
+    team.joinRequests = team.joinRequests.filter(id => id.toString() !== req.user._id.toString());
+    await team.save();
+
+    publishTeamUpdate(team, 'join_request_cancelled', [req.user._id]);
+
+    res.json({
+      message: 'Join request cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a pending join request (leader only)
+ * POST /api/teams/:id/requests/:userId/approve
+ */
+const approveJoinRequest = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    let team = await Team.findById(req.params.id).populate('eventId');
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only the leader and co-leaders can approve
+    if (!team.canManageMembers(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader or co-leaders can approve join requests' }
+      });
+    }
+
+    if (!team.hasJoinRequest(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'This user has no pending request for this team' }
+      });
+    }
+
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
+      });
+    }
+
+    // Check the event's deadlines and team policy
+    const policy = checkTeamAction(team.eventId);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
+    // Check if team is full
+    if (await team.isFull()) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Team is already full' }
+      });
+    }
+
+    // The user may have joined another team since asking
+    const existingTeam = await Team.findOne({
+      eventId: team.eventId,
+      $or: [
+        { leaderId: userId },
+        { members: userId }
+      ]
+    });
+
+    if (existingTeam) {
+      team.joinRequests = team.joinRequests.filter(id => id.toString() !== userId.toString());
+      await team.save();
+
+      return res.status(400).json({
+        error: { code: 400, message: 'User is already part of another team for this event' }
+      });
+    }
+
+    // Move the user from requests (and invites, if any) to members, as long as
+    // the request is still pending and there is still room
+    const event = team.eventId;
+    team = await Team.addMember(team._id, userId, event.teamSize.max, { joinRequests: userId });
+
+    if (!team) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Team is full or the request was already handled' }
+      });
+    }
+    team.eventId = event;
+
+    // User now has a team for this event, so drop their other join requests
+    await clearJoinRequestsForEvent(team.eventId._id, userId);
+
+    await notifyUsers([userId], {
+      type: 'join_request_approved',
+      message: `Your request to join ${team.name} was approved`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId._id
+    });
+
+    await team.populate('leaderId', 'name email skills stats');
+    await team.populate('members', 'name email skills stats');
+    await team.populate('invites.userId', 'name email skills');
+    await team.populate('joinRequests', 'name email skills stats');
+
+    publishTeamUpdate(team, 'join_request_approved');
+
+    res.json({
+      message: 'Join request approved',
+      warning: policy.warning,
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a pending join request (leader only)
+ * POST /api/teams/:id/requests/:userId/reject
+ */
+const rejectJoinRequest = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only the leader and co-leaders can reject
+    if (!team.canManageMembers(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader or co-leaders can reject join requests' }
+      });
+    }
+
+    if (!team.hasJoinRequest(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'This user has no pending request for this team' }
+      });
+    }
+
+    // Remove the request
+    team.joinRequests = team.joinRequests.filter(id => id.toString() !== userId.toString());
+    await team.save();
+
+    await notifyUsers([userId], {
+      type: 'join_request_rejected',
+      message: `Your request to join ${team.name} was declined`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'join_request_rejected', [userId]);
+
+    res.json({
+      message: 'Join request rejected'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a team for its event (leader only)
+ * Checks the team size limits and registration deadline, then freezes the roster
+ * POST /api/teams/:id/register
+ */
+const registerTeam = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id).populate('eventId');
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only team leader can register
+    if (!team.isLeader(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader can register the team' }
+      });
+    }
+
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Team is already registered for this event' }
+      });
+    }
+
+    const event = team.eventId;
+
+    if (!event) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Event not found' }
+      });
+    }
+
+    // Check the event's deadlines and team policy (including any grace window)
+    const policy = checkTeamAction(event);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
+    // Check team size limits
+    if (team.members.length < event.teamSize.min) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: `Team needs at least ${event.teamSize.min} members to register (currently ${team.members.length})`
+        }
+      });
+    }
+
+    if (team.members.length > event.teamSize.max) {
+      return res.status(400).json({
+        error: {
+          code: 400,
+          message: `Team can have at most ${event.teamSize.max} members (currently ${team.members.length})`
+        }
+      });
+    }
+
+    // Freeze the roster: record the registration and drop pending invites/requests
+    const pendingUsers = [...team.invites.map(invite => invite.userId), ...team.joinRequests];
+    team.registeredAt = new Date();
+    team.registeredBy = req.user._id;
+    team.invites = [];
+    team.joinRequests = [];
+
+    await team.save();
+
+    await notifyUsers(team.members, {
+      type: 'team_registered',
+      message: `${team.name} is now registered for ${event.title}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: event._id
+    });
+
+    await team.populate('leaderId', 'name email skills stats');
+    await team.populate('members', 'name email skills stats');
+    await team.populate('eventId', 'title teamSize deadlines status');
+
+    publishTeamUpdate(team, 'registered', pendingUsers);
+
+    res.json({
+      message: 'Team registered successfully',
+      warning: policy.warning,
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get teams the current user has asked to join, newest first, one page at a time
+ * GET /api/teams/my-requests?limit=20&cursor=...
+ */
+const getMyJoinRequests = async (req, res, next) => {
+  try {
+    const page = await findTeamsPage({ joinRequests: req.user._id }, MY_TEAMS_SORT, getPageParams(req.query), [
+      { path: 'leaderId', select: 'name email' },
+      { path: 'eventId', select: 'title status' },
+      { path: 'members', select: 'name email' }
+    ]);
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand team leadership to another member (leader only)
+ * The old leader stays on the team as a regular member
+ * POST /api/teams/:id/transfer
+ */
+const transferLeadership = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only team leader can transfer leadership
+    if (!team.isLeader(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader can transfer leadership' }
+      });
+    }
+
+    if (team.isLeader(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'You are already the team leader' }
+      });
+    }
+
+    if (!team.hasMember(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Leadership can only be transferred to a team member' }
+      });
+    }
+
+    team.leaderId = userId;
+    team.coLeaders = team.coLeaders.filter(id => id.toString() !== userId.toString());
+
+    await team.save();
+
+    await notifyUsers([userId], {
+      type: 'leadership_transferred',
+      message: `${req.user.name} made you the leader of ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'leadership_transferred');
+
+    res.json({
+      message: 'Leadership transferred',
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make a member a co-leader (leader only)
+ * Co-leaders can invite members and handle join requests
+ * POST /api/teams/:id/co-leaders
+ */
+const addCoLeader = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only team leader can appoint co-leaders
+    if (!team.isLeader(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader can appoint co-leaders' }
+      });
+    }
+
+    if (!team.hasMember(userId) || team.isLeader(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Only other team members can be made co-leaders' }
+      });
+    }
+
+    if (team.isCoLeader(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'User is already a co-leader' }
+      });
+    }
+
+    team.coLeaders.push(userId);
+    await team.save();
+
+    await notifyUsers([userId], {
+      type: 'team_role_changed',
+      message: `${req.user.name} made you a co-leader of ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'co_leader_added');
+
+    res.json({
+      message: 'Co-leader added',
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member's co-leader role (leader only)
+ * DELETE /api/teams/:id/co-leaders/:userId
+ */
+const removeCoLeader = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only team leader can remove co-leaders
+    if (!team.isLeader(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader can remove co-leaders' }
+      });
+    }
+
+    if (!team.isCoLeader(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'User is not a co-leader' }
+      });
+    }
+
+    team.coLeaders = team.coLeaders.filter(id => id.toString() !== userId.toString());
+    await team.save();
+
+    await notifyUsers([userId], {
+      type: 'team_role_changed',
+      message: `You are no longer a co-leader of ${team.name}`,
+      link: `/teams/${team._id}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'co_leader_removed', [userId]);
+
+    res.json({
+      message: 'Co-leader removed',
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from the team (leader only)
+ * Optional reason is shown to the removed member and kept in the team's activity log
+ * POST /api/teams/:id/members/:userId/remove
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const team = await Team.findById(req.params.id).populate('eventId');
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Only team leader can remove members
+    if (!team.isLeader(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader can remove members' }
+      });
+    }
+
+    if (team.isLeader(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'Team leader cannot remove themselves. Leave the team instead.' }
+      });
+    }
+
+    if (!team.hasMember(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'User is not a member of this team' }
+      });
+    }
+
+    // Registered teams have a frozen roster
+    if (team.isRegistered()) {
+      return res.status(400).json({
+        error: { code: 400, message: ROSTER_LOCKED_MESSAGE }
+      });
+    }
+
+    // Check the event's deadlines and team policy
+    const policy = checkTeamAction(team.eventId);
+    if (!policy.allowed) {
+      return res.status(400).json({
+        error: { code: 400, message: policy.reason }
+      });
+    }
+
+    team.removeMember(userId);
+    await team.save();
+
+    await TeamActivity.create({
+      teamId: team._id,
+      actorId: req.user._id,
+      action: 'member_removed',
+      targetUserId: userId,
+      reason
+    });
+
+    await notifyUsers([userId], {
+      type: 'member_removed',
+      message: reason
+        ? `You were removed from ${team.name}. Reason: ${excerpt(reason)}`
+        : `You were removed from ${team.name}`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId._id
+    });
+
+    publishTeamUpdate(team, 'member_removed', [userId]);
+
+    res.json({
+      message: 'Member removed',
+      warning: policy.warning
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invite (leader or co-leaders)
+ * Optional reason is shown to the invitee and kept in the team's activity log
+ * POST /api/teams/:id/invites/:userId/revoke
+ */
+const revokeInvite = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    // Whoever can invite can also take an invite back
+    if (!team.canManageMembers(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team leader or co-leaders can revoke invites' }
+      });
+    }
+
+    if (!team.hasInvite(userId)) {
+      return res.status(400).json({
+        error: { code: 400, message: 'This user has no pending invite to this team' }
+      });
+    }
+
+    team.removeInvite(userId);
+    await team.save();
+
+    await TeamActivity.create({
+      teamId: team._id,
+      actorId: req.user._id,
+      action: 'invite_revoked',
+      targetUserId: userId,
+      reason
+    });
+
+    await notifyUsers([userId], {
+      type: 'invite_revoked',
+      message: reason
+        ? `Your invite to ${team.name} was withdrawn. Reason: ${excerpt(reason)}`
+        : `Your invite to ${team.name} was withdrawn`,
+      actorId: req.user._id,
+      teamId: team._id,
+      eventId: team.eventId
+    });
+
+    publishTeamUpdate(team, 'invite_revoked', [userId]);
+
+    res.json({
+      message: 'Invite revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a page of the team's activity log (removed members, revoked invites,
+ * with the reasons given), newest first. Team members only.
+ * GET /api/teams/:id/activity
+ */
+const getTeamActivity = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: { code: 404, message: 'Team not found' }
+      });
+    }
+
+    if (!team.hasMember(req.user._id)) {
+      return res.status(403).json({
+        error: { code: 403, message: 'Only team members can view the team activity' }
+      });
+    }
+
+    const { limit, cursor } = getPageParams(req.query);
+    const query = { teamId: team._id };
+
+    const [results, total] = await Promise.all([
+      TeamActivity.find(withCursor(query, keysetFilter(ACTIVITY_SORT, cursor)))
+        .populate('actorId', 'name')
+        .populate('targetUserId', 'name')
+        .sort(toSort(ACTIVITY_SORT))
+        .limit(limit + 1),
+      TeamActivity.countDocuments(query)
+    ]);
+
+    res.json({ ...toKeysetPage(results, limit, ACTIVITY_SORT), total });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createTeam,
   getTeamById,
+  getTeamRecommendations,
   getTeamsByEvent,
   getMyTeams,
   getMyInvites,
@@ -479,5 +1548,17 @@ module.exports = {
   joinTeam,
   leaveTeam,
   declineInvite,
-  deleteTeam
+  deleteTeam,
+  requestToJoin,
+  cancelJoinRequest,
+  approveJoinRequest,
+  rejectJoinRequest,
+  getMyJoinRequests,
+  registerTeam,
+  transferLeadership,
+  addCoLeader,
+  removeCoLeader,
+  removeMember,
+  revokeInvite,
+  getTeamActivity
 };
@@ -4,6 +4,61 @@
  */
 
 const User = require('../models/User');
+const { normalizeSkill, normalizeSkillList, skillKey, buildSkillQuery } = require('../services/skillService');
+const { getPageParams, toSort, keysetFilter, toKeysetPage } = require('../services/paginationService');
+const { institutionScope } = require('../services/institutionService');
+
+// Student list order: best skill match, then most experienced, then oldest account
+const STUDENT_SORT = [['matchScore', -1], ['stats.eventsParticipated', -1], ['_id', 1]];
+
+/**
+ * Turn a comma-separated skills query into canonical skills
+ * @param {string} skills - e.g. "ReactJS, python"
+ * @returns {string[]} e.g. ["react", "python"]
+ */
+const parseSkillQuery = (skills) => {
+  return [...new Set(String(skills || '').split(',').map(normalizeSkill).filter(Boolean))];
+};
+
+/**
+ * Get one page of students matching a query
+ * Ranked by how many of the searched skills they have, then by experience.
+ * The ranking is computed in the database so it can be paged with a cursor.
+ *
+ * @param {Object} query - User filter
+ * @param {string[]} searchSkills - Canonical skills searched for (may be empty)
+ * @param {Object} pageParams - From getPageParams()
+ * @returns {Promise<Object>} { items, nextCursor, total } (each item has a matchScore)
+ */
+const findStudentsPage = async (query, searchSkills, { limit, cursor }) => {
+  const wanted = searchSkills.map(skillKey);
+
+  const [results, total] = await Promise.all([
+    User.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          matchScore: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$skills', []] },
+                as: 'skill',
+                cond: { $in: [{ $toLower: '$$skill' }, wanted] }
+              }
+            }
+          }
+        }
+      },
+      { $match: keysetFilter(STUDENT_SORT, cursor) },
+      { $sort: toSort(STUDENT_SORT) },
+      { $limit: limit + 1 },
+      { $project: { passwordHash: 0, refreshToken: 0, __v: 0 } }
+    ]),
+    User.countDocuments(query)
+  ]);
+
+  return { ...toKeysetPage(results, limit, STUDENT_SORT), total };
+};
 
 /**
  * Get current user's profile
@@ -45,7 +100,12 @@ const updateMyProfile = async (req, res, next) => {
     if (course !== undefined) user.course = course;
     if (branch !== undefined) user.branch = branch;
     if (year !== undefined) user.year = year;
-  if (skills !== undefined) user.skills = skills;
+    // Store canonical skill IDs (and levels, if given)
+    if (skills !== undefined) {
+      const normalized = normalizeSkillList(skills);
+      user.skills = normalized.skills;
+      user.skillLevels = normalized.skillLevels;
+    }
     if (achievements !== undefined) user.achievements = achievements;
   if (phone !== undefined) user.phone = phone;
 
@@ -61,66 +121,28 @@ const updateMyProfile = async (req, res, next) => {
 };
 
 /**
- * Get all students with optional skill filtering
- * GET /api/users/all?skills=react,python&limit=50
+ * Get all students with optional skill filtering, one page at a time
+ * GET /api/users/all?skills=react,python&limit=20&cursor=...
  */
 const getAllStudents = async (req, res, next) => {
   try {
-    const { skills, limit = 50 } = req.query;
+    const skillArray = parseSkillQuery(req.query.skills);
+    const pageParams = getPageParams(req.query);
 
-    // Base query - get all students except current user
-    let query = {
+    // Base query - get all active students at the user's institution except the user
+    const query = {
       role: 'student',
+      ...institutionScope(req.user),
+      suspendedAt: null,
       _id: { $ne: req.user._id }
     };
 
-    // If skills provided, add skill filter
-    if (skills && skills.trim()) {
-      const skillArray = skills.split(',').map(s => s.trim().toLowerCase());
-      query.skills = {
-        $in: skillArray.map(skill => new RegExp(skill, 'i'))
-      };
+    // If skills provided, add skill filter (on canonical skills)
+    if (skillArray.length > 0) {
+      query.skills = buildSkillQuery(skillArray);
     }
 
-    // Find users
-    const users = await User.find(query)
-      .select('-passwordHash -refreshToken')
-      .limit(parseInt(limit))
-      .sort({ 'stats.eventsParticipated': -1 }); // Sort by experience
-
-    // Calculate match score if skills provided
-    let rankedUsers = users.map(user => {
-      let matchScore = 0;
-      
-      if (skills && skills.trim()) {
-        const skillArray = skills.split(',').map(s => s.trim().toLowerCase());
-        matchScore = user.skills.filter(userSkill =>
-          skillArray.some(searchSkill =>
-            userSkill.toLowerCase().includes(searchSkill)
-          )
-        ).length;
-      }
-
-      return {
-        ...user.toJSON(),
-        matchScore
-      };
-    });
-
-    // Sort by match score if filtering by skills
-    if (skills && skills.trim()) {
-      rankedUsers.sort((a, b) => {
-        if (b.matchScore !== a.matchScore) {
-          return b.matchScore - a.matchScore;
-        }
-        return b.stats.eventsParticipated - a.stats.eventsParticipated;
-      });
-    }
-
-    res.json({
-      users: rankedUsers,
-      total: rankedUsers.length
-    });
+    res.json(await findStudentsPage(query, skillArray, pageParams));
   } catch (error) {
     next(error);
   }
@@ -128,63 +150,21 @@ const getAllStudents = async (req, res, next) => {
 
 /**
  * Search for users by skills (kept for backward compatibility)
- * GET /api/users/search?skills=react,python&limit=20
+ * GET /api/users/search?skills=react,python&limit=20&cursor=...
  */
 const searchUsers = async (req, res, next) => {
   try {
-    const { skills, limit = 20 } = req.query;
-
-    if (!skills) {
-      return res.status(400).json({
-        error: {
-          code: 400,
-          message: 'Skills parameter is required'
-        }
-      });
-    }
+    // Convert comma-separated skills (required, see validators/userValidators.js) to canonical skills
+    const skillArray = parseSkillQuery(req.query.skills);
+    const pageParams = getPageParams(req.query);
 
-    // Convert comma-separated skills to array
-    const skillArray = skills.split(',').map(s => s.trim().toLowerCase());
-
-    // Find users with matching skills
-    // We use case-insensitive regex matching
-    const users = await User.find({
+    res.json(await findStudentsPage({
       role: 'student', // Only search students
-      skills: {
-        $in: skillArray.map(skill => new RegExp(skill, 'i'))
-      },
+      ...institutionScope(req.user),
+      suspendedAt: null,
+      skills: buildSkillQuery(skillArray),
       _id: { $ne: req.user._id } // Exclude current user
-    })
-    .select('-passwordHash -refreshToken')
-    .limit(parseInt(limit));
-
-    // Calculate match score for each user
-    const rankedUsers = users.map(user => {
-      // Count how many skills match
-      const matchCount = user.skills.filter(userSkill =>
-        skillArray.some(searchSkill =>
-          userSkill.toLowerCase().includes(searchSkill)
-        )
-      ).length;
-
-      return {
-        ...user.toJSON(),
-        matchScore: matchCount
-      };
-    });
-
-    // Sort by match score (descending), then by events participated (descending)
-    rankedUsers.sort((a, b) => {
-      if (b.matchScore !== a.matchScore) {
-        return b.matchScore - a.matchScore;
-      }
-      return b.stats.eventsParticipated - a.stats.eventsParticipated;
-    });
-
-    res.json({
-      users: rankedUsers,
-      total: rankedUsers.length
-    });
+    }, skillArray, pageParams));
   } catch (error) {
     next(error);
   }
@@ -196,7 +176,7 @@ const searchUsers = async (req, res, next) => {
  */
 const getUserById = async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id)
+    const user = await User.findOne({ _id: req.params.id, ...institutionScope(req.user) })
       .select('-passwordHash -refreshToken');
 
     if (!user) {
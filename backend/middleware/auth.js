@@ -5,6 +5,37 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { hasPermission } = require('../config/roles');
+
+/**
+ * Verify a JWT access token and load its user
+ * Shared by the authenticate middleware and the real-time socket server
+ * @param {string} token - Access token
+ * @returns {Promise<Object|null>} User, or null if the user no longer exists
+ * @throws {Error} TokenExpiredError / JsonWebTokenError for bad tokens
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  return User.findById(decoded.userId).select('-passwordHash -refreshToken');
+};
+
+/**
+ * Response for a suspended account
+ * Shared with login, so the app can tell suspension apart from bad credentials.
+ * @param {Object} res - Express response object
+ * @param {Object} user - Suspended user
+ */
+const accountSuspended = (res, user) => {
+  return res.status(403).json({
+    error: {
+      code: 403,
+      message: user.suspendedReason
+        ? `Your account has been suspended: ${user.suspendedReason}`
+        : 'Your account has been suspended',
+      suspended: true
+    }
+  });
+};
 
 /**
  * Verify JWT access token and attach user to request
@@ -29,11 +60,8 @@ const authenticate = async (req, res, next) => {
     // Extract token (remove "Bearer " prefix)
     const token = authHeader.substring(7);
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-
-    // Find user by ID from token
-    const user = await User.findById(decoded.userId).select('-passwordHash -refreshToken');
+    // Verify token and find its user
+    const user = await verifyAccessToken(token);
 
     if (!user) {
       return res.status(401).json({
@@ -44,8 +72,13 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    if (user.suspendedAt) {
+      return accountSuspended(res, user);
+    }
+
+    // Attach user (and the session the token was issued for) to request object
     req.user = user;
+    req.sessionId = jwt.decode(token).sid || null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -67,15 +100,17 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Verify user has admin role
+ * Verify user's role has a permission (see config/roles.js)
  * Must be used after authenticate middleware
+ * @param {string} permission - e.g. PERMISSIONS.CREATE_EVENTS
+ * @returns {Function} Express middleware
  */
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
     return res.status(403).json({
       error: {
         code: 403,
-        message: 'Admin access required'
+        message: 'You do not have permission to do this'
       }
     });
   }
@@ -99,7 +134,9 @@ const requireStudent = (req, res, next) => {
 };
 
 module.exports = {
+  verifyAccessToken,
+  accountSuspended,
   authenticate,
-  requireAdmin,
+  requirePermission,
   requireStudent
 };
@@ -30,6 +30,12 @@ const errorHandler = (err, req, res, next) => {
     message = 'Invalid ID format';
   }
 
+  // Document was changed by another request after it was loaded
+  if (err.name === 'VersionError') {
+    statusCode = 409;
+    message = 'This was changed by someone else at the same time. Please reload and try again.';
+  }
+
   if (err.code === 11000) {
     statusCode = 400;
     const field = Object.keys(err.keyPattern)[0];
@@ -0,0 +1,52 @@
+/**
+ * Request Validation Middleware
+ * Runs an express-validator schema (see validators/) before a controller and
+ * rejects invalid requests with field-level errors:
+ *
+ *   400 { error: { code: 400, message, fields: { email: 'Valid email is required', ... } } }
+ *
+ * `message` is the first problem found (for pages that show one alert); forms
+ * can use `fields` to show each message next to its input. Nested fields use
+ * dot paths, e.g. "teamSize.max" or "deadlines.eventEnd".
+ */
+
+const { checkSchema, validationResult } = require('express-validator');
+
+/**
+ * Send field-level errors if any validation failed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req).array({ onlyFirstError: true });
+
+  if (errors.length === 0) {
+    return next();
+  }
+
+  const fields = {};
+  errors.forEach(error => {
+    const field = error.type === 'field' ? error.path : '_';
+    if (!fields[field]) fields[field] = error.msg;
+  });
+
+  res.status(400).json({
+    error: {
+      code: 400,
+      message: errors[0].msg,
+      fields
+    }
+  });
+};
+
+/**
+ * Build middleware that validates a request against a schema
+ * @param {Object} schema - express-validator schema (field -> rules)
+ * @returns {Function[]} Middleware to put before the controller
+ */
+const validate = (schema) => [...checkSchema(schema), handleValidationErrors];
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,50 @@
+/**
+ * AccountToken Model
+ * A link emailed to a user to verify their email or reset their password.
+ * Only a hash of the token is stored; it works once and until it expires
+ * (see services/accountTokenService.js).
+ */
+
+const mongoose = require('mongoose');
+
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  purpose: {
+    type: String,
+    enum: ['verify-email', 'reset-password'],
+    required: [true, 'Purpose is required']
+  },
+
+  // SHA-256 of the token sent in the email
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+
+  // MongoDB deletes the token after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when the link is followed, so it can't be used again
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+accountTokenSchema.index({ tokenHash: 1 });
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
@@ -0,0 +1,63 @@
+/**
+ * AI Usage Model
+ * One record per AI request, used for per-user quotas and usage logs
+ */
+
+const mongoose = require('mongoose');
+
+const aiUsageSchema = new mongoose.Schema({
+  // User who made the request
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Which AI feature was used
+  feature: {
+    type: String,
+    enum: ['summarize-document', 'summarize-brochure', 'ask', 'parse-brochure'],
+    required: [true, 'Feature is required']
+  },
+
+  // Provider that handled the request (gemini, stub, fake)
+  provider: {
+    type: String,
+    trim: true
+  },
+
+  // Optional event the request was about
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+
+  // Whether the provider call succeeded
+  success: {
+    type: Boolean,
+    default: true
+  },
+
+  // How long the provider call took (milliseconds)
+  durationMs: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Error message when the call failed
+  errorMessage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Error message cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for counting a user's recent requests (quota checks)
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+
+const AiUsage = mongoose.model('AiUsage', aiUsageSchema);
+
+module.exports = AiUsage;
@@ -0,0 +1,103 @@
+/**
+ * Chat Thread Model
+ * One conversation per user per event with the event's AI assistant,
+ * so follow-up questions can refer back to earlier ones
+ */
+
+const mongoose = require('mongoose');
+
+// Most messages kept per thread (oldest are dropped first)
+const MAX_MESSAGES = 50;
+
+// Longest message kept; longer AI answers are cut off in the saved history
+const MAX_CONTENT_LENGTH = 10000;
+
+const chatMessageSchema = new mongoose.Schema({
+  // Who wrote the message
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+
+  content: {
+    type: String,
+    required: true,
+    maxlength: [MAX_CONTENT_LENGTH, `Message cannot exceed ${MAX_CONTENT_LENGTH} characters`]
+  },
+
+  // Event sections the answer was based on (assistant messages only)
+  citations: [{
+    section: String, // e.g. "rules", "deadlines", "brochure"
+    label: String,   // e.g. "Rule 3"
+    excerpt: String
+  }]
+}, {
+  _id: false,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const chatThreadSchema = new mongoose.Schema({
+  // User having the conversation
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Event the conversation is about
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required']
+  },
+
+  messages: {
+    type: [chatMessageSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Each user has a single thread per event
+chatThreadSchema.index({ userId: 1, eventId: 1 }, { unique: true });
+
+// Keep threads from growing forever
+chatThreadSchema.pre('save', function(next) {
+  if (this.messages.length > MAX_MESSAGES) {
+    this.messages = this.messages.slice(-MAX_MESSAGES);
+  }
+  next();
+});
+
+/**
+ * Add messages to a user's thread about an event, creating it if needed
+ * A single upsert, so two first questions sent at once share one thread
+ * (MongoDB retries an upsert that loses the race on the unique index).
+ * @param {string} userId
+ * @param {string} eventId
+ * @param {Object[]} messages - { role, content, citations }
+ * @returns {Promise<Object>} Updated thread
+ */
+chatThreadSchema.statics.addMessages = function(userId, eventId, messages) {
+  return this.findOneAndUpdate(
+    { userId, eventId },
+    {
+      $push: {
+        messages: {
+          $each: messages.map(message => ({
+            ...message,
+            content: String(message.content).slice(0, MAX_CONTENT_LENGTH)
+          })),
+          $slice: -MAX_MESSAGES
+        }
+      }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+const ChatThread = mongoose.model('ChatThread', chatThreadSchema);
+
+module.exports = ChatThread;
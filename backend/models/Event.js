@@ -84,13 +84,67 @@ const eventSchema = new mongoose.Schema({
     }
   },
   
+  // Admin settings for when teams can be formed or changed
+  // (see services/teamPolicyService.js)
+  teamPolicy: {
+    // Hours after registration closes during which team changes are still allowed
+    graceHours: {
+      type: Number,
+      default: 0,
+      min: [0, 'Grace window cannot be negative'],
+      max: [720, 'Grace window cannot exceed 720 hours (30 days)']
+    },
+    // Date after which team rosters are locked, whatever the other deadlines say
+    rosterLockDate: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Optional brochure/image URL
   brochureUrl: {
     type: String,
     trim: true
   },
+
+  // Text read out of the brochure, cached for the chatbot to search
+  brochureText: {
+    // Left out of queries unless asked for: it can be long
+    text: {
+      type: String,
+      select: false
+    },
+    // Brochure the text was read from (a new brochure gets a new URL)
+    sourceUrl: {
+      type: String
+    },
+    extractedAt: {
+      type: Date
+    }
+  },
+
+  // AI summary of the brochure, cached so it is generated once for everyone
+  brochureSummary: {
+    text: {
+      type: String
+    },
+    // SHA-256 of the brochure file the summary was made from
+    fileHash: {
+      type: String
+    },
+    // Brochure the summary was made from (a new brochure gets a new URL)
+    sourceUrl: {
+      type: String
+    },
+    provider: {
+      type: String
+    },
+    generatedAt: {
+      type: Date
+    }
+  },
   
-  // Event status (automatically computed based on dates)
+  // Event status (computed from dates on save and kept current by the event scheduler)
   status: {
     type: String,
     enum: ['upcoming', 'ongoing', 'past'],
@@ -102,6 +156,20 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Event creator is required']
+  },
+
+  // People running the event: they can edit it and see its registrations
+  // (the creator is the first; events from before organizers only have createdBy)
+  organizers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // College running the event (its creator's); only its students see it
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
   }
 }, {
   timestamps: true
@@ -109,21 +177,42 @@ const eventSchema = new mongoose.Schema({
 
 // Indexes for faster queries
 eventSchema.index({ status: 1 });
+eventSchema.index({ institutionId: 1 });
+eventSchema.index({ organizers: 1 });
 eventSchema.index({ categories: 1 });
 eventSchema.index({ 'deadlines.eventStart': 1 });
+eventSchema.index({ 'deadlines.eventEnd': 1 });
+
+// Full-text search over the event's wording (GET /api/events?q=...)
+// Title matches count most, then rules, then the description
+eventSchema.index(
+  { title: 'text', rules: 'text', description: 'text' },
+  { name: 'event_text_search', weights: { title: 10, rules: 3, description: 1 } }
+);
+
+// Work out what an event's status should be at a point in time
+// (also used by the event scheduler, see services/eventScheduler.js)
+eventSchema.statics.computeStatus = function(deadlines = {}, now = new Date()) {
+  if (deadlines.eventEnd && now > deadlines.eventEnd) {
+    return 'past';
+  }
+  if (deadlines.eventStart && now >= deadlines.eventStart) {
+    return 'ongoing';
+  }
+  return 'upcoming';
+};
+
+// Method to check if a user is one of the event's organizers
+eventSchema.methods.isOrganizer = function(userId) {
+  const organizers = this.organizers && this.organizers.length > 0
+    ? this.organizers
+    : [this.createdBy];
+  return organizers.some(organizer => organizer && (organizer._id || organizer).toString() === userId.toString());
+};
 
 // Method to update event status based on current date
 eventSchema.methods.updateStatus = function() {
-  const now = new Date();
-  
-  if (this.deadlines.eventEnd && now > this.deadlines.eventEnd) {
-    this.status = 'past';
-  } else if (this.deadlines.eventStart && now >= this.deadlines.eventStart) {
-    this.status = 'ongoing';
-  } else {
-    this.status = 'upcoming';
-  }
-  
+  this.status = this.constructor.computeStatus(this.deadlines);
   return this.status;
 };
 
@@ -0,0 +1,43 @@
+/**
+ * Institution Model
+ * A college sharing this deployment. Users join the institution whose email
+ * domain they register with, and only see its events and students.
+ */
+
+const mongoose = require('mongoose');
+
+const institutionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Institution name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [200, 'Institution name cannot exceed 200 characters']
+  },
+
+  // Email domains of the institution, e.g. ["example.edu"]
+  // Subdomains count too (cs.example.edu belongs to example.edu).
+  domains: {
+    type: [String],
+    validate: {
+      validator: function(arr) {
+        return arr.length > 0 && arr.length <= 20;
+      },
+      message: 'Institution must have 1 to 20 email domains'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A domain can only belong to one institution
+institutionSchema.index({ domains: 1 }, { unique: true });
+
+const Institution = mongoose.model('Institution', institutionSchema);
+
+module.exports = Institution;
@@ -0,0 +1,92 @@
+/**
+ * Notification Model
+ * In-app notifications about team invites, joins and event changes
+ */
+
+const mongoose = require('mongoose');
+
+// Notifications older than this are removed automatically
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days
+
+const notificationSchema = new mongoose.Schema({
+  // User who receives the notification
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // What happened
+  type: {
+    type: String,
+    enum: [
+      'team_invite',
+      'invite_declined',
+      'member_joined',
+      'member_left',
+      'member_removed',
+      'invite_revoked',
+      'leadership_transferred',
+      'team_role_changed',
+      'join_request',
+      'join_request_approved',
+      'join_request_rejected',
+      'team_registered',
+      'team_deleted',
+      'event_updated',
+      'event_organizer_added',
+      'event_status',
+      'event_deleted'
+    ],
+    required: [true, 'Notification type is required']
+  },
+
+  // Text shown to the user (names and titles plus at most a 200-character
+  // excerpt of anything user-written, see excerpt() in notificationService)
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  // Page in the app to open when the notification is clicked (e.g. /teams/:id)
+  link: {
+    type: String,
+    trim: true
+  },
+
+  // User whose action caused the notification (if any)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Related team and event (if any)
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+
+  // When the user read it (null = unread)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for listing a user's notifications and counting unread ones
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
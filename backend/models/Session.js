@@ -0,0 +1,86 @@
+/**
+ * Session Model
+ * One login on one device. Holds a hash of the device's current refresh
+ * token; every refresh swaps in a new token (see services/sessionService.js),
+ * so each session is one "family" of rotated tokens.
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // SHA-256 of the refresh token currently issued to this device
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+
+  // The token replaced by the last refresh, and when (see ROTATION_GRACE_MS)
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Device details shown on the Profile page
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Pushed back on every refresh; MongoDB deletes the session after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when the session is logged out or revoked (it stays until it expires,
+  // so its old tokens are still recognised as reuse)
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Check if the session can still be used
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
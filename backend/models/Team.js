@@ -4,6 +4,46 @@
  */
 
 const mongoose = require('mongoose');
+const TeamMessage = require('./TeamMessage');
+const TeamChatRead = require('./TeamChatRead');
+const TeamActivity = require('./TeamActivity');
+
+// A pending invitation to join the team
+const inviteSchema = new mongoose.Schema({
+  // User who was invited
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invited user is required']
+  },
+
+  // Leader or co-leader who sent the invite
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Optional note from the inviter
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Invite message cannot exceed 500 characters']
+  },
+
+  // After this the invite can no longer be accepted (and is cleaned up)
+  expiresAt: {
+    type: Date,
+    required: [true, 'Invite expiry is required']
+  }
+}, {
+  _id: false
+});
 
 const teamSchema = new mongoose.Schema({
   // Reference to the event this team is for
@@ -29,27 +69,63 @@ const teamSchema = new mongoose.Schema({
     required: [true, 'Team leader is required']
   },
   
-  // Current team members (includes the leader)
+  // Current team members (includes the leader), in the order they joined
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+
+  // Members the leader has made co-leaders (they can invite and handle join requests)
+  coLeaders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   
   // Pending invitations (users who have been invited but not yet accepted)
-  invites: [{
+  invites: [inviteSchema],
+
+  // Pending join requests (users who asked to join and await the leader's decision)
+  joinRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Registration for the event (set once the leader registers the team)
+  // A registered team's roster is frozen
+  registeredAt: {
+    type: Date,
+    default: null
+  },
+
+  registeredBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }
 }, {
   timestamps: true
 });
 
-// Compound index: Each user can only be in one team per event
+// Index for finding the team a leader runs for an event
 teamSchema.index({ eventId: 1, leaderId: 1 });
 
+// Each user can only be in one team per event. Enforced by the database so
+// two requests at the same moment can't put a user in two teams.
+// (Teams always have at least one member; the filter just skips empty arrays.)
+teamSchema.index(
+  { eventId: 1, members: 1 },
+  { unique: true, partialFilterExpression: { 'members.0': { $exists: true } } }
+);
+
 // Index for looking up teams by event
 teamSchema.index({ eventId: 1 });
 
+// Indexes for finding a user's invites and cleaning up expired ones
+teamSchema.index({ 'invites.userId': 1 });
+teamSchema.index({ 'invites.expiresAt': 1 });
+
+// Index for listing registered teams per event
+teamSchema.index({ eventId: 1, registeredAt: 1 });
+
 // Virtual property to get total team size
 teamSchema.virtual('currentSize').get(function() {
   return this.members.length;
@@ -78,12 +154,165 @@ teamSchema.methods.isFull = async function() {
 
 // Method to check if a user is already in the team
 teamSchema.methods.hasMember = function(userId) {
-  return this.members.some(memberId => memberId.toString() === userId.toString());
+  return this.members.some(member => (member._id || member).toString() === userId.toString());
+};
+
+// Method to check if a user is the team leader
+teamSchema.methods.isLeader = function(userId) {
+  const leaderId = this.leaderId._id || this.leaderId;
+  return leaderId.toString() === userId.toString();
+};
+
+// Method to check if a user is a co-leader
+teamSchema.methods.isCoLeader = function(userId) {
+  return (this.coLeaders || []).some(coLeaderId => coLeaderId.toString() === userId.toString());
 };
 
-// Method to check if a user has a pending invite
+// Method to check if a user can invite members and handle join requests
+teamSchema.methods.canManageMembers = function(userId) {
+  return this.isLeader(userId) || this.isCoLeader(userId);
+};
+
+/**
+ * Remove a member, handing leadership on if they were the leader
+ * The new leader is the longest-standing remaining member (members are kept
+ * in join order). Call save() afterwards - or delete the team if it is empty.
+ * @param {string} userId - Member to remove
+ * @returns {Object} { newLeaderId, isEmpty }
+ */
+teamSchema.methods.removeMember = function(userId) {
+  const wasLeader = this.isLeader(userId);
+
+  this.members = this.members.filter(memberId => memberId.toString() !== userId.toString());
+  this.coLeaders = (this.coLeaders || []).filter(coLeaderId => coLeaderId.toString() !== userId.toString());
+
+  if (this.members.length === 0) {
+    return { newLeaderId: null, isEmpty: true };
+  }
+
+  let newLeaderId = null;
+  if (wasLeader) {
+    newLeaderId = this.members[0];
+    this.leaderId = newLeaderId;
+    this.coLeaders = this.coLeaders.filter(coLeaderId => coLeaderId.toString() !== newLeaderId.toString());
+  }
+
+  return { newLeaderId, isEmpty: false };
+};
+
+// Method to get a user's invite record (even if it has expired)
+teamSchema.methods.getInvite = function(userId) {
+  return this.invites.find(invite => {
+    const invitedId = invite.userId._id || invite.userId;
+    return invitedId.toString() === userId.toString();
+  });
+};
+
+// Method to check if a user has a pending invite that hasn't expired
 teamSchema.methods.hasInvite = function(userId) {
-  return this.invites.some(inviteId => inviteId.toString() === userId.toString());
+  const invite = this.getInvite(userId);
+  return !!invite && invite.expiresAt > new Date();
+};
+
+// Method to drop a user's invite (if any)
+teamSchema.methods.removeInvite = function(userId) {
+  this.invites = this.invites.filter(invite => {
+    const invitedId = invite.userId._id || invite.userId;
+    return invitedId.toString() !== userId.toString();
+  });
+};
+
+// Method to get the invites that can still be accepted
+teamSchema.methods.getActiveInvites = function() {
+  const now = new Date();
+  return this.invites.filter(invite => invite.expiresAt > now);
+};
+
+// Method to check if a user has a pending join request
+teamSchema.methods.hasJoinRequest = function(userId) {
+  return this.joinRequests.some(requestId => requestId.toString() === userId.toString());
+};
+
+// Method to check if the team has registered for its event (roster frozen)
+teamSchema.methods.isRegistered = function() {
+  return !!this.registeredAt;
+};
+
+/**
+ * Take a user out of every team, e.g. when their account is deleted
+ * Teams they led pass to the longest-standing member; teams left empty are deleted.
+ * @param {string} userId
+ */
+teamSchema.statics.removeUserFromAllTeams = async function(userId) {
+  await this.updateMany(
+    { $or: [{ 'invites.userId': userId }, { joinRequests: userId }] },
+    { $pull: { invites: { userId }, joinRequests: userId } }
+  );
+
+  const teams = await this.find({ members: userId });
+  for (const team of teams) {
+    const { isEmpty } = team.removeMember(userId);
+    if (isEmpty) {
+      await TeamMessage.deleteMany({ teamId: team._id });
+      await TeamChatRead.deleteMany({ teamId: team._id });
+      await TeamActivity.deleteMany({ teamId: team._id });
+      await team.deleteOne();
+    } else {
+      await team.save();
+    }
+  }
+};
+
+/**
+ * Add a user to a team's members in a single atomic update
+ * The update only happens if, at that moment, the team still has room,
+ * isn't registered and doesn't already include the user, so two people
+ * accepting at once can't push it past the event's maximum size.
+ * Any invite or join request from the user is removed at the same time.
+ *
+ * @param {string} teamId
+ * @param {string} userId
+ * @param {number} maxSize - Event's maximum team size
+ * @param {Object} [conditions] - Extra conditions, e.g. { joinRequests: userId }
+ * @returns {Promise<Object|null>} Updated team, or null if the conditions no longer hold
+ * @throws {Error} statusCode 400 if the user is already in another team for the event
+ */
+teamSchema.statics.addMember = async function(teamId, userId, maxSize, conditions = {}) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        ...conditions,
+        _id: teamId,
+        registeredAt: null,
+        members: { $ne: userId },
+        $expr: { $lt: [{ $size: '$members' }, maxSize] }
+      },
+      {
+        $push: { members: userId },
+        $pull: { invites: { userId }, joinRequests: userId },
+        // Bump the version so copies loaded earlier can't save over this change
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    if (this.isMembershipConflict(error)) {
+      const conflict = new Error('User is already part of another team for this event');
+      conflict.statusCode = 400;
+      throw conflict;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check whether a save failed because the user is already in another team
+ * for the same event (the unique members index)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+teamSchema.statics.isMembershipConflict = function(error) {
+  return error.code === 11000 && !!error.keyPattern && 'members' in error.keyPattern;
 };
 
 const Team = mongoose.model('Team', teamSchema);
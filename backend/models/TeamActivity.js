@@ -0,0 +1,52 @@
+/**
+ * Team Activity Model
+ * Log of moderation actions taken by team leaders
+ * (removing members, revoking invites), with the reason given
+ */
+
+const mongoose = require('mongoose');
+
+const teamActivitySchema = new mongoose.Schema({
+  // Team the action was taken in
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team ID is required']
+  },
+
+  // Leader (or co-leader) who took the action
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+
+  action: {
+    type: String,
+    enum: ['member_removed', 'invite_revoked'],
+    required: [true, 'Action is required']
+  },
+
+  // User the action was taken against
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Target user is required']
+  },
+
+  // Optional reason given by the leader
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for reading a team's log, newest first
+teamActivitySchema.index({ teamId: 1, createdAt: -1 });
+
+const TeamActivity = mongoose.model('TeamActivity', teamActivitySchema);
+
+module.exports = TeamActivity;
@@ -0,0 +1,34 @@
+/**
+ * Team Chat Read Model
+ * Remembers when each member last read their team's chat,
+ * so unread messages can be counted and marked
+ */
+
+const mongoose = require('mongoose');
+
+const teamChatReadSchema = new mongoose.Schema({
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team ID is required']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Messages posted after this time are unread
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One read marker per member per team
+teamChatReadSchema.index({ teamId: 1, userId: 1 }, { unique: true });
+
+const TeamChatRead = mongoose.model('TeamChatRead', teamChatReadSchema);
+
+module.exports = TeamChatRead;
@@ -0,0 +1,38 @@
+/**
+ * Team Message Model
+ * Chat messages between the members of a team
+ */
+
+const mongoose = require('mongoose');
+
+const teamMessageSchema = new mongoose.Schema({
+  // Team the message was posted in
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team ID is required']
+  },
+
+  // Member who wrote the message
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+
+  content: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for loading a team's history, newest first
+teamMessageSchema.index({ teamId: 1, _id: -1 });
+
+const TeamMessage = mongoose.model('TeamMessage', teamMessageSchema);
+
+module.exports = TeamMessage;
@@ -4,6 +4,8 @@
  */
 
 const mongoose = require('mongoose');
+const { SKILL_LEVELS } = require('../config/skillCatalog');
+const { ROLE_NAMES, getRolePermissions } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   // Basic information
@@ -29,14 +31,54 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+
+  // Set once the user follows the link emailed to them
+  // (see services/accountTokenService.js)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   
-  // Role-based access control
+  // Role-based access control (what each role can do is in config/roles.js)
   role: {
     type: String,
-    enum: ['student', 'admin'],
+    enum: ROLE_NAMES,
     default: 'student'
   },
   
+  // College the user registered with (by email domain); null on deployments
+  // without institutions (see services/institutionService.js)
+  institutionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
+  },
+
+  // Set when an admin suspends the account: it can't log in or use the API
+  // until unsuspended (see controllers/adminController.js)
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+    default: ''
+  },
+
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   // Student-specific fields (optional for admins)
   course: {
     type: String,
@@ -65,6 +107,8 @@ const userSchema = new mongoose.Schema({
   },
   
   // Skills array - used for teammate matching
+  // Canonical skill IDs from the catalog (e.g. "react"), or custom skills as typed
+  // (see services/skillService.js)
   skills: {
     type: [String],
     default: [],
@@ -75,6 +119,20 @@ const userSchema = new mongoose.Schema({
       message: 'Cannot have more than 50 skills'
     }
   },
+
+  // Optional proficiency for some of the skills above
+  skillLevels: [{
+    _id: false,
+    skill: {
+      type: String,
+      required: true
+    },
+    level: {
+      type: String,
+      enum: SKILL_LEVELS,
+      required: true
+    }
+  }],
   
   // Achievements array
   achievements: {
@@ -100,12 +158,6 @@ const userSchema = new mongoose.Schema({
       default: 0,
       min: 0
     }
-  },
-  
-  // Refresh token for JWT authentication
-  refreshToken: {
-    type: String,
-    default: null
   }
 }, {
   // Automatically add createdAt and updatedAt timestamps
@@ -114,17 +166,40 @@ const userSchema = new mongoose.Schema({
 
 // Index for skill-based searching
 userSchema.index({ skills: 1 });
+userSchema.index({ institutionId: 1, role: 1 });
+// Admin user list, newest first
+userSchema.index({ institutionId: 1, createdAt: -1 });
 
-// Don't return password and refresh token by default
+// Don't return password and refresh token by default; do return what the
+// user's role allows, so the app can show the right controls
 userSchema.set('toJSON', {
   transform: function(doc, ret) {
+    if (ret.role) ret.permissions = getRolePermissions(ret.role);
     delete ret.passwordHash;
+    // Left over on accounts from before per-device sessions (see Session model)
     delete ret.refreshToken;
     delete ret.__v;
     return ret;
   }
 });
 
+// When an account is deleted, take the user out of their teams
+// (a team they led passes to its longest-standing member), end their sessions
+// and drop any emailed links
+userSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await mongoose.model('Team').removeUserFromAllTeams(doc._id);
+    await mongoose.model('Session').deleteMany({ userId: doc._id });
+    await mongoose.model('AccountToken').deleteMany({ userId: doc._id });
+  }
+});
+
+userSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await mongoose.model('Team').removeUserFromAllTeams(this._id);
+  await mongoose.model('Session').deleteMany({ userId: this._id });
+  await mongoose.model('AccountToken').deleteMany({ userId: this._id });
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
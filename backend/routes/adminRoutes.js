@@ -0,0 +1,124 @@
+/**
+ * Admin Routes
+ * Handles institutions and user management (roles, suspension, logout)
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { validate } = require('../middleware/validate');
+const {
+  createInstitutionSchema,
+  updateInstitutionSchema,
+  userIdSchema,
+  listUsersSchema,
+  userRoleSchema,
+  suspendUserSchema
+} = require('../validators/adminValidators');
+
+/**
+ * @route   GET /api/admin/institutions
+ * @desc    List institutions
+ * @access  Private (users:manage permission)
+ */
+router.get(
+  '/institutions',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  adminController.getInstitutions
+);
+
+/**
+ * @route   POST /api/admin/institutions
+ * @desc    Set up an institution with its email domains
+ * @access  Private (institutions:manage permission)
+ */
+router.post(
+  '/institutions',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_INSTITUTIONS),
+  validate(createInstitutionSchema),
+  adminController.createInstitution
+);
+
+/**
+ * @route   PUT /api/admin/institutions/:id
+ * @desc    Rename an institution or change its email domains
+ * @access  Private (institutions:manage permission)
+ */
+router.put(
+  '/institutions/:id',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_INSTITUTIONS),
+  validate(updateInstitutionSchema),
+  adminController.updateInstitution
+);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users, newest first, filtered by role, branch, year, status or name/email
+ * @access  Private (users:manage permission)
+ */
+router.get(
+  '/users',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validate(listUsersSchema),
+  adminController.getUsers
+);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (users:manage permission)
+ */
+router.put(
+  '/users/:id/role',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validate(userRoleSchema),
+  adminController.updateUserRole
+);
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend an account and log it out everywhere
+ * @access  Private (users:manage permission)
+ */
+router.post(
+  '/users/:id/suspend',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validate(suspendUserSchema),
+  adminController.suspendUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/unsuspend
+ * @desc    Lift an account's suspension
+ * @access  Private (users:manage permission)
+ */
+router.post(
+  '/users/:id/unsuspend',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validate(userIdSchema),
+  adminController.unsuspendUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/logout
+ * @desc    Log a user out of every device
+ * @access  Private (users:manage permission)
+ */
+router.post(
+  '/users/:id/logout',
+  authenticate,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validate(userIdSchema),
+  adminController.logoutUser
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * AI Routes
+ * Server-side AI gateway: the browser never talks to the AI provider directly
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const aiController = require('../controllers/aiController');
+const { authenticate } = require('../middleware/auth');
+
+// Documents are only summarized, not kept, so hold them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
+  },
+  fileFilter: function (req, file, cb) {
+    // Accept images and PDFs only
+    const allowedTypes = /jpeg|jpg|png|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only images (JPEG, PNG) and PDFs are allowed'));
+    }
+  }
+});
+
+/**
+ * @route   POST /api/ai/summarize
+ * @desc    Summarize an uploaded document with AI
+ * @access  Private
+ */
+router.post('/summarize', authenticate, upload.single('document'), aiController.summarizeUploadedDocument);
+
+/**
+ * @route   GET /api/ai/usage
+ * @desc    Get current user's AI quota usage
+ * @access  Private
+ */
+router.get('/usage', authenticate, aiController.getMyUsage);
+
+module.exports = router;
@@ -1,38 +1,107 @@
 /**
  * Authentication Routes
- * Handles user registration, login, token refresh, and logout
+ * Handles user registration, login, token refresh, logout, email
+ * verification, password reset, and sessions
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  verifyEmailSchema,
+  emailSchema,
+  resetPasswordSchema,
+  sessionIdSchema
+} = require('../validators/authValidators');
+
+// Routes that send email: a few per hour, so they can't be used to spam inboxes
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: { error: { code: 429, message: 'Too many emails requested, please try again later' } }
+});
 
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', authController.register);
+router.post('/register', validate(registerSchema), authController.register);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login user and get tokens
  * @access  Public
  */
-router.post('/login', authController.login);
+router.post('/login', validate(loginSchema), authController.login);
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token using refresh token
+ * @desc    Swap a refresh token for new access and refresh tokens
  * @access  Public
  */
-router.post('/refresh', authController.refresh);
+router.post('/refresh', validate(refreshSchema), authController.refresh);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user and invalidate refresh token
+ * @desc    Logout user and end this device's session
+ * @access  Public
+ */
+router.post('/logout', validate(refreshSchema), authController.logout);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify the user's email with the token from their email
+ * @access  Public
+ */
+router.post('/verify-email', validate(verifyEmailSchema), authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link
+ * @access  Public
+ */
+router.post('/resend-verification', emailLimiter, validate(emailSchema), authController.resendVerification);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a link to reset the password
  * @access  Public
  */
-router.post('/logout', authController.logout);
+router.post('/forgot-password', emailLimiter, validate(emailSchema), authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from a reset email
+ * @access  Public
+ */
+router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is logged in on
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out every other device
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, authController.deleteOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Log out one device
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, validate(sessionIdSchema), authController.deleteSession);
 
 module.exports = router;
@@ -8,7 +8,18 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const eventController = require('../controllers/eventController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { validate } = require('../middleware/validate');
+const {
+  eventIdSchema,
+  createEventSchema,
+  updateEventSchema,
+  listEventsSchema,
+  askSchema,
+  organizerSchema,
+  organizerIdSchema
+} = require('../validators/eventValidators');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -21,8 +32,7 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({
-  storage: storage,
+const uploadOptions = {
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
   },
@@ -38,68 +48,121 @@ const upload = multer({
       cb(new Error('Only images (JPEG, PNG) and PDFs are allowed'));
     }
   }
-});
+};
+
+const upload = multer({ ...uploadOptions, storage: storage });
+
+// Brochures sent for parsing are only read, not kept, so hold them in memory
+const parseUpload = multer({ ...uploadOptions, storage: multer.memoryStorage() });
 
 /**
  * @route   POST /api/events
  * @desc    Create a new event with optional brochure upload
- * @access  Private (Admin only)
+ * @access  Private (events:create permission)
  */
-router.post('/', authenticate, requireAdmin, upload.single('brochure'), eventController.createEvent);
+router.post(
+  '/',
+  authenticate,
+  requirePermission(PERMISSIONS.CREATE_EVENTS),
+  upload.single('brochure'),
+  validate(createEventSchema),
+  eventController.createEvent
+);
 
 /**
  * @route   GET /api/events
  * @desc    Get all events with optional filters
  * @access  Private
  */
-router.get('/', authenticate, eventController.getEvents);
+router.get('/', authenticate, validate(listEventsSchema), eventController.getEvents);
 
 /**
  * @route   GET /api/events/:id
  * @desc    Get event by ID
  * @access  Private
  */
-router.get('/:id', authenticate, eventController.getEventById);
+router.get('/:id', authenticate, validate(eventIdSchema), eventController.getEventById);
 
 /**
  * @route   PUT /api/events/:id
  * @desc    Update event
- * @access  Private (Admin only)
+ * @access  Private (Organizers, or events:edit permission)
  */
-router.put('/:id', authenticate, requireAdmin, eventController.updateEvent);
+router.put('/:id', authenticate, validate(updateEventSchema), eventController.updateEvent);
 
 /**
  * @route   DELETE /api/events/:id
  * @desc    Delete event
- * @access  Private (Admin only)
+ * @access  Private (Organizers, or events:delete permission)
  */
-router.delete('/:id', authenticate, requireAdmin, eventController.deleteEvent);
+router.delete('/:id', authenticate, validate(eventIdSchema), eventController.deleteEvent);
+
+/**
+ * @route   GET /api/events/:id/registrations
+ * @desc    List teams registered for the event
+ * @access  Private (Organizers, or events:registrations permission)
+ */
+router.get('/:id/registrations', authenticate, validate(eventIdSchema), eventController.getEventRegistrations);
+
+/**
+ * @route   POST /api/events/:id/organizers
+ * @desc    Add an organizer to the event by email
+ * @access  Private (Organizers, or events:edit permission)
+ */
+router.post('/:id/organizers', authenticate, validate(organizerSchema), eventController.addOrganizer);
+
+/**
+ * @route   DELETE /api/events/:id/organizers/:userId
+ * @desc    Remove an organizer from the event
+ * @access  Private (Organizers, or events:edit permission)
+ */
+router.delete(
+  '/:id/organizers/:userId',
+  authenticate,
+  validate(organizerIdSchema),
+  eventController.removeOrganizer
+);
 
 /**
  * @route   POST /api/events/:id/parse-brochure
  * @desc    Parse event brochure using AI
- * @access  Private (Admin only)
+ * @access  Private (events:create permission, and able to edit the event)
  */
 router.post(
   '/:id/parse-brochure',
   authenticate,
-  requireAdmin,
-  upload.single('brochure'),
+  requirePermission(PERMISSIONS.CREATE_EVENTS),
+  parseUpload.single('brochure'),
+  validate(eventIdSchema),
   eventController.parseBrochure
 );
 
 /**
  * @route   POST /api/events/:id/ask
- * @desc    Ask chatbot about event
+ * @desc    Ask the AI assistant about event
+ * @access  Private
+ */
+router.post('/:id/ask', authenticate, validate(askSchema), eventController.askChatbot);
+
+/**
+ * @route   GET /api/events/:id/conversation
+ * @desc    Get your conversation with the event's AI assistant
+ * @access  Private
+ */
+router.get('/:id/conversation', authenticate, validate(eventIdSchema), eventController.getConversation);
+
+/**
+ * @route   DELETE /api/events/:id/conversation
+ * @desc    Clear your conversation with the event's AI assistant
  * @access  Private
  */
-router.post('/:id/ask', authenticate, eventController.askChatbot);
+router.delete('/:id/conversation', authenticate, validate(eventIdSchema), eventController.clearConversation);
 
 /**
  * @route   POST /api/events/:id/summarize-brochure
- * @desc    Get brochure data for AI summarization
+ * @desc    Summarize event brochure with AI
  * @access  Private
  */
-router.post('/:id/summarize-brochure', authenticate, eventController.summarizeBrochure);
+router.post('/:id/summarize-brochure', authenticate, validate(eventIdSchema), eventController.summarizeBrochure);
 
 module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Notification Routes
+ * In-app notifications for the logged-in user
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get current user's notifications (?unread=true for unread only)
+ * @access  Private
+ */
+router.get('/', authenticate, notificationController.getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', authenticate, notificationController.getUnreadCount);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.post('/read-all', authenticate, notificationController.markAllAsRead);
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.post(
+  '/:id/read',
+  authenticate,
+  validate(idParams({ id: 'notification ID' })),
+  notificationController.markAsRead
+);
+
+module.exports = router;
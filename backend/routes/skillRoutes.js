@@ -0,0 +1,17 @@
+/**
+ * Skill Routes
+ * Skill catalog lookups
+ */
+
+const express = require('express');
+const router = express.Router();
+const skillController = require('../controllers/skillController');
+
+/**
+ * @route   GET /api/skills
+ * @desc    Get the skill catalog (?q= to search names and aliases)
+ * @access  Public (used on the register form too)
+ */
+router.get('/', skillController.getSkills);
+
+module.exports = router;
@@ -6,76 +6,247 @@
 const express = require('express');
 const router = express.Router();
 const teamController = require('../controllers/teamController');
+const teamChatController = require('../controllers/teamChatController');
 const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  teamIdSchema,
+  teamMemberSchema,
+  createTeamSchema,
+  myTeamsSchema,
+  eventTeamsSchema,
+  recommendationsSchema,
+  inviteSchema,
+  teamUserBodySchema,
+  teamActionReasonSchema,
+  teamActivitySchema,
+  listMessagesSchema,
+  sendMessageSchema,
+  messageIdSchema
+} = require('../validators/teamValidators');
 
 /**
  * @route   POST /api/teams
  * @desc    Create a new team
  * @access  Private
  */
-router.post('/', authenticate, teamController.createTeam);
+router.post('/', authenticate, validate(createTeamSchema), teamController.createTeam);
 
 /**
  * @route   GET /api/teams/my-teams
  * @desc    Get current user's teams
  * @access  Private
  */
-router.get('/my-teams', authenticate, teamController.getMyTeams);
+router.get('/my-teams', authenticate, validate(myTeamsSchema), teamController.getMyTeams);
 
 /**
  * @route   GET /api/teams/my-invites
  * @desc    Get teams that have invited current user
  * @access  Private
  */
-router.get('/my-invites', authenticate, teamController.getMyInvites);
+router.get('/my-invites', authenticate, validate(myTeamsSchema), teamController.getMyInvites);
+
+/**
+ * @route   GET /api/teams/my-requests
+ * @desc    Get teams the current user has asked to join
+ * @access  Private
+ */
+router.get('/my-requests', authenticate, validate(myTeamsSchema), teamController.getMyJoinRequests);
 
 /**
  * @route   GET /api/teams/event/:eventId
  * @desc    Get all teams for an event
  * @access  Private
  */
-router.get('/event/:eventId', authenticate, teamController.getTeamsByEvent);
+router.get('/event/:eventId', authenticate, validate(eventTeamsSchema), teamController.getTeamsByEvent);
 
 /**
  * @route   GET /api/teams/:id
  * @desc    Get team by ID
  * @access  Private
  */
-router.get('/:id', authenticate, teamController.getTeamById);
+router.get('/:id', authenticate, validate(teamIdSchema), teamController.getTeamById);
+
+/**
+ * @route   GET /api/teams/:id/recommendations
+ * @desc    Suggest students to invite, with reasons
+ * @access  Private (Team members)
+ */
+router.get(
+  '/:id/recommendations',
+  authenticate,
+  validate(recommendationsSchema),
+  teamController.getTeamRecommendations
+);
 
 /**
  * @route   POST /api/teams/:id/invite
  * @desc    Invite a user to join the team
  * @access  Private (Team leader only)
  */
-router.post('/:id/invite', authenticate, teamController.inviteToTeam);
+router.post('/:id/invite', authenticate, validate(inviteSchema), teamController.inviteToTeam);
 
 /**
  * @route   POST /api/teams/:id/join
  * @desc    Join a team (accept invitation)
  * @access  Private
  */
-router.post('/:id/join', authenticate, teamController.joinTeam);
+router.post('/:id/join', authenticate, validate(teamIdSchema), teamController.joinTeam);
 
 /**
  * @route   POST /api/teams/:id/leave
  * @desc    Leave a team
  * @access  Private
  */
-router.post('/:id/leave', authenticate, teamController.leaveTeam);
+router.post('/:id/leave', authenticate, validate(teamIdSchema), teamController.leaveTeam);
 
 /**
  * @route   POST /api/teams/:id/decline
  * @desc    Decline an invitation
  * @access  Private
  */
-router.post('/:id/decline', authenticate, teamController.declineInvite);
+router.post('/:id/decline', authenticate, validate(teamIdSchema), teamController.declineInvite);
+
+/**
+ * @route   POST /api/teams/:id/request
+ * @desc    Ask to join a team
+ * @access  Private
+ */
+router.post('/:id/request', authenticate, validate(teamIdSchema), teamController.requestToJoin);
+
+/**
+ * @route   DELETE /api/teams/:id/request
+ * @desc    Cancel your own join request
+ * @access  Private
+ */
+router.delete('/:id/request', authenticate, validate(teamIdSchema), teamController.cancelJoinRequest);
+
+/**
+ * @route   POST /api/teams/:id/requests/:userId/approve
+ * @desc    Approve a join request
+ * @access  Private (Team leader only)
+ */
+router.post(
+  '/:id/requests/:userId/approve',
+  authenticate,
+  validate(teamMemberSchema),
+  teamController.approveJoinRequest
+);
+
+/**
+ * @route   POST /api/teams/:id/requests/:userId/reject
+ * @desc    Reject a join request
+ * @access  Private (Team leader only)
+ */
+router.post(
+  '/:id/requests/:userId/reject',
+  authenticate,
+  validate(teamMemberSchema),
+  teamController.rejectJoinRequest
+);
+
+/**
+ * @route   POST /api/teams/:id/register
+ * @desc    Register the team for its event (freezes the roster)
+ * @access  Private (Team leader only)
+ */
+router.post('/:id/register', authenticate, validate(teamIdSchema), teamController.registerTeam);
+
+/**
+ * @route   POST /api/teams/:id/members/:userId/remove
+ * @desc    Remove a member from the team (optional reason)
+ * @access  Private (Team leader only)
+ */
+router.post(
+  '/:id/members/:userId/remove',
+  authenticate,
+  validate(teamActionReasonSchema),
+  teamController.removeMember
+);
+
+/**
+ * @route   POST /api/teams/:id/invites/:userId/revoke
+ * @desc    Revoke a pending invite (optional reason)
+ * @access  Private (Team leader or co-leaders)
+ */
+router.post(
+  '/:id/invites/:userId/revoke',
+  authenticate,
+  validate(teamActionReasonSchema),
+  teamController.revokeInvite
+);
+
+/**
+ * @route   GET /api/teams/:id/activity
+ * @desc    Get the team's activity log (removed members, revoked invites), newest first
+ * @access  Private (Team members only)
+ */
+router.get('/:id/activity', authenticate, validate(teamActivitySchema), teamController.getTeamActivity);
+
+/**
+ * @route   POST /api/teams/:id/transfer
+ * @desc    Hand leadership to another member
+ * @access  Private (Team leader only)
+ */
+router.post('/:id/transfer', authenticate, validate(teamUserBodySchema), teamController.transferLeadership);
+
+/**
+ * @route   POST /api/teams/:id/co-leaders
+ * @desc    Make a member a co-leader
+ * @access  Private (Team leader only)
+ */
+router.post('/:id/co-leaders', authenticate, validate(teamUserBodySchema), teamController.addCoLeader);
+
+/**
+ * @route   DELETE /api/teams/:id/co-leaders/:userId
+ * @desc    Remove a member's co-leader role
+ * @access  Private (Team leader only)
+ */
+router.delete(
+  '/:id/co-leaders/:userId',
+  authenticate,
+  validate(teamMemberSchema),
+  teamController.removeCoLeader
+);
+
+/**
+ * @route   GET /api/teams/:id/messages
+ * @desc    Get team chat history (paginated with ?before=<messageId>)
+ * @access  Private (Team members only)
+ */
+router.get('/:id/messages', authenticate, validate(listMessagesSchema), teamChatController.getMessages);
+
+/**
+ * @route   POST /api/teams/:id/messages
+ * @desc    Post a message to the team chat
+ * @access  Private (Team members only)
+ */
+router.post('/:id/messages', authenticate, validate(sendMessageSchema), teamChatController.sendMessage);
+
+/**
+ * @route   POST /api/teams/:id/messages/read
+ * @desc    Mark the team chat as read
+ * @access  Private (Team members only)
+ */
+router.post('/:id/messages/read', authenticate, validate(teamIdSchema), teamChatController.markChatRead);
+
+/**
+ * @route   DELETE /api/teams/:id/messages/:messageId
+ * @desc    Delete a chat message
+ * @access  Private (Team leader only)
+ */
+router.delete(
+  '/:id/messages/:messageId',
+  authenticate,
+  validate(messageIdSchema),
+  teamChatController.deleteMessage
+);
 
 /**
  * @route   DELETE /api/teams/:id
  * @desc    Delete a team
  * @access  Private (Team leader only)
  */
-router.delete('/:id', authenticate, teamController.deleteTeam);
+router.delete('/:id', authenticate, validate(teamIdSchema), teamController.deleteTeam);
 
 module.exports = router;
@@ -7,6 +7,13 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  updateProfileSchema,
+  listStudentsSchema,
+  searchUsersSchema,
+  userIdSchema
+} = require('../validators/userValidators');
 
 /**
  * @route   GET /api/users/me
@@ -20,27 +27,27 @@ router.get('/me', authenticate, userController.getMyProfile);
  * @desc    Update current user's profile
  * @access  Private
  */
-router.put('/me', authenticate, userController.updateMyProfile);
+router.put('/me', authenticate, validate(updateProfileSchema), userController.updateMyProfile);
 
 /**
  * @route   GET /api/users/all
  * @desc    Get all students with optional skill filtering
  * @access  Private
  */
-router.get('/all', authenticate, userController.getAllStudents);
+router.get('/all', authenticate, validate(listStudentsSchema), userController.getAllStudents);
 
 /**
  * @route   GET /api/users/search
  * @desc    Search for users by skills
  * @access  Private
  */
-router.get('/search', authenticate, userController.searchUsers);
+router.get('/search', authenticate, validate(searchUsersSchema), userController.searchUsers);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
  * @access  Private
  */
-router.get('/:id', authenticate, userController.getUserById);
+router.get('/:id', authenticate, validate(userIdSchema), userController.getUserById);
 
 module.exports = router;
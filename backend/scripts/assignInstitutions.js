@@ -0,0 +1,47 @@
+/**
+ * Assign Institutions Script
+ * One-off upgrade after setting up institutions on a deployment that
+ * already has users: moves every user without an institution into the one
+ * their email domain belongs to, and their events with them.
+ *
+ * Usage: npm run assign-institutions
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { findInstitutionByEmail } = require('../services/institutionService');
+
+const run = async () => {
+  await connectDB();
+
+  let users = 0;
+  let events = 0;
+  const unassigned = User.find({ institutionId: null }).select('email').cursor();
+
+  for await (const user of unassigned) {
+    const institution = await findInstitutionByEmail(user.email);
+    if (!institution) continue;
+
+    await User.updateOne({ _id: user._id }, { $set: { institutionId: institution._id } });
+    users++;
+
+    const result = await Event.updateMany(
+      { createdBy: user._id, institutionId: null },
+      { $set: { institutionId: institution._id } }
+    );
+    events += result.modifiedCount;
+  }
+
+  console.log(`✅ Assigned ${users} user(s) and ${events} event(s) to institutions`);
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Institution assignment failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
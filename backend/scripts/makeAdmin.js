@@ -0,0 +1,37 @@
+/**
+ * Make Admin Script
+ * Gives an existing account the super-admin role. Registration only creates
+ * students and other roles are granted by admins, so this is how a new
+ * deployment gets its first admin.
+ *
+ * Usage: npm run make-admin -- someone@example.edu
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+const run = async () => {
+  const email = String(process.argv[2] || '').trim().toLowerCase();
+  if (!email) {
+    throw new Error('Usage: npm run make-admin -- <email>');
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate({ email }, { $set: { role: 'super-admin' } }, { new: true });
+  if (!user) {
+    throw new Error(`No account uses ${email}`);
+  }
+
+  console.log(`✅ ${user.name} (${user.email}) is now a super admin`);
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Could not make admin: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+/**
+ * Normalize Skills Script
+ * One-off upgrade for profiles saved before the skill catalog existed:
+ * rewrites every user's free-text skills as canonical skill IDs
+ * ("ReactJS" -> "react") and drops duplicates.
+ *
+ * Usage: npm run normalize-skills
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { normalizeSkillList } = require('../services/skillService');
+
+const run = async () => {
+  await connectDB();
+
+  let updated = 0;
+  const users = User.find({ 'skills.0': { $exists: true } }).select('skills skillLevels').cursor();
+
+  for await (const user of users) {
+    // Keep any levels already set
+    const levels = new Map((user.skillLevels || []).map(entry => [entry.skill, entry.level]));
+    const { skills, skillLevels } = normalizeSkillList(
+      user.skills.map(skill => ({ skill, level: levels.get(skill) }))
+    );
+
+    const unchanged = skills.length === user.skills.length &&
+      skills.every((skill, index) => skill === user.skills[index]);
+    if (unchanged) continue;
+
+    await User.updateOne({ _id: user._id }, { $set: { skills, skillLevels } });
+    updated++;
+  }
+
+  console.log(`✅ Normalized skills for ${updated} user(s)`);
+};
+
+run()
+  .catch(error => {
+    console.error(`❌ Skill normalization failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
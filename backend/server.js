@@ -12,6 +12,9 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { startEventScheduler } = require('./services/eventScheduler');
+const { attachRealtime } = require('./services/realtime');
+const { startInviteCleanup } = require('./services/inviteCleanup');
 
 // Create Express application
 const app = express();
@@ -19,6 +22,12 @@ const app = express();
 // Connect to MongoDB database
 connectDB();
 
+// Move events between upcoming/ongoing/past as their deadlines pass
+startEventScheduler();
+
+// Remove team invites once they expire
+startInviteCleanup();
+
 // ============================================
 // MIDDLEWARE CONFIGURATION
 // ============================================
@@ -85,6 +94,18 @@ app.use('/api/events', require('./routes/eventRoutes'));
 // Team routes
 app.use('/api/teams', require('./routes/teamRoutes'));
 
+// AI gateway routes
+app.use('/api/ai', require('./routes/aiRoutes'));
+
+// Notification routes
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+
+// Skill catalog routes
+app.use('/api/skills', require('./routes/skillRoutes'));
+
+// Admin routes (institutions, roles)
+app.use('/api/admin', require('./routes/adminRoutes'));
+
 // 404 handler for undefined routes
 app.use((req, res) => {
   res.status(404).json({
@@ -105,8 +126,11 @@ app.use(errorHandler);
 // ============================================
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 CORS enabled for: ${process.env.CORS_ORIGIN || 'http://localhost:5173'}`);
 });
+
+// Live updates over WebSockets (ws://<host>/ws?token=<accessToken>)
+attachRealtime(server);
@@ -0,0 +1,186 @@
+/**
+ * Account Token Service
+ * Emailed links for verifying an email address and resetting a password.
+ *
+ * - Tokens are JWTs whose audience is their purpose, so a reset token can't
+ *   be used to verify an email (or as an access or refresh token).
+ * - Only their SHA-256 hash is stored (models/AccountToken.js); a token works
+ *   once, and sending a new link makes the user's older links of that kind
+ *   stop working.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AccountToken = require('../models/AccountToken');
+const { sendMail } = require('./mailer');
+
+// How long each kind of link works
+const TOKEN_TTL_MS = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000
+};
+
+/**
+ * Check if users must verify their email before they can log in
+ * Turned on with REQUIRE_VERIFIED_EMAIL=true in .env.
+ * @returns {boolean}
+ */
+const isEmailVerificationRequired = () => process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+/**
+ * Error for a link that can't be used
+ * @param {string} message
+ * @returns {Error} statusCode 400
+ */
+const invalidLink = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Hash a token for storage
+ * @param {string} token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Secret account tokens are signed with
+ * Falls back to the refresh token secret; the audience keeps the two apart.
+ * @returns {string}
+ */
+const getSecret = () => process.env.JWT_ACCOUNT_SECRET || process.env.JWT_REFRESH_SECRET;
+
+/**
+ * Build a link to a page of the React app
+ * @param {string} pagePath - e.g. '/reset-password'
+ * @param {string} token
+ * @returns {string}
+ */
+const buildLink = (pagePath, token) => {
+  const appUrl = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  return `${appUrl.replace(/\/$/, '')}${pagePath}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Escape text for use in an HTML email
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Issue a new token, replacing the user's unused tokens of the same purpose
+ * @param {Object} user - User document
+ * @param {string} purpose - 'verify-email' or 'reset-password'
+ * @returns {Promise<string>} Token to put in the link
+ */
+const issueAccountToken = async (user, purpose) => {
+  const ttl = TOKEN_TTL_MS[purpose];
+  const token = jwt.sign(
+    { userId: user._id },
+    getSecret(),
+    { audience: purpose, expiresIn: Math.floor(ttl / 1000), jwtid: crypto.randomUUID() }
+  );
+
+  await AccountToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl)
+  });
+
+  return token;
+};
+
+/**
+ * Use up a token from a link
+ * @param {string} token
+ * @param {string} purpose - What the link is expected to do
+ * @returns {Promise<string>} ID of the user the link was sent to
+ * @throws {Error} statusCode 400 if the token is invalid, expired or already used
+ */
+const consumeAccountToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getSecret(), { audience: purpose });
+  } catch (error) {
+    throw invalidLink('This link is invalid or has expired');
+  }
+
+  // Marked used atomically, so two requests can't both use it
+  const record = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      userId: decoded.userId,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw invalidLink('This link has already been used or replaced by a newer one');
+  }
+
+  return record.userId;
+};
+
+/**
+ * Email a user a link to verify their email address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user, 'verify-email');
+  const link = buildLink('/verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your TeamFinder email',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm this is your email address by opening the link below:\n\n${link}\n\n` +
+      'The link works for 24 hours. If you didn\'t create a TeamFinder account, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Please confirm this is your email address:</p><p><a href="${link}">Verify my email</a></p>` +
+      '<p>The link works for 24 hours. If you didn\'t create a TeamFinder account, you can ignore this email.</p>'
+  });
+};
+
+/**
+ * Email a user a link to choose a new password
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user, 'reset-password');
+  const link = buildLink('/reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your TeamFinder password',
+    text: `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password for your account. To choose a new password, open the link below:\n\n${link}\n\n` +
+      'The link works for 1 hour. If it wasn\'t you, you can ignore this email; your password hasn\'t changed.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>Someone asked to reset the password for your account.</p>' +
+      `<p><a href="${link}">Choose a new password</a></p>` +
+      '<p>The link works for 1 hour. If it wasn\'t you, you can ignore this email; your password hasn\'t changed.</p>'
+  });
+};
+
+module.exports = {
+  isEmailVerificationRequired,
+  issueAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
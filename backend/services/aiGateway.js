@@ -0,0 +1,119 @@
+/**
+ * AI Gateway
+ * Every AI request from a user goes through here so we can:
+ * 1. Enforce a per-user quota (requests per rolling 24 hours)
+ * 2. Pick the configured provider (Gemini, offline stub, or a test fake)
+ * 3. Log each request in the AiUsage collection
+ */
+
+const AiUsage = require('../models/AiUsage');
+const { getProvider } = require('./aiProvider');
+
+// Quota window: requests are counted over the last 24 hours
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Default number of AI requests each user gets per window
+const DEFAULT_DAILY_QUOTA = 50;
+
+/**
+ * Read the per-user quota from .env (AI_DAILY_QUOTA)
+ * @returns {number} Allowed requests per window
+ */
+const getDailyQuota = () => {
+  return parseInt(process.env.AI_DAILY_QUOTA) || DEFAULT_DAILY_QUOTA;
+};
+
+/**
+ * Get a user's AI usage for the current window
+ * @param {string} userId - User's MongoDB ID
+ * @returns {Promise<Object>} { used, limit, remaining, resetsAt }
+ */
+const getUsage = async (userId) => {
+  const windowStart = new Date(Date.now() - QUOTA_WINDOW_MS);
+  const limit = getDailyQuota();
+
+  const used = await AiUsage.countDocuments({
+    userId,
+    createdAt: { $gte: windowStart }
+  });
+
+  // The oldest request in the window is the next one to drop out of it
+  let resetsAt = null;
+  if (used > 0) {
+    const oldest = await AiUsage.findOne({ userId, createdAt: { $gte: windowStart } })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+    resetsAt = new Date(oldest.createdAt.getTime() + QUOTA_WINDOW_MS);
+  }
+
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    resetsAt
+  };
+};
+
+/**
+ * Run an AI task for a user, with quota check and usage logging
+ *
+ * @param {Object} options
+ * @param {Object} options.user - Current user (req.user)
+ * @param {string} options.feature - Feature name stored in AiUsage
+ * @param {string} [options.eventId] - Event the request is about
+ * @param {Function} task - async (provider) => result
+ * @returns {Promise<*>} Whatever the task returns
+ */
+const runAiTask = async ({ user, feature, eventId }, task) => {
+  const usage = await getUsage(user._id);
+
+  if (usage.remaining <= 0) {
+    const error = new Error('Daily AI quota reached. Please try again later.');
+    error.statusCode = 429;
+    throw error;
+  }
+
+  const provider = getProvider();
+  const startedAt = Date.now();
+
+  try {
+    const result = await task(provider);
+
+    await AiUsage.create({
+      userId: user._id,
+      feature,
+      provider: provider.name,
+      eventId,
+      success: true,
+      durationMs: Date.now() - startedAt
+    });
+
+    console.log(`🤖 AI ${feature} for user ${user._id} via ${provider.name} (${Date.now() - startedAt}ms)`);
+
+    return result;
+  } catch (error) {
+    // Failed calls still count: the provider may have done (and billed) the work
+    await AiUsage.create({
+      userId: user._id,
+      feature,
+      provider: provider.name,
+      eventId,
+      success: false,
+      durationMs: Date.now() - startedAt,
+      errorMessage: String(error.message).slice(0, 500)
+    });
+
+    console.error(`❌ AI ${feature} failed for user ${user._id} via ${provider.name}: ${error.message}`);
+
+    // Errors from the provider itself mean the upstream service failed
+    if (!error.statusCode) {
+      error.statusCode = 502;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getUsage,
+  runAiTask
+};
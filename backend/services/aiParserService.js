@@ -1,94 +1,199 @@
 /**
- * AI Parser Service (Stub)
- * Mock service for parsing event brochures
- * In production, this would integrate with Gemini or OpenAI API
+ * AI Parser Service
+ * Reads an uploaded event brochure (PDF or image) and extracts event details
+ * using the configured AI provider (Gemini by default, see aiProvider.js)
  */
 
+const fs = require('fs');
+const { getProvider, extractJson } = require('./aiProvider');
+
+// Fields we ask the model to extract, in the same shape as the Event model
+const PARSED_FIELDS = [
+  'title',
+  'description',
+  'categories',
+  'rules',
+  'deadlines',
+  'teamSize',
+  'eligibility'
+];
+
+// Confidence (0-1) at or above which a field counts as "confident"
+const CONFIDENCE_THRESHOLD = 0.7;
+
+const BROCHURE_PROMPT = `
+You are reading a brochure for a college event (hackathon, ideathon, research competition, etc.).
+Extract the event details and reply with ONLY a JSON object in exactly this format:
+
+{
+  "title": "Event title",
+  "description": "2-5 sentence description of the event",
+  "categories": ["Hackathon", "AI"],
+  "rules": ["One rule per item"],
+  "deadlines": {
+    "registrationOpen": "ISO 8601 date or null",
+    "registrationClose": "ISO 8601 date or null",
+    "eventStart": "ISO 8601 date or null",
+    "eventEnd": "ISO 8601 date or null"
+  },
+  "teamSize": { "min": 1, "max": 4 },
+  "eligibility": ["One criterion per item"],
+  "confidence": {
+    "title": 0.0,
+    "description": 0.0,
+    "categories": 0.0,
+    "rules": 0.0,
+    "deadlines": 0.0,
+    "teamSize": 0.0,
+    "eligibility": 0.0
+  }
+}
+
+Rules:
+- Use null (or an empty array) for anything the brochure does not state. Do not guess.
+- "confidence" is a number from 0 to 1 for each field saying how clearly the brochure states it.
+`;
+
 /**
- * Parse event brochure and extract structured data
- * This is a STUB that returns mock data
- * 
+ * Read an uploaded file into base64
+ * Works with both multer disk storage (file.path) and memory storage (file.buffer)
  * @param {Object} file - Uploaded file object from multer
- * @returns {Promise<Object>} Parsed event data
+ * @returns {string} Base64 file contents
+ */
+const readFileAsBase64 = (file) => {
+  const buffer = file.buffer || fs.readFileSync(file.path);
+  return buffer.toString('base64');
+};
+
+/**
+ * Clean up a list of strings returned by the model
+ * @param {*} value - Anything the model returned
+ * @returns {string[]} Trimmed, non-empty strings
+ */
+const toStringList = (value) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(item => item);
+};
+
+/**
+ * Convert a model date string into a Date (or null if missing/invalid)
+ * @param {*} value - Date string from the model
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Convert a model number into a positive integer (or null)
+ * @param {*} value - Number from the model
+ * @returns {number|null}
+ */
+const toPositiveInt = (value) => {
+  const number = parseInt(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Turn the raw model JSON into the Event-shaped object we return
+ * @param {Object} raw - JSON parsed from the model reply
+ * @returns {Object} Normalized event data
  */
-const parseEventBrochure = async (file) => {
-  // Simulate AI processing delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
-
-  // Return mock parsed data
-  // In production, you would:
-  // 1. Read the file content
-  // 2. Send it to Gemini/OpenAI API
-  // 3. Use prompt engineering to extract structured data
-  // 4. Return the parsed results
-
-  const mockData = {
-    title: "Smart India Hackathon 2024",
-    description: "A nationwide initiative to provide students with a platform to solve pressing problems we face in our daily lives, and thus inculcate a culture of product innovation and problem-solving.",
-    categories: ["Hackathon", "Innovation", "Technology"],
-    rules: [
-      "Teams must consist of 6 members",
-      "All team members must be currently enrolled students",
-      "Original ideas only - plagiarism will lead to disqualification",
-      "Code must be submitted via GitHub",
-      "Final presentation in 10 minutes"
-    ],
+const normalizeParsedData = (raw) => {
+  const deadlines = raw.deadlines || {};
+  const teamSize = raw.teamSize || {};
+
+  return {
+    title: typeof raw.title === 'string' ? raw.title.trim() : '',
+    description: typeof raw.description === 'string' ? raw.description.trim() : '',
+    categories: toStringList(raw.categories),
+    rules: toStringList(raw.rules),
     deadlines: {
-      registrationOpen: new Date(),
-      registrationClose: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-      eventStart: new Date(Date.now() + 45 * 24 * 60 * 60 * 1000), // 45 days
-      eventEnd: new Date(Date.now() + 47 * 24 * 60 * 60 * 1000) // 47 days
+      registrationOpen: toDate(deadlines.registrationOpen),
+      registrationClose: toDate(deadlines.registrationClose),
+      eventStart: toDate(deadlines.eventStart),
+      eventEnd: toDate(deadlines.eventEnd)
     },
     teamSize: {
-      min: 4,
-      max: 6
+      min: toPositiveInt(teamSize.min),
+      max: toPositiveInt(teamSize.max)
     },
-    eligibility: [
-      "Must be a college student",
-      "Age between 18-25",
-      "Valid student ID required"
-    ]
+    eligibility: toStringList(raw.eligibility)
   };
+};
+
+/**
+ * Work out a 0-1 confidence score for every parsed field
+ * Fields that came back empty always get 0, whatever the model claimed.
+ * @param {Object} parsedData - Normalized event data
+ * @param {Object} rawConfidence - Confidence object from the model
+ * @returns {Object} Map of field -> confidence
+ */
+const scoreConfidence = (parsedData, rawConfidence = {}) => {
+  const confidence = {};
+
+  PARSED_FIELDS.forEach(field => {
+    const value = parsedData[field];
+    let isEmpty;
+
+    if (Array.isArray(value)) {
+      isEmpty = value.length === 0;
+    } else if (value && typeof value === 'object') {
+      isEmpty = Object.values(value).every(v => v === null);
+    } else {
+      isEmpty = !value;
+    }
+
+    const claimed = Number(rawConfidence[field]);
+    confidence[field] = isEmpty || isNaN(claimed) ? 0 : Math.min(Math.max(claimed, 0), 1);
+  });
+
+  return confidence;
+};
+
+/**
+ * Parse event brochure and extract structured data
+ *
+ * @param {Object} file - Uploaded file object from multer
+ * @param {Object} [provider] - AI provider to use (defaults to the configured one)
+ * @returns {Promise<Object>} Parsed event data with per-field confidence
+ */
+const parseEventBrochure = async (file, provider = getProvider()) => {
+  const reply = await provider.generateContent({
+    prompt: BROCHURE_PROMPT,
+    file: {
+      data: readFileAsBase64(file),
+      mimeType: file.mimetype
+    }
+  });
 
-  console.log('📄 Mock AI Parser: Parsed brochure:', file.originalname);
+  const raw = extractJson(reply);
+  const parsedData = normalizeParsedData(raw);
+  const confidence = scoreConfidence(parsedData, raw.confidence);
+
+  const confidentFields = PARSED_FIELDS.filter(field => confidence[field] >= CONFIDENCE_THRESHOLD);
+  const uncertainFields = PARSED_FIELDS.filter(field => confidence[field] < CONFIDENCE_THRESHOLD);
+
+  console.log(`📄 AI Parser (${provider.name}): Parsed brochure:`, file.originalname);
 
   return {
     success: true,
-    message: 'This is mock data. Integrate with Gemini/OpenAI API for real parsing.',
-    parsedData: mockData,
+    parsedData,
+    confidence,
+    confidentFields,
+    uncertainFields,
     sourceFile: file.originalname,
     fileSize: file.size,
     mimeType: file.mimetype
   };
 };
 
-/**
- * TODO: Real implementation would look like this:
- * 
- * const { GoogleGenerativeAI } = require('@google/generative-ai');
- * const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
- * 
- * const parseEventBrochureReal = async (file) => {
- *   const model = genAI.getGenerativeModel({ model: "gemini-pro-vision" });
- *   
- *   const prompt = `
- *     Extract the following information from this event brochure:
- *     - Event title
- *     - Description
- *     - Categories/Tags
- *     - Rules
- *     - Important dates (registration, event start/end)
- *     - Team size requirements
- *     - Eligibility criteria
- *     
- *     Return as JSON format.
- *   `;
- *   
- *   const result = await model.generateContent([prompt, file]);
- *   return JSON.parse(result.response.text());
- * };
- */
-
 module.exports = {
-  parseEventBrochure
+  parseEventBrochure,
+  PARSED_FIELDS
 };
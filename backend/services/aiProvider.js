@@ -0,0 +1,166 @@
+/**
+ * AI Provider
+ * Single place that knows how to talk to the language model.
+ * Services ask this module for a provider instead of calling Gemini directly,
+ * so a local fake can be swapped in for tests and an offline stub for development.
+ *
+ * A provider is any object with this shape:
+ *   {
+ *     name: string,
+ *     generateContent: async ({ prompt, file }) => string
+ *   }
+ * where `file` is optional and looks like { data: <base64>, mimeType: 'application/pdf' }.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Provider currently in use (created lazily on first request)
+let activeProvider = null;
+
+/**
+ * Create a provider backed by Google Gemini
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} [options.model] - Model name
+ * @returns {Object} Provider
+ */
+const createGeminiProvider = ({ apiKey, model = 'gemini-flash-latest' }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+
+    generateContent: async ({ prompt, file }) => {
+      const generativeModel = genAI.getGenerativeModel({ model });
+
+      // Send the file alongside the prompt when one is given
+      const parts = [prompt];
+      if (file) {
+        parts.push({
+          inlineData: {
+            data: file.data,
+            mimeType: file.mimeType
+          }
+        });
+      }
+
+      const result = await generativeModel.generateContent(parts);
+      return result.response.text();
+    }
+  };
+};
+
+/**
+ * Create a fake provider that never leaves the machine
+ * Useful in tests: pass a function that decides what the "model" replies.
+ *
+ * @param {Function|string} responder - Reply text, or ({ prompt, file }) => reply
+ * @returns {Object} Provider
+ */
+const createFakeProvider = (responder = '') => {
+  const calls = [];
+
+  return {
+    name: 'fake',
+    calls, // Every request is recorded so tests can inspect the prompts
+
+    generateContent: async (request) => {
+      calls.push(request);
+      return typeof responder === 'function' ? responder(request) : responder;
+    }
+  };
+};
+
+/**
+ * Create an offline stub provider
+ * Gives short, predictable replies without any API key or network access.
+ * Selected with AI_PROVIDER=stub in .env for local development.
+ * @returns {Object} Provider
+ */
+const createStubProvider = () => ({
+  name: 'stub',
+
+  generateContent: async ({ prompt, file }) => {
+    // Prompts that expect JSON get an empty object so parsers still work
+    if (/JSON/.test(prompt)) {
+      return '{}';
+    }
+
+    const attachment = file ? ` and a ${file.mimeType} attachment` : '';
+    return `[Offline AI stub] Received a ${prompt.trim().length}-character prompt${attachment}. ` +
+      'Set AI_PROVIDER=gemini and GEMINI_API_KEY in .env to get real answers.';
+  }
+});
+
+/**
+ * Get the provider to use for AI calls
+ * Builds the provider named by AI_PROVIDER (gemini by default) the first time.
+ * @returns {Object} Provider
+ */
+const getProvider = () => {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  if (process.env.AI_PROVIDER === 'stub') {
+    activeProvider = createStubProvider();
+    return activeProvider;
+  }
+
+  if (!process.env.GEMINI_API_KEY) {
+    const error = new Error('AI features are not configured on the server');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  activeProvider = createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL
+  });
+
+  return activeProvider;
+};
+
+/**
+ * Replace the provider (e.g. with a fake in tests)
+ * Pass null to go back to the default provider.
+ * @param {Object|null} provider
+ */
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Pull a JSON object out of a model reply
+ * Models often wrap JSON in ```json fences or add a sentence around it.
+ * @param {string} text - Raw model reply
+ * @returns {Object} Parsed JSON
+ */
+const extractJson = (text) => {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+
+  if (start === -1 || end === -1 || end < start) {
+    const error = new Error('AI response did not contain JSON');
+    error.statusCode = 502;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (parseError) {
+    const error = new Error('AI response contained invalid JSON');
+    error.statusCode = 502;
+    throw error;
+  }
+};
+
+module.exports = {
+  createGeminiProvider,
+  createFakeProvider,
+  createStubProvider,
+  getProvider,
+  setProvider,
+  extractJson
+};
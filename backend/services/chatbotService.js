@@ -1,109 +1,127 @@
 /**
- * Chatbot Service (Stub)
- * Mock service for answering event-related questions
- * In production, this would integrate with Gemini or OpenAI API
+ * Chatbot Service
+ * Answers event-related questions using the configured AI provider.
+ * Answers are grounded in the event's own sections (see eventRetrievalService)
+ * and cite which sections they came from.
  */
 
+const { buildEventSections, retrieveSections } = require('./eventRetrievalService');
+const { extractJson } = require('./aiProvider');
+
+// How many earlier messages are sent to the model for follow-up questions
+const HISTORY_WINDOW = 6;
+
+// Most sections sent to the model per question
+const MAX_SECTIONS = 5;
+
+/**
+ * Pick the sections for a question
+ * Follow-ups like "and when does it end?" carry little meaning on their own,
+ * so the previous question also gets a couple of sections.
+ * @param {Object[]} sections - All event sections
+ * @param {string} question - Current question
+ * @param {Object[]} history - Earlier messages ({ role, content })
+ * @returns {Object[]} Sections to send to the model
+ */
+const selectSections = (sections, question, history) => {
+  const selected = retrieveSections(sections, question, MAX_SECTIONS - 1);
+
+  const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+  if (previousQuestion) {
+    retrieveSections(sections, previousQuestion.content, 2).forEach(section => {
+      if (!selected.includes(section)) {
+        selected.push(section);
+      }
+    });
+  }
+
+  return selected.slice(0, MAX_SECTIONS);
+};
+
+/**
+ * Turn section IDs from the model into citations
+ * @param {string[]} sourceIds - e.g. ["S2", "S5"]
+ * @param {Object[]} sections - Sections that were sent to the model
+ * @returns {Object[]} Citations: { section, label, excerpt }
+ */
+const toCitations = (sourceIds, sections) => {
+  if (!Array.isArray(sourceIds)) return [];
+
+  return sections
+    .filter(section => sourceIds.includes(section.id))
+    .map(section => ({
+      section: section.section,
+      label: section.label,
+      excerpt: section.text.length > 200 ? `${section.text.slice(0, 200)}...` : section.text
+    }));
+};
+
 /**
- * Answer questions about an event using rule-based logic
- * This is a STUB that uses keyword matching
- * 
+ * Answer a question about an event
+ *
  * @param {string} question - User's question
  * @param {Object} event - Event object from database
- * @returns {string} Answer to the question
+ * @param {Object} provider - AI provider (see aiProvider.js)
+ * @param {Object} [options]
+ * @param {Object[]} [options.history] - Earlier messages in this conversation ({ role, content })
+ * @returns {Promise<Object>} { answer, citations }
  */
-const answerEventQuestion = (question, event) => {
-  const lowerQuestion = question.toLowerCase();
-
-  // Keyword-based question answering
-  // In production, you would use AI to understand context and intent
-
-  // Questions about deadlines
-  if (lowerQuestion.includes('deadline') || lowerQuestion.includes('last date') || lowerQuestion.includes('register')) {
-    if (event.deadlines.registrationClose) {
-      const date = new Date(event.deadlines.registrationClose).toLocaleDateString();
-      return `The registration deadline for ${event.title} is ${date}. Make sure to register before this date!`;
-    }
-    return `Registration deadline information is not available for this event yet. Please check back later.`;
-  }
+const answerEventQuestion = async (question, event, provider, { history = [] } = {}) => {
+  const sections = selectSections(buildEventSections(event), question, history);
 
-  // Questions about team size
-  if (lowerQuestion.includes('team') && (lowerQuestion.includes('size') || lowerQuestion.includes('member') || lowerQuestion.includes('people'))) {
-    return `For ${event.title}, teams should have minimum ${event.teamSize.min} and maximum ${event.teamSize.max} members.`;
-  }
+  const sourcesText = sections
+    .map(section => `[${section.id}] (${section.label}) ${section.text}`)
+    .join('\n');
 
-  // Questions about event dates
-  if (lowerQuestion.includes('when') || lowerQuestion.includes('date') || lowerQuestion.includes('start')) {
-    if (event.deadlines.eventStart) {
-      const startDate = new Date(event.deadlines.eventStart).toLocaleDateString();
-      const endDate = event.deadlines.eventEnd 
-        ? new Date(event.deadlines.eventEnd).toLocaleDateString() 
-        : 'TBD';
-      return `${event.title} starts on ${startDate} and ends on ${endDate}.`;
-    }
-    return `Event dates will be announced soon. Stay tuned!`;
-  }
+  const conversationText = history
+    .slice(-HISTORY_WINDOW)
+    .map(message => `${message.role === 'user' ? 'Student' : 'Assistant'}: ${message.content}`)
+    .join('\n');
 
-  // Questions about rules
-  if (lowerQuestion.includes('rule') || lowerQuestion.includes('regulation') || lowerQuestion.includes('requirement')) {
-    if (event.rules && event.rules.length > 0) {
-      const rulesList = event.rules.slice(0, 5).join('\n• ');
-      return `Here are the main rules for ${event.title}:\n• ${rulesList}\n\nFor complete details, please check the event description.`;
-    }
-    return `Detailed rules will be shared soon. Please check the event description for updates.`;
-  }
+  const prompt = `
+You are a friendly assistant answering a student's questions about the college event "${event.title}".
+Answer ONLY from the sources below. If they don't contain the answer, say that clearly
+and suggest contacting the organizers. Never make up dates, prizes or rules.
 
-  // Questions about eligibility
-  if (lowerQuestion.includes('eligib') || lowerQuestion.includes('can i') || lowerQuestion.includes('allowed')) {
-    return `Generally, all college students can participate in ${event.title}. Please check the event description for specific eligibility criteria.`;
-  }
+Sources:
+${sourcesText}
 
-  // Questions about prizes
-  if (lowerQuestion.includes('prize') || lowerQuestion.includes('reward') || lowerQuestion.includes('win')) {
-    return `Prize information for ${event.title} will be announced soon. Keep an eye on the event updates!`;
+${conversationText ? `Conversation so far:\n${conversationText}\n` : ''}
+Student's question: ${question}
+
+Reply with ONLY a JSON object in this format:
+{ "answer": "Your answer", "sources": ["S1"] }
+where "sources" lists the IDs of the sources you used.
+`;
+
+  const reply = await provider.generateContent({ prompt });
+
+  // Prefer the structured reply, but accept plain text from the model too
+  let answer = '';
+  let sourceIds = [];
+  try {
+    const parsed = extractJson(reply);
+    answer = typeof parsed.answer === 'string' ? parsed.answer.trim() : '';
+    sourceIds = parsed.sources;
+  } catch (error) {
+    answer = String(reply || '').trim();
   }
 
-  // Questions about categories
-  if (lowerQuestion.includes('category') || lowerQuestion.includes('type') || lowerQuestion.includes('theme')) {
-    if (event.categories && event.categories.length > 0) {
-      return `${event.title} falls under these categories: ${event.categories.join(', ')}.`;
-    }
-    return `Category information is not available yet.`;
+  // No usable answer (e.g. the offline stub): quote the best matching section
+  if (!answer) {
+    const best = sections[0];
+    return {
+      answer: `Here's what the event's ${best.label.toLowerCase()} says: ${best.text}`,
+      citations: toCitations([best.id], sections)
+    };
   }
 
-  // Default response for unmatched questions
-  return `I'm not sure about that specific detail for ${event.title}. Please refer to the event description or contact the organizers for more information. You can also try asking about: deadlines, team size, event dates, rules, or eligibility.`;
+  return {
+    answer,
+    citations: toCitations(sourceIds, sections)
+  };
 };
 
-/**
- * TODO: Real implementation would look like this:
- * 
- * const { GoogleGenerativeAI } = require('@google/generative-ai');
- * const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
- * 
- * const answerEventQuestionReal = async (question, event) => {
- *   const model = genAI.getGenerativeModel({ model: "gemini-pro" });
- *   
- *   const prompt = `
- *     You are a helpful chatbot for college events.
- *     
- *     Event Details:
- *     Title: ${event.title}
- *     Description: ${event.description}
- *     Rules: ${event.rules.join(', ')}
- *     Team Size: ${event.teamSize.min}-${event.teamSize.max}
- *     Deadlines: Registration closes on ${event.deadlines.registrationClose}
- *     
- *     User Question: ${question}
- *     
- *     Provide a helpful, concise answer based on the event details above.
- *   `;
- *   
- *   const result = await model.generateContent(prompt);
- *   return result.response.text();
- * };
- */
-
 module.exports = {
   answerEventQuestion
 };
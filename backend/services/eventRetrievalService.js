@@ -0,0 +1,205 @@
+/**
+ * Event Retrieval Service
+ * Splits an event into small labelled sections (description, rules, deadlines,
+ * brochure, ...) and picks the ones most relevant to a question.
+ * The chatbot only sends these sections to the AI, so answers stay grounded
+ * in what the event actually says and can cite where they came from.
+ */
+
+// Longest piece of text (in characters) a single section may hold
+const MAX_SECTION_LENGTH = 600;
+
+// Common words that say nothing about what the user is looking for
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'what', 'when', 'where', 'which', 'who', 'how',
+  'can', 'could', 'does', 'did', 'this', 'that', 'there', 'with', 'about', 'will',
+  'would', 'should', 'have', 'has', 'any', 'our', 'you', 'your', 'event', 'tell',
+  'please', 'from', 'into', 'its', 'also', 'then', 'than', 'them', 'they', 'is', 'it'
+]);
+
+// Extra words to search for when a question mentions one of these topics
+const SYNONYMS = {
+  deadline: ['registration', 'register', 'close', 'closes', 'last'],
+  register: ['registration', 'deadline', 'close'],
+  prize: ['prizes', 'reward', 'rewards', 'award', 'awards', 'cash', 'winner', 'winners'],
+  win: ['prize', 'winner', 'award'],
+  team: ['members', 'member', 'size'],
+  date: ['start', 'end', 'starts', 'ends', 'schedule'],
+  when: ['start', 'end', 'date', 'deadline'],
+  eligible: ['eligibility', 'eligible', 'allowed', 'students', 'year'],
+  eligibility: ['eligible', 'allowed', 'students', 'year'],
+  rule: ['rules', 'guidelines', 'must', 'allowed'],
+  theme: ['category', 'categories', 'track', 'tracks'],
+  contact: ['email', 'phone', 'coordinator']
+};
+
+/**
+ * Lowercase a piece of text and split it into useful words
+ * @param {string} text
+ * @returns {string[]} Words without stop words
+ */
+const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+};
+
+/**
+ * Split long text into paragraphs no longer than MAX_SECTION_LENGTH
+ * @param {string} text
+ * @returns {string[]} Chunks of text
+ */
+const chunkText = (text) => {
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(p => p);
+
+  const chunks = [];
+  paragraphs.forEach(paragraph => {
+    // Break very long paragraphs at sentence boundaries
+    let current = '';
+    paragraph.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      if (current && (current.length + sentence.length) > MAX_SECTION_LENGTH) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    });
+    if (current) chunks.push(current);
+  });
+
+  return chunks;
+};
+
+/**
+ * Format a date for a section, or say it isn't set
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => {
+  return date ? new Date(date).toDateString() : 'not announced';
+};
+
+/**
+ * Break an event into labelled sections the chatbot can search and cite
+ *
+ * @param {Object} event - Event object from database
+ * @returns {Object[]} Sections: { id, section, label, text }
+ */
+const buildEventSections = (event) => {
+  const sections = [];
+  const add = (section, label, text) => {
+    sections.push({ id: `S${sections.length + 1}`, section, label, text });
+  };
+
+  add('overview', 'Overview',
+    `${event.title}. Categories: ${(event.categories || []).join(', ') || 'none listed'}. ` +
+    `Current status: ${event.status}.`);
+
+  const descriptionChunks = chunkText(event.description);
+  descriptionChunks.forEach((chunk, index) => {
+    add('description', descriptionChunks.length > 1 ? `Description (part ${index + 1})` : 'Description', chunk);
+  });
+
+  (event.rules || []).forEach((rule, index) => {
+    add('rules', `Rule ${index + 1}`, rule);
+  });
+
+  const deadlines = event.deadlines || {};
+  add('deadlines', 'Deadlines',
+    `Registration opens: ${formatDate(deadlines.registrationOpen)}. ` +
+    `Registration closes (deadline to register): ${formatDate(deadlines.registrationClose)}. ` +
+    `Event starts: ${formatDate(deadlines.eventStart)}. ` +
+    `Event ends: ${formatDate(deadlines.eventEnd)}.`);
+
+  add('teamSize', 'Team size',
+    `Teams must have between ${event.teamSize.min} and ${event.teamSize.max} members.`);
+
+  // The brochure's own text; its AI summary only if the text couldn't be read
+  const brochureText = (event.brochureText && event.brochureText.text) ||
+    (event.brochureSummary && event.brochureSummary.text);
+  const brochureChunks = chunkText(brochureText);
+  brochureChunks.forEach((chunk, index) => {
+    add('brochure', brochureChunks.length > 1 ? `Brochure (part ${index + 1})` : 'Brochure', chunk);
+  });
+
+  return sections;
+};
+
+/**
+ * Expand question words with related words (e.g. "prize" -> "reward")
+ * @param {string[]} words
+ * @returns {Set<string>}
+ */
+const expandQuery = (words) => {
+  const expanded = new Set(words);
+  words.forEach(word => {
+    Object.keys(SYNONYMS).forEach(key => {
+      if (word.startsWith(key)) {
+        SYNONYMS[key].forEach(synonym => expanded.add(synonym));
+      }
+    });
+  });
+  return expanded;
+};
+
+/**
+ * Score how well a section matches the query words
+ * Words match exactly or by shared prefix ("prize" matches "prizes").
+ * @param {Object} section
+ * @param {Set<string>} queryWords
+ * @returns {number}
+ */
+const scoreSection = (section, queryWords) => {
+  const sectionWords = new Set(tokenize(`${section.label} ${section.text}`));
+  let score = 0;
+
+  queryWords.forEach(queryWord => {
+    for (const word of sectionWords) {
+      const matches = word === queryWord ||
+        (queryWord.length >= 4 && word.startsWith(queryWord)) ||
+        (word.length >= 4 && queryWord.startsWith(word));
+      if (matches) {
+        score += 1;
+        break;
+      }
+    }
+  });
+
+  return score;
+};
+
+/**
+ * Pick the sections most relevant to a question
+ *
+ * @param {Object[]} sections - From buildEventSections
+ * @param {string} query - Question (plus any context from earlier messages)
+ * @param {number} [limit] - Maximum sections to return
+ * @returns {Object[]} Relevant sections, best first
+ */
+const retrieveSections = (sections, query, limit = 5) => {
+  const queryWords = expandQuery(tokenize(query));
+
+  const ranked = sections
+    .map((section, index) => ({ section, index, score: scoreSection(section, queryWords) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(item => item.section);
+
+  // Nothing matched: fall back to the general sections
+  if (ranked.length === 0) {
+    return sections
+      .filter(section => ['overview', 'description', 'deadlines', 'teamSize'].includes(section.section))
+      .slice(0, limit);
+  }
+
+  return ranked;
+};
+
+module.exports = {
+  buildEventSections,
+  retrieveSections
+};
@@ -0,0 +1,139 @@
+/**
+ * Event Scheduler
+ * Moves events between upcoming, ongoing and past as their deadlines pass,
+ * so event reads never have to write to the database to stay current.
+ *
+ * Other parts of the app can react to a transition with onTransition():
+ *
+ *   onTransition(async ({ event, from, to }) => { ... });
+ */
+
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const { publishEventUpdate } = require('./realtime');
+
+// How often to look for events whose status is out of date
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Functions called after an event changes status
+const transitionHooks = [];
+
+/**
+ * Register a function to run whenever an event changes status
+ * @param {Function} hook - async ({ event, from, to }) => void
+ */
+const onTransition = (hook) => {
+  transitionHooks.push(hook);
+};
+
+/**
+ * Run every transition hook for one event
+ * A failing hook is logged and does not stop the others.
+ * @param {Object} transition - { event, from, to }
+ */
+const runHooks = async (transition) => {
+  for (const hook of transitionHooks) {
+    try {
+      await hook(transition);
+    } catch (error) {
+      console.error(`❌ Event transition hook failed for ${transition.event._id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Move every event whose deadlines have passed to its new status
+ *
+ * @param {Date} [now] - Time to evaluate at (defaults to now)
+ * @returns {Promise<Object[]>} Transitions made: { event, from, to }
+ */
+const runTransitions = async (now = new Date()) => {
+  // Events that have ended, or started, since their status was last set
+  const candidates = await Event.find({
+    $or: [
+      { status: { $ne: 'past' }, 'deadlines.eventEnd': { $lt: now } },
+      { status: 'upcoming', 'deadlines.eventStart': { $lte: now } }
+    ]
+  });
+
+  const transitions = [];
+
+  for (const event of candidates) {
+    const from = event.status;
+    const to = Event.computeStatus(event.deadlines, now);
+    if (to === from) continue;
+
+    // Only move the event if nobody else has already (e.g. another server)
+    const result = await Event.updateOne(
+      { _id: event._id, status: from },
+      { $set: { status: to } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    event.status = to;
+    const transition = { event, from, to };
+    transitions.push(transition);
+
+    console.log(`📅 Event "${event.title}" is now ${to} (was ${from})`);
+    await runHooks(transition);
+  }
+
+  return transitions;
+};
+
+/**
+ * Start checking for event transitions in the background
+ * Runs once straight away, then every EVENT_SCHEDULER_INTERVAL_MS (default 1 minute).
+ *
+ * @returns {Function} Call to stop the scheduler
+ */
+const startEventScheduler = () => {
+  const intervalMs = parseInt(process.env.EVENT_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  let timer = null;
+  let stopped = false;
+
+  // Wait for each run to finish before scheduling the next one
+  const tick = async () => {
+    try {
+      await runTransitions();
+    } catch (error) {
+      console.error(`❌ Event scheduler failed: ${error.message}`);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  };
+
+  tick();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+// ============================================
+// BUILT-IN TRANSITION HOOKS
+// ============================================
+
+// Once an event is over, pending invites and join requests can never be
+// accepted, so clear them out of every team for that event
+onTransition(async ({ event, to }) => {
+  if (to !== 'past') return;
+
+  await Team.updateMany(
+    { eventId: event._id },
+    { $set: { invites: [], joinRequests: [] } }
+  );
+});
+
+// Update the status shown to anyone viewing the event right now
+onTransition(async ({ event, from, to }) => {
+  publishEventUpdate(event._id, 'status', { from, to });
+});
+
+module.exports = {
+  onTransition,
+  runTransitions,
+  startEventScheduler
+};
@@ -0,0 +1,110 @@
+/**
+ * Event Search Service
+ * Builds the filters for the event list (GET /api/events): full-text search
+ * over title, description and rules, status, category and start-date range,
+ * plus facet counts per category and status for the Dashboard's filter chips.
+ */
+
+const Event = require('../models/Event');
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a date query parameter
+ * @param {string} value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {Date|null}
+ * @throws {Error} statusCode 400 if the date is invalid
+ */
+const parseDate = (value, name) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const error = new Error(`Invalid date for ${name}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+};
+
+/**
+ * Turn the event list's query parameters into MongoDB filters
+ * The status and category parts are kept separate so each facet can be
+ * counted without its own filter (choosing a category still shows the
+ * counts for the other categories).
+ *
+ * @param {Object} query - { q, status, category, from, to }
+ * @param {Object} [scope] - Filter every result must match, e.g. the user's institution
+ * @returns {Object} { base, status, category, text }
+ */
+const buildEventFilters = ({ q, status, category, from, to } = {}, scope = {}) => {
+  const base = { ...scope };
+  const text = String(q || '').trim();
+
+  if (text) {
+    base.$text = { $search: text };
+  }
+
+  // Events starting within the range (to is inclusive of that whole day)
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    base['deadlines.eventStart'] = {};
+    if (fromDate) base['deadlines.eventStart'].$gte = fromDate;
+    if (toDate) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999);
+      base['deadlines.eventStart'].$lte = toDate;
+    }
+  }
+
+  return {
+    base,
+    status: status ? { status } : {},
+    category: category ? { categories: new RegExp(`^${escapeRegex(category.trim())}$`, 'i') } : {},
+    text
+  };
+};
+
+/**
+ * Count matching events per category and per status
+ *
+ * @param {Object} filters - From buildEventFilters()
+ * @returns {Promise<Object>} { categories: [{ value, count }], statuses: [{ value, count }] }
+ */
+const getEventFacets = async (filters) => {
+  const [result] = await Event.aggregate([
+    // $text has to be in the first stage
+    { $match: filters.base },
+    {
+      $facet: {
+        categories: [
+          { $match: filters.status },
+          { $unwind: '$categories' },
+          // Categories are free text, so group "Hackathon" and "hackathon" together
+          { $group: { _id: { $toLower: '$categories' }, value: { $first: '$categories' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, value: 1 } }
+        ],
+        statuses: [
+          { $match: filters.category },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    categories: result.categories.map(({ value, count }) => ({ value, count })),
+    statuses: result.statuses.map(({ _id, count }) => ({ value: _id, count }))
+  };
+};
+
+module.exports = {
+  buildEventFilters,
+  getEventFacets
+};
@@ -0,0 +1,83 @@
+/**
+ * Institution Service
+ * Matches email addresses to institutions (models/Institution.js) and keeps
+ * each institution's events and students to itself.
+ *
+ * Users and events without an institution (from before institutions were
+ * set up, or on a deployment with none) form a pool of their own, so every
+ * query is scoped the same way.
+ */
+
+const Institution = require('../models/Institution');
+
+/**
+ * Get the domain of an email address
+ * @param {string} email
+ * @returns {string} e.g. "cs.example.edu"
+ */
+const getEmailDomain = (email) => String(email || '').split('@').pop().trim().toLowerCase();
+
+/**
+ * Clean up a list of domains: lowercase, no "@", no duplicates
+ * @param {string[]} domains - e.g. ["@Example.edu", "example.edu "]
+ * @returns {string[]} e.g. ["example.edu"]
+ */
+const normalizeDomains = (domains = []) => {
+  return [...new Set(domains.map(domain => String(domain).trim().toLowerCase().replace(/^@/, '')).filter(Boolean))];
+};
+
+/**
+ * Find the institution an email address belongs to
+ * The most specific domain wins (cs.example.edu before example.edu).
+ * @param {string} email
+ * @returns {Promise<Object|null>} Institution, or null if none matches
+ */
+const findInstitutionByEmail = async (email) => {
+  // "cs.example.edu" -> ["cs.example.edu", "example.edu", "edu"]
+  const parts = getEmailDomain(email).split('.');
+  const candidates = parts.map((part, index) => parts.slice(index).join('.'));
+
+  const institutions = await Institution.find({ domains: { $in: candidates } });
+  if (institutions.length === 0) return null;
+
+  const depth = (institution) => Math.min(
+    ...institution.domains.map(domain => candidates.indexOf(domain)).filter(index => index !== -1)
+  );
+  return institutions.sort((a, b) => depth(a) - depth(b))[0];
+};
+
+/**
+ * Check if any institution is set up
+ * Until one is, anyone can register (a single-college deployment).
+ * @returns {Promise<boolean>}
+ */
+const hasInstitutions = async () => !!(await Institution.exists({}));
+
+/**
+ * Filter limiting a query to the user's institution
+ * Works for any collection with an institutionId (users, events).
+ * @param {Object} user
+ * @returns {Object} e.g. { institutionId: <id> }
+ */
+const institutionScope = (user) => ({
+  institutionId: user.institutionId || null
+});
+
+/**
+ * Check if two documents belong to the same institution
+ * @param {Object} a - e.g. a user
+ * @param {Object} b - e.g. an event
+ * @returns {boolean}
+ */
+const isSameInstitution = (a, b) => {
+  return String(a.institutionId || '') === String(b.institutionId || '');
+};
+
+module.exports = {
+  getEmailDomain,
+  normalizeDomains,
+  findInstitutionByEmail,
+  hasInstitutions,
+  institutionScope,
+  isSameInstitution
+};
@@ -0,0 +1,132 @@
+/**
+ * Invite Cleanup
+ * Removes team invites once they expire, so they stop showing up for the
+ * invitee and the team's pending list, and free the user to be invited again.
+ *
+ * Also upgrades invites stored before they carried any details (a bare user ID)
+ * into full invite records, once at startup.
+ */
+
+const Team = require('../models/Team');
+const { publishTeamUpdate } = require('./realtime');
+
+// How often to look for expired invites
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Expiry given to old invites that never had one (days from the upgrade)
+const LEGACY_INVITE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn old bare-ID invites into invite records
+ * The team leader is recorded as the inviter, since that was the only person
+ * who could invite before co-leaders existed.
+ *
+ * @returns {Promise<number>} Number of teams upgraded
+ */
+const migrateLegacyInvites = async () => {
+  const result = await Team.updateMany(
+    { invites: { $type: 'objectId' } },
+    [{
+      $set: {
+        invites: {
+          $map: {
+            input: '$invites',
+            as: 'invite',
+            in: {
+              $cond: [
+                { $eq: [{ $type: '$$invite' }, 'objectId'] },
+                {
+                  userId: '$$invite',
+                  invitedBy: '$leaderId',
+                  invitedAt: '$$NOW',
+                  expiresAt: { $add: ['$$NOW', LEGACY_INVITE_DAYS * DAY_MS] }
+                },
+                '$$invite'
+              ]
+            }
+          }
+        }
+      }
+    }]
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Remove every invite that has expired
+ *
+ * @param {Date} [now] - Time to evaluate at (defaults to now)
+ * @returns {Promise<number>} Number of invites removed
+ */
+const removeExpiredInvites = async (now = new Date()) => {
+  const teams = await Team.find({ 'invites.expiresAt': { $lte: now } });
+  let removed = 0;
+
+  for (const team of teams) {
+    const expiredUserIds = team.invites
+      .filter(invite => invite.expiresAt <= now)
+      .map(invite => invite.userId);
+
+    await Team.updateOne(
+      { _id: team._id },
+      { $pull: { invites: { expiresAt: { $lte: now } } } }
+    );
+
+    // Refresh the team page and the invitees' My Teams
+    team.invites = team.invites.filter(invite => invite.expiresAt > now);
+    publishTeamUpdate(team, 'invite_expired', expiredUserIds);
+    removed += expiredUserIds.length;
+  }
+
+  return removed;
+};
+
+/**
+ * Start removing expired invites in the background
+ * Upgrades old invites first, then checks every INVITE_CLEANUP_INTERVAL_MS
+ * (default 1 hour).
+ *
+ * @returns {Function} Call to stop the cleanup
+ */
+const startInviteCleanup = () => {
+  const intervalMs = parseInt(process.env.INVITE_CLEANUP_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const removed = await removeExpiredInvites();
+      if (removed > 0) {
+        console.log(`✉️  Removed ${removed} expired team invite(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Invite cleanup failed: ${error.message}`);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  };
+
+  migrateLegacyInvites()
+    .then(upgraded => {
+      if (upgraded > 0) {
+        console.log(`✉️  Upgraded invites on ${upgraded} team(s)`);
+      }
+    })
+    .catch(error => console.error(`❌ Invite upgrade failed: ${error.message}`))
+    .finally(tick);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = {
+  migrateLegacyInvites,
+  removeExpiredInvites,
+  startInviteCleanup
+};
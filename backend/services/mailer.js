@@ -0,0 +1,160 @@
+/**
+ * Mailer
+ * Single place that knows how to send email.
+ * Services call sendMail() instead of talking to an SMTP server directly, so
+ * local development can write mail to the console or to files and tests can
+ * swap in a fake that just records messages.
+ *
+ * A transport is any object with this shape:
+ *   {
+ *     name: string,
+ *     send: async ({ from, to, subject, text, html }) => void
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'TeamFinder <no-reply@teamfinder.local>';
+
+// Transport currently in use (created lazily on first message)
+let activeTransport = null;
+
+/**
+ * Create a transport that sends through an SMTP server
+ * @param {Object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} [options.port] - SMTP port (587 by default, 465 uses TLS)
+ * @param {string} [options.user] - Username, if the server needs one
+ * @param {string} [options.pass] - Password
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = ({ host, port = 587, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+/**
+ * Create a transport that writes each message to a JSON file
+ * Useful for local development and tests: open the file to follow a link.
+ * @param {string} dir - Folder to write messages to (created if missing)
+ * @returns {Object} Transport
+ */
+const createFileTransport = (dir) => ({
+  name: 'file',
+
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    console.log(`📧 Mail to ${message.to} saved to ${file}`);
+  }
+});
+
+/**
+ * Create a transport that prints messages to the server log
+ * The default when no mail transport is configured.
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  send: async ({ from, to, subject, text }) => {
+    console.log(`📧 Mail from ${from} to ${to}\nSubject: ${subject}\n\n${text}\n`);
+  }
+});
+
+/**
+ * Create a fake transport that keeps messages in memory
+ * @returns {Object} Transport with a `sent` array of every message
+ */
+const createFakeTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent, // Every message is recorded so tests can inspect it
+
+    send: async (message) => {
+      sent.push(message);
+    }
+  };
+};
+
+/**
+ * Get the transport to send mail with
+ * Builds the transport named by MAIL_TRANSPORT (console by default) the first time.
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+
+  if (transport === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      const error = new Error('Email is not configured on the server');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    activeTransport = createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || undefined,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  } else if (transport === 'file') {
+    activeTransport = createFileTransport(process.env.MAIL_DIR || 'mail');
+  } else {
+    activeTransport = createConsoleTransport();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Replace the transport (e.g. with a fake in tests)
+ * Pass null to go back to the configured transport.
+ * @param {Object|null} transport
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createFakeTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
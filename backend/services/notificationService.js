@@ -0,0 +1,102 @@
+/**
+ * Notification Service
+ * Creates in-app notifications for team and event activity.
+ * Notifications are a side effect: if saving one fails, the action that
+ * caused it still succeeds.
+ */
+
+const Notification = require('../models/Notification');
+const Team = require('../models/Team');
+const { onTransition } = require('./eventScheduler');
+const { publish } = require('./realtime');
+
+/**
+ * Get a plain ID string from an ObjectId or a populated document
+ * @param {Object|string} value
+ * @returns {string}
+ */
+const toId = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Shorten user-written text quoted in a notification
+ * Invite messages and reasons can be long; the notification only needs the gist.
+ * @param {string} text
+ * @param {number} [max] - Longest excerpt, including the ellipsis
+ * @returns {string}
+ */
+const excerpt = (text, max = 200) => {
+  const trimmed = String(text || '').trim();
+  return trimmed.length > max ? `${trimmed.slice(0, max - 1).trimEnd()}…` : trimmed;
+};
+
+/**
+ * Send a notification to one or more users
+ * The user who caused it (actorId) is never notified about their own action.
+ *
+ * @param {Array} userIds - Recipients (ObjectIds, strings or populated users)
+ * @param {Object} notification
+ * @param {string} notification.type - See Notification model
+ * @param {string} notification.message - Text shown to the user
+ * @param {string} [notification.link] - App page to open
+ * @param {Object} [notification.actorId] - User who caused it
+ * @param {Object} [notification.teamId] - Related team
+ * @param {Object} [notification.eventId] - Related event
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const notifyUsers = async (userIds, { type, message, link, actorId, teamId, eventId }) => {
+  const actor = actorId ? toId(actorId) : null;
+  const recipients = [...new Set(userIds.filter(Boolean).map(toId))]
+    .filter(userId => userId !== actor);
+
+  if (recipients.length === 0) return [];
+
+  try {
+    const notifications = await Notification.insertMany(recipients.map(userId => ({
+      userId,
+      type,
+      message,
+      link,
+      actorId: actor,
+      teamId: teamId ? toId(teamId) : undefined,
+      eventId: eventId ? toId(eventId) : undefined
+    })));
+
+    // Push each notification to its recipient if they are online
+    notifications.forEach(notification => {
+      publish(`user:${notification.userId}`, 'notification', { notification });
+    });
+
+    return notifications;
+  } catch (error) {
+    console.error(`❌ Failed to create ${type} notifications: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Get everyone who is in a team for an event
+ * @param {Object|string} eventId
+ * @returns {Promise<string[]>} User IDs
+ */
+const getEventParticipants = async (eventId) => {
+  const members = await Team.distinct('members', { eventId: toId(eventId) });
+  return members.map(toId);
+};
+
+// Tell participants when their event starts or ends (see eventScheduler.js)
+onTransition(async ({ event, to }) => {
+  if (to === 'upcoming') return;
+
+  await notifyUsers(await getEventParticipants(event._id), {
+    type: 'event_status',
+    message: to === 'ongoing' ? `${event.title} has started!` : `${event.title} has ended`,
+    link: `/events/${event._id}`,
+    eventId: event._id
+  });
+});
+
+module.exports = {
+  excerpt,
+  notifyUsers,
+  getEventParticipants
+};
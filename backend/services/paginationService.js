@@ -0,0 +1,218 @@
+/**
+ * Pagination Service
+ * One paging scheme for every list endpoint: each page is returned as
+ *
+ *   { items, nextCursor, total }
+ *
+ * and the next page is fetched by passing ?cursor=<nextCursor> (nextCursor is
+ * null on the last page). Cursors are opaque to clients.
+ *
+ * Most lists page by position in their sort order ("keyset" paging), so items
+ * added or removed between requests don't cause repeats or gaps. Lists ranked
+ * by a score MongoDB can't filter on (text search relevance) page by offset.
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Error for a cursor that wasn't produced by this API
+ * @returns {Error} statusCode 400
+ */
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Encode values so dates and IDs survive the trip through JSON
+ * @param {*} value
+ * @returns {*}
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value && value._bsontype === 'ObjectId') return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Reverse of encodeValue()
+ * @param {*} value
+ * @returns {*}
+ */
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw invalidCursor();
+  }
+  return value;
+};
+
+/**
+ * Turn cursor contents into the opaque string handed to clients
+ * @param {Object} contents - { values } (keyset) or { offset }
+ * @returns {string}
+ */
+const encodeCursor = (contents) => {
+  const payload = contents.values
+    ? { v: contents.values.map(encodeValue) }
+    : { o: contents.offset };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor string from a client
+ * @param {string} cursor
+ * @returns {Object|null} { values } or { offset }, or null for the first page
+ * @throws {Error} statusCode 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (Array.isArray(payload && payload.v)) {
+    return { values: payload.v.map(decodeValue) };
+  }
+  if (payload && Number.isInteger(payload.o) && payload.o >= 0) {
+    return { offset: payload.o };
+  }
+  throw invalidCursor();
+};
+
+/**
+ * Read ?limit and ?cursor from a request's query
+ * @param {Object} query - req.query
+ * @param {Object} [options] - { defaultLimit, maxLimit }
+ * @returns {Object} { limit, cursor } (cursor decoded, or null)
+ */
+const getPageParams = (query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { limit, cursor: decodeCursor(query.cursor) };
+};
+
+/**
+ * Build the MongoDB sort object for a sort spec
+ * @param {Array} sortFields - e.g. [['deadlines.eventStart', 1], ['_id', 1]] (must end with a unique field)
+ * @returns {Object}
+ */
+const toSort = (sortFields) => Object.fromEntries(sortFields);
+
+/**
+ * Build the condition for "comes after the cursor" in the sort order
+ * Handles fields that may be missing (MongoDB sorts them first ascending,
+ * last descending).
+ *
+ * @param {Array} sortFields - Same spec as toSort()
+ * @param {Object|null} cursor - Decoded cursor
+ * @returns {Object} Condition to combine with the list's filter ({} for the first page)
+ */
+const keysetFilter = (sortFields, cursor) => {
+  if (!cursor) return {};
+  if (!cursor.values || cursor.values.length !== sortFields.length) throw invalidCursor();
+
+  const equal = (field, value) => ({ [field]: value });
+  const after = (field, value, direction) => {
+    if (direction === 1) {
+      return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+    }
+    return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  };
+
+  const branches = [];
+  sortFields.forEach(([field, direction], index) => {
+    const next = after(field, cursor.values[index], direction);
+    if (!next) return;
+    const same = sortFields.slice(0, index).map(([prevField], prevIndex) =>
+      equal(prevField, cursor.values[prevIndex])
+    );
+    branches.push(same.length > 0 ? { $and: [...same, next] } : next);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+/**
+ * Read a (possibly nested) field from a document or plain object
+ * @param {Object} item
+ * @param {string} field - e.g. "stats.eventsParticipated"
+ * @returns {*}
+ */
+const readField = (item, field) => {
+  if (typeof item.get === 'function') return item.get(field);
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+};
+
+/**
+ * Get the number of items to skip for an offset-paged list
+ * @param {Object|null} cursor - Decoded cursor
+ * @returns {number}
+ */
+const getOffset = (cursor) => {
+  if (!cursor) return 0;
+  if (cursor.offset === undefined) throw invalidCursor();
+  return cursor.offset;
+};
+
+/**
+ * Turn the results of a keyset query (fetched with limit + 1) into a page
+ * @param {Array} results - Up to limit + 1 items
+ * @param {number} limit
+ * @param {Array} sortFields - Same spec used for the query
+ * @returns {Object} { items, nextCursor }
+ */
+const toKeysetPage = (results, limit, sortFields) => {
+  const items = results.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = results.length > limit && last
+    ? encodeCursor({ values: sortFields.map(([field]) => readField(last, field) ?? null) })
+    : null;
+
+  return { items, nextCursor };
+};
+
+/**
+ * Turn the results of an offset query (fetched with limit + 1) into a page
+ * @param {Array} results - Up to limit + 1 items
+ * @param {number} limit
+ * @param {number} offset - Offset the query started at
+ * @returns {Object} { items, nextCursor }
+ */
+const toOffsetPage = (results, limit, offset) => ({
+  items: results.slice(0, limit),
+  nextCursor: results.length > limit ? encodeCursor({ offset: offset + limit }) : null
+});
+
+/**
+ * Combine a list's own filter with a cursor condition
+ * @param {Object} filter
+ * @param {Object} condition - From keysetFilter()
+ * @returns {Object}
+ */
+const withCursor = (filter, condition) => {
+  if (Object.keys(condition).length === 0) return filter;
+  return { $and: [filter, condition] };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getPageParams,
+  toSort,
+  keysetFilter,
+  withCursor,
+  getOffset,
+  toKeysetPage,
+  toOffsetPage
+};
@@ -0,0 +1,301 @@
+/**
+ * Real-time Service
+ * WebSocket server (at /ws) that pushes live updates to the React app.
+ *
+ * Clients connect with their access token: /ws?token=<accessToken>
+ * and then subscribe to channels by sending JSON messages:
+ *
+ *   { "action": "subscribe", "channel": "team:<teamId>" }
+ *   { "action": "unsubscribe", "channel": "event:<eventId>" }
+ *
+ * Channels:
+ *   user:<userId>   - joined automatically; invites, join requests, notifications
+ *   team:<teamId>   - roster, invite and join request changes for a team
+ *   event:<eventId> - event details and status changes
+ *
+ * Only teams and events the user can see over the REST API (those of their
+ * institution) can be subscribed to; otherwise the client gets back
+ * { type: "error", channel, data: { message } }.
+ *
+ * Every message sent to a client looks like { type, channel, data }.
+ * Messages only say what changed; clients reload the details over the REST API.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyAccessToken } = require('../middleware/auth');
+const Team = require('../models/Team');
+const Event = require('../models/Event');
+const { institutionScope, isSameInstitution } = require('./institutionService');
+
+const SOCKET_PATH = '/ws';
+
+// How often to check that connected clients are still there
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Channels clients may subscribe to (their own user channel is joined automatically)
+const CHANNEL_PATTERN = /^(team|event):[a-f0-9]{24}$/;
+
+// channel name -> Set of sockets subscribed to it
+const channels = new Map();
+
+/**
+ * Get a plain ID string from an ObjectId or a populated document
+ * @param {Object|string} value
+ * @returns {string}
+ */
+const toId = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Add a socket to a channel
+ * @param {WebSocket} socket
+ * @param {string} channel
+ */
+const subscribe = (socket, channel) => {
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  channels.get(channel).add(socket);
+  socket.channels.add(channel);
+};
+
+/**
+ * Remove a socket from a channel
+ * @param {WebSocket} socket
+ * @param {string} channel
+ */
+const unsubscribe = (socket, channel) => {
+  const sockets = channels.get(channel);
+  if (sockets) {
+    sockets.delete(socket);
+    if (sockets.size === 0) channels.delete(channel);
+  }
+  socket.channels.delete(channel);
+};
+
+/**
+ * Send a message to one socket
+ * @param {WebSocket} socket
+ * @param {string} type
+ * @param {string} channel
+ * @param {Object} [data]
+ */
+const send = (socket, type, channel, data = {}) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, channel, data }));
+  }
+};
+
+/**
+ * Check if a user may watch a channel
+ * Same rule as the REST API: teams and events of the user's institution.
+ * @param {Object} user
+ * @param {string} channel - "team:<id>" or "event:<id>"
+ * @returns {Promise<boolean>}
+ */
+const canSubscribe = async (user, channel) => {
+  const [kind, id] = channel.split(':');
+
+  if (kind === 'event') {
+    return Boolean(await Event.exists({ _id: id, ...institutionScope(user) }));
+  }
+
+  const team = await Team.findById(id)
+    .select('eventId')
+    .populate('eventId', 'institutionId');
+  return Boolean(team) && (!team.eventId || isSameInstitution(team.eventId, user));
+};
+
+/**
+ * Handle a message from a client
+ * @param {WebSocket} socket
+ * @param {Object} user - Connected user
+ * @param {string} raw - JSON text
+ */
+const handleMessage = async (socket, user, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return;
+  }
+
+  const { action, channel } = message || {};
+  if (!CHANNEL_PATTERN.test(channel || '')) return;
+
+  if (action === 'unsubscribe') {
+    unsubscribe(socket, channel);
+    return;
+  }
+  if (action !== 'subscribe') return;
+
+  let allowed = false;
+  try {
+    allowed = await canSubscribe(user, channel);
+  } catch (error) {
+    console.error(`Could not check real-time access to ${channel}: ${error.message}`);
+  }
+
+  if (!allowed) {
+    send(socket, 'error', channel, { message: 'You cannot subscribe to this channel' });
+    return;
+  }
+
+  // The connection may have closed while access was checked
+  if (socket.readyState === WebSocket.OPEN) {
+    subscribe(socket, channel);
+  }
+};
+
+/**
+ * Send a message to everyone subscribed to a channel
+ *
+ * @param {string} channel - e.g. "team:<id>"
+ * @param {string} type - e.g. "team:updated"
+ * @param {Object} [data] - Extra details
+ */
+const publish = (channel, type, data = {}) => {
+  const sockets = channels.get(channel);
+  if (!sockets) return;
+
+  const payload = JSON.stringify({ type, channel, data });
+  sockets.forEach(socket => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(payload);
+    }
+  });
+};
+
+/**
+ * Send a message to one or more users' personal channels
+ *
+ * @param {Array} userIds - ObjectIds, strings or populated users
+ * @param {string} type
+ * @param {Object} [data]
+ */
+const publishToUsers = (userIds, type, data = {}) => {
+  [...new Set(userIds.filter(Boolean).map(toId))].forEach(userId => {
+    publish(`user:${userId}`, type, data);
+  });
+};
+
+/**
+ * Tell everyone involved with a team that it changed
+ * Reaches the team's channel, its event's channel (for the event's team list),
+ * and the members, invitees and requesters (so pages like My Teams update
+ * even when not watching the team).
+ *
+ * @param {Object} team - Team document
+ * @param {string} action - What happened, e.g. "member_joined"
+ * @param {Array} [otherUserIds] - Anyone else affected (e.g. a removed member)
+ */
+const publishTeamUpdate = (team, action, otherUserIds = []) => {
+  const data = { teamId: toId(team._id), eventId: toId(team.eventId), action };
+
+  publish(`team:${data.teamId}`, 'team:updated', data);
+  publish(`event:${data.eventId}`, 'team:updated', data);
+  publishToUsers([
+    ...team.members,
+    ...(team.invites || []).map(invite => invite.userId),
+    ...(team.joinRequests || []),
+    ...otherUserIds
+  ], 'team:updated', data);
+};
+
+/**
+ * Tell everyone watching an event that it changed
+ * @param {Object|string} eventId
+ * @param {string} action - e.g. "updated", "status", "deleted"
+ * @param {Object} [data] - Extra details
+ */
+const publishEventUpdate = (eventId, action, data = {}) => {
+  const id = toId(eventId);
+  publish(`event:${id}`, 'event:updated', { ...data, eventId: id, action });
+};
+
+/**
+ * Close every connection a user has open
+ * Used when an admin suspends them or logs them out: connections are only
+ * authenticated when they open, so they would otherwise keep getting updates.
+ * @param {Object|string} userId
+ * @returns {number} Connections closed
+ */
+const disconnectUser = (userId) => {
+  const sockets = [...(channels.get(`user:${toId(userId)}`) || [])];
+  sockets.forEach(socket => socket.terminate());
+  return sockets.length;
+};
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ * Connections are authenticated with the same access token as the REST API.
+ *
+ * @param {Object} server - HTTP server returned by app.listen()
+ * @returns {WebSocketServer}
+ */
+const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (pathname !== SOCKET_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    let user = null;
+    try {
+      user = await verifyAccessToken(searchParams.get('token') || '');
+    } catch (error) {
+      user = null;
+    }
+
+    if (!user || user.suspendedAt) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, user);
+    });
+  });
+
+  wss.on('connection', (socket, user) => {
+    socket.isAlive = true;
+    socket.channels = new Set();
+    subscribe(socket, `user:${user._id}`);
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleMessage(socket, user, raw.toString()));
+    socket.on('close', () => {
+      [...socket.channels].forEach(channel => unsubscribe(socket, channel));
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  attachRealtime,
+  publish,
+  publishToUsers,
+  publishTeamUpdate,
+  publishEventUpdate,
+  disconnectUser
+};
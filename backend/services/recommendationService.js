@@ -0,0 +1,203 @@
+/**
+ * Teammate Recommendation Service
+ * Suggests students to invite to a team, based on:
+ *
+ *   - skills the event's categories call for that nobody on the team has yet
+ *   - other skills the team doesn't cover (a broader team)
+ *   - experience from previous events
+ *
+ * Only students who are free for the event (not in a team for it, not already
+ * invited to or asking to join this team) are suggested. Every suggestion
+ * comes with the reasons it was made, so leaders can see why.
+ */
+
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { normalizeSkill, skillKey, getSkillName } = require('./skillService');
+
+// Skills (catalog IDs) that usually matter for an event category
+// (matched when the category name contains the key as a word, e.g. "Web Development" -> "web")
+const CATEGORY_SKILLS = {
+  ai: ['python', 'machine-learning', 'deep-learning', 'generative-ai', 'tensorflow', 'pytorch', 'data-science'],
+  ml: ['python', 'machine-learning', 'deep-learning', 'tensorflow', 'pytorch'],
+  'machine learning': ['python', 'machine-learning', 'deep-learning', 'tensorflow', 'pytorch'],
+  data: ['python', 'sql', 'data-science', 'pandas', 'data-analysis', 'machine-learning'],
+  web: ['javascript', 'react', 'nodejs', 'html', 'css', 'ui-ux-design'],
+  mobile: ['react-native', 'flutter', 'kotlin', 'swift', 'android', 'ios'],
+  app: ['react-native', 'flutter', 'kotlin', 'swift', 'ui-ux-design'],
+  design: ['ui-ux-design', 'figma', 'graphic-design'],
+  blockchain: ['solidity', 'web3', 'blockchain', 'javascript'],
+  web3: ['solidity', 'web3', 'blockchain'],
+  security: ['cybersecurity', 'ethical-hacking', 'networking', 'linux', 'python'],
+  cyber: ['cybersecurity', 'ethical-hacking', 'networking', 'linux'],
+  cloud: ['aws', 'docker', 'kubernetes', 'devops'],
+  iot: ['iot', 'arduino', 'raspberry-pi', 'embedded-systems', 'cpp'],
+  robotics: ['robotics', 'arduino', 'cpp', 'embedded-systems'],
+  game: ['unity', 'csharp', 'game-development', '3d-modeling'],
+  hackathon: ['javascript', 'python', 'ui-ux-design', 'public-speaking'],
+  coding: ['cpp', 'java', 'python', 'dsa', 'competitive-programming'],
+  competitive: ['cpp', 'dsa', 'competitive-programming'],
+  business: ['business-strategy', 'marketing', 'public-speaking', 'finance'],
+  startup: ['business-strategy', 'marketing', 'public-speaking', 'product-management']
+};
+
+// Points for each kind of match
+const SCORE_NEEDED_SKILL = 3;
+const SCORE_NEW_SKILL = 1;
+const SCORE_PER_EVENT = 0.2;
+const SCORE_PER_WIN = 0.5;
+
+// Caps so one kind of match can't drown out the others
+const MAX_NEW_SKILLS_COUNTED = 3;
+const MAX_EVENTS_COUNTED = 10;
+
+// How many students to consider at most (most experienced first)
+const CANDIDATE_POOL_SIZE = 500;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Key to compare skills by (also copes with skills saved before the catalog existed)
+ * @param {string} skill
+ * @returns {string}
+ */
+const toMatchKey = (skill) => skillKey(normalizeSkill(skill));
+
+/**
+ * Work out which skills an event's categories call for
+ * @param {string[]} categories
+ * @returns {Map<string, string>} skill ID -> category that asks for it
+ */
+const getEventSkills = (categories = []) => {
+  const skills = new Map();
+
+  categories.forEach(category => {
+    const name = ` ${String(category || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    Object.entries(CATEGORY_SKILLS).forEach(([key, related]) => {
+      if (!name.includes(` ${key} `)) return;
+      related.forEach(skill => {
+        if (!skills.has(skill)) skills.set(skill, category);
+      });
+    });
+  });
+
+  return skills;
+};
+
+/**
+ * Score one candidate against what the team has and the event needs
+ *
+ * @param {Object} candidate - User with skills and stats
+ * @param {Set<string>} teamSkills - Match keys of the skills the team already has
+ * @param {Map<string, string>} eventSkills - From getEventSkills()
+ * @returns {Object} { score, reasons, neededSkills, newSkills }
+ */
+const scoreCandidate = (candidate, teamSkills, eventSkills) => {
+  const reasons = [];
+  let score = 0;
+
+  // [match key, display name] for each of the candidate's skills
+  const skills = [...new Map(
+    (candidate.skills || []).map(skill => [toMatchKey(skill), getSkillName(normalizeSkill(skill))])
+  ).entries()].filter(([key]) => key);
+
+  // Skills the event needs that nobody on the team has
+  const needed = skills.filter(([normalized]) =>
+    eventSkills.has(normalized) && !teamSkills.has(normalized)
+  );
+  if (needed.length > 0) {
+    score += needed.length * SCORE_NEEDED_SKILL;
+    const categories = [...new Set(needed.map(([normalized]) => eventSkills.get(normalized)))];
+    reasons.push(
+      `Brings ${needed.map(([, skill]) => skill).join(', ')}, which ${categories.join(' / ')} ` +
+      `events call for and nobody on your team has yet`
+    );
+  }
+
+  // Other skills the team doesn't cover
+  const extra = skills.filter(([normalized]) =>
+    !eventSkills.has(normalized) && !teamSkills.has(normalized)
+  );
+  if (extra.length > 0) {
+    score += Math.min(extra.length, MAX_NEW_SKILLS_COUNTED) * SCORE_NEW_SKILL;
+    reasons.push(`Adds ${extra.length === 1 ? 'a skill' : `${extra.length} skills`} your team doesn't have: ` +
+      extra.slice(0, 5).map(([, skill]) => skill).join(', '));
+  }
+
+  // Experience from previous events
+  const stats = candidate.stats || {};
+  const eventsParticipated = stats.eventsParticipated || 0;
+  const eventsWon = stats.eventsWon || 0;
+  if (eventsParticipated > 0) {
+    score += Math.min(eventsParticipated, MAX_EVENTS_COUNTED) * SCORE_PER_EVENT + eventsWon * SCORE_PER_WIN;
+    reasons.push(
+      `Has taken part in ${eventsParticipated} event${eventsParticipated === 1 ? '' : 's'}` +
+      (eventsWon > 0 ? ` and won ${eventsWon}` : '')
+    );
+  }
+
+  return {
+    score: Math.round(score * 10) / 10,
+    reasons,
+    neededSkills: needed.map(([, skill]) => skill),
+    newSkills: extra.map(([, skill]) => skill)
+  };
+};
+
+/**
+ * Suggest students to invite to a team
+ *
+ * @param {Object} team - Team document with members populated (skills)
+ * @param {Object} event - The team's event
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { recommendations, teamSkills, eventSkills }
+ */
+const recommendTeammates = async (team, event, { limit } = {}) => {
+  const maxResults = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const teamSkills = new Set(
+    team.members.flatMap(member => member.skills || []).map(toMatchKey).filter(Boolean)
+  );
+  const eventSkills = getEventSkills(event.categories);
+
+  // Students already in a team for this event, or already pending on this one
+  const taken = await Team.distinct('members', { eventId: event._id });
+  const pending = [
+    ...team.invites.map(invite => invite.userId._id || invite.userId),
+    ...team.joinRequests.map(request => request._id || request)
+  ];
+
+  const candidates = await User.find({
+    role: 'student',
+    institutionId: event.institutionId || null,
+    suspendedAt: null,
+    _id: { $nin: [...taken, ...pending] },
+    'skills.0': { $exists: true }
+  })
+    .select('name email skills stats')
+    .sort({ 'stats.eventsParticipated': -1 })
+    .limit(CANDIDATE_POOL_SIZE);
+
+  const recommendations = candidates
+    .map(candidate => ({
+      user: candidate,
+      ...scoreCandidate(candidate, teamSkills, eventSkills)
+    }))
+    // Someone who adds nothing the team lacks isn't much of a suggestion
+    .filter(recommendation => recommendation.neededSkills.length > 0 || recommendation.newSkills.length > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxResults);
+
+  return {
+    recommendations,
+    teamSkills: [...teamSkills].map(getSkillName),
+    eventSkills: [...eventSkills.keys()].map(getSkillName)
+  };
+};
+
+module.exports = {
+  getEventSkills,
+  scoreCandidate,
+  recommendTeammates
+};
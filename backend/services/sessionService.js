@@ -0,0 +1,290 @@
+/**
+ * Session Service
+ * Issues tokens for per-device sessions (models/Session.js).
+ *
+ * - Access tokens are short-lived JWTs carrying the user and session IDs.
+ * - Refresh tokens are JWTs too, but only their SHA-256 hash is stored, and
+ *   each one works once: /api/auth/refresh returns a new refresh token and
+ *   the old one stops working.
+ * - If an old refresh token is used again, someone has a copy of it, so the
+ *   whole session is revoked and the device has to log in again. The token
+ *   replaced last is let off for a few seconds, since two browser tabs can
+ *   refresh at the same moment.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = '15m';
+// Sessions end after this many days without a refresh
+const SESSION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long the previous refresh token is recognised as a race rather than reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+/**
+ * Error for a refresh token that can't be used
+ * @param {string} message
+ * @returns {Error} statusCode 401
+ */
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate JWT access token (short-lived)
+ * @param {string} userId - User's MongoDB ID
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT access token
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Generate JWT refresh token for a session
+ * Each token gets a random ID, so two issued in the same second still differ.
+ * @param {string} userId - User's MongoDB ID
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT refresh token
+ */
+const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: `${SESSION_DAYS}d`, jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Read the device details of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ip }
+ */
+const getDeviceInfo = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || ''
+});
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (for device details)
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    ...getDeviceInfo(req),
+    expiresAt: new Date(Date.now() + SESSION_DAYS * DAY_MS)
+  });
+
+  const refreshToken = generateRefreshToken(user._id, session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    accessToken: generateAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Token the client holds
+ * @param {Object} req - Express request object (for device details)
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ * @throws {Error} statusCode 401 if the token is invalid, expired, revoked or reused
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw unauthorized('Invalid or expired refresh token');
+  }
+
+  // Tokens from before per-device sessions have no session ID
+  if (!decoded.sid) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken(decoded.userId, decoded.sid);
+
+  // Only the current token of an active session can be swapped (atomically,
+  // so two requests can't both use it)
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      userId: decoded.userId,
+      tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        tokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: new Date(),
+        ...getDeviceInfo(req),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + SESSION_DAYS * DAY_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findOne({ _id: decoded.sid, userId: decoded.userId });
+    if (!existing || !existing.isActive()) {
+      throw unauthorized('Session has ended. Please log in again.');
+    }
+
+    // Another tab of the same browser refreshed with this token just now
+    const justRotated = existing.previousTokenHash === tokenHash &&
+      existing.rotatedAt > new Date(Date.now() - ROTATION_GRACE_MS);
+    if (justRotated) {
+      throw unauthorized('Refresh token was already used');
+    }
+
+    // A genuine but replaced token has been used again: treat the session as
+    // stolen and end it
+    existing.revokedAt = new Date();
+    existing.revokedReason = 'reuse';
+    await existing.save();
+    console.warn(`⚠️  Refresh token reuse detected; revoked session ${existing._id} of user ${existing.userId}`);
+    throw unauthorized('Session has ended. Please log in again.');
+  }
+
+  return {
+    accessToken: generateAccessToken(session.userId, session._id),
+    refreshToken: newRefreshToken,
+    session
+  };
+};
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * Unknown or invalid tokens are ignored, so logging out always succeeds.
+ * @param {string} refreshToken
+ * @returns {Promise<void>}
+ */
+const endSession = async (refreshToken) => {
+  await Session.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+};
+
+/**
+ * Get a user's active sessions, most recently used first
+ * @param {string} userId
+ * @returns {Promise<Array>} Session documents
+ */
+const getActiveSessions = (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} False if the user has no such active session
+ */
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId
+ * @param {Object} [options] - { exceptSessionId } to keep the current device logged in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: 'revoked' }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Describe a device from its user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ];
+  const systems = [
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = (browsers.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+  const system = (systems.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+/**
+ * Shape a session for the API
+ * @param {Object} session - Session document
+ * @param {string} [currentSessionId] - Session of the request, marked as current
+ * @returns {Object}
+ */
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+});
+
+module.exports = {
+  createSession,
+  rotateSession,
+  endSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  formatSession
+};
@@ -0,0 +1,162 @@
+/**
+ * Skill Service
+ * Turns skills as people type them ("ReactJS", "react.js", "React") into
+ * canonical catalog IDs ("react"), so profiles, search and recommendations
+ * all compare like with like. See config/skillCatalog.js for the catalog.
+ *
+ * Skills that aren't in the catalog are kept as typed (trimmed) and match
+ * each other ignoring case.
+ */
+
+const { SKILL_LEVELS, SKILL_CATEGORIES, SKILLS } = require('../config/skillCatalog');
+
+// Longest custom (non-catalog) skill allowed
+const MAX_CUSTOM_SKILL_LENGTH = 50;
+
+/**
+ * Reduce a skill to the form used for matching: lowercase, without spaces,
+ * dots, dashes, underscores or slashes ("+" and "#" are kept so C, C++ and C#
+ * stay different)
+ * @param {string} text
+ * @returns {string}
+ */
+const toKey = (text) => String(text || '').toLowerCase().replace(/[\s._\-/]+/g, '');
+
+// Catalog lookups: ID -> skill, and matching key (of the ID, name and aliases) -> skill
+const skillsById = new Map(SKILLS.map(skill => [skill.id, skill]));
+const skillsByKey = new Map();
+SKILLS.forEach(skill => {
+  [skill.id, skill.name, ...skill.aliases].forEach(text => {
+    skillsByKey.set(toKey(text), skill);
+  });
+});
+
+/**
+ * Find the catalog skill for something a user typed
+ * @param {string} text - e.g. "React.js"
+ * @returns {Object|null} Catalog skill, or null if it isn't in the catalog
+ */
+const findSkill = (text) => skillsByKey.get(toKey(text)) || null;
+
+/**
+ * Get the canonical form of one skill
+ * @param {string} text
+ * @returns {string|null} Catalog ID, the trimmed custom skill, or null if empty
+ */
+const normalizeSkill = (text) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+
+  const skill = findSkill(trimmed);
+  return skill ? skill.id : trimmed.slice(0, MAX_CUSTOM_SKILL_LENGTH);
+};
+
+/**
+ * Key to compare canonical skills with (custom skills ignore case)
+ * @param {string} skill - Canonical skill
+ * @returns {string}
+ */
+const skillKey = (skill) => String(skill || '').toLowerCase();
+
+/**
+ * Normalize a list of skills from a profile form or the register form
+ * Items can be plain strings ("React") or { skill, level } objects.
+ * Duplicates are dropped; unknown levels are ignored.
+ *
+ * @param {Array|string} input - Array of items, or a comma-separated string
+ * @returns {Object} { skills: string[], skillLevels: [{ skill, level }] }
+ */
+const normalizeSkillList = (input) => {
+  const items = typeof input === 'string' ? input.split(',') : (Array.isArray(input) ? input : []);
+
+  const skills = [];
+  const skillLevels = [];
+  const seen = new Set();
+
+  items.forEach(item => {
+    const text = item && typeof item === 'object' ? item.skill : item;
+    const skill = normalizeSkill(text);
+    if (!skill || seen.has(skillKey(skill))) return;
+
+    seen.add(skillKey(skill));
+    skills.push(skill);
+
+    const level = item && typeof item === 'object' ? String(item.level || '').toLowerCase() : '';
+    if (SKILL_LEVELS.includes(level)) {
+      skillLevels.push({ skill, level });
+    }
+  });
+
+  return { skills, skillLevels };
+};
+
+/**
+ * Build a MongoDB condition matching users who have any of the given skills
+ * Catalog skills match by ID; custom skills match exactly, ignoring case
+ * (so searching "C" no longer matches every skill containing a "c").
+ *
+ * @param {string[]} skills - Canonical skills (from normalizeSkill)
+ * @returns {Object} Condition for the `skills` field
+ */
+const buildSkillQuery = (skills) => {
+  const ids = skills.filter(skill => skillsById.has(skill));
+  const custom = skills
+    .filter(skill => !skillsById.has(skill))
+    .map(skill => new RegExp(`^${skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+
+  return { $in: [...ids, ...custom] };
+};
+
+/**
+ * Get the display name for a canonical skill
+ * @param {string} skill
+ * @returns {string}
+ */
+const getSkillName = (skill) => (skillsById.get(skill) || {}).name || skill;
+
+/**
+ * Search the catalog (for autocomplete)
+ * Skills whose name starts with the text come first, then alias matches,
+ * then names containing the text (3+ characters).
+ *
+ * @param {string} [text] - What the user has typed so far
+ * @param {Object} [options] - { category, limit }
+ * @returns {Object[]} Catalog skills
+ */
+const searchSkills = (text = '', { category, limit } = {}) => {
+  const query = String(text).trim().toLowerCase();
+  const queryKey = toKey(query);
+
+  let results = SKILLS.filter(skill => !category || skill.category === category);
+
+  if (queryKey) {
+    const ranked = [];
+    results.forEach(skill => {
+      const nameKey = toKey(skill.name);
+      if (nameKey.startsWith(queryKey)) {
+        ranked.push({ skill, rank: 0 });
+      } else if (skill.aliases.some(alias => toKey(alias).startsWith(queryKey))) {
+        ranked.push({ skill, rank: 1 });
+      } else if (queryKey.length >= 3 && nameKey.includes(queryKey)) {
+        ranked.push({ skill, rank: 2 });
+      }
+    });
+    results = ranked
+      .sort((a, b) => a.rank - b.rank || a.skill.name.localeCompare(b.skill.name))
+      .map(({ skill }) => skill);
+  }
+
+  return limit ? results.slice(0, limit) : results;
+};
+
+module.exports = {
+  SKILL_CATEGORIES,
+  SKILL_LEVELS,
+  findSkill,
+  normalizeSkill,
+  normalizeSkillList,
+  skillKey,
+  buildSkillQuery,
+  getSkillName,
+  searchSkills
+};
@@ -0,0 +1,369 @@
+/**
+ * Summarizer Service
+ * Produces readable summaries of event documents (PDFs and images)
+ * using the configured AI provider
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const SUMMARY_PROMPT = `
+Please analyze this document and provide a comprehensive summary. Include:
+
+1. **Main Topic/Event**: What is this document about?
+2. **Key Details**: Important information like dates, deadlines, requirements
+3. **Rules/Guidelines**: Any important rules or guidelines mentioned
+4. **Contact Information**: Any contact details provided
+5. **Additional Notes**: Other relevant information
+
+Please format the response in a clear, structured manner with bullet points where appropriate.
+Focus on extracting practical information that would be useful for someone interested in participating.
+`;
+
+const EXTRACT_PROMPT = `
+Copy out all of the text in this document, in reading order.
+Keep headings, lists and table rows on their own lines.
+Do not summarize, explain or add anything: reply with the document's text only.
+`;
+
+// Longest brochure text (in characters) kept for the chatbot
+const MAX_EXTRACTED_LENGTH = 50000;
+
+// Map file extensions to MIME types for brochures stored in /media
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+  '.gif': 'image/gif'
+};
+
+// Hosts brochure links may point to (and redirect through); subdomains count too.
+// Override with BROCHURE_HOSTS=host1,host2 in .env
+const DEFAULT_BROCHURE_HOSTS = [
+  'drive.google.com',
+  'docs.google.com',
+  'drive.usercontent.google.com',
+  'googleusercontent.com'
+];
+
+// Limits for downloading a linked brochure
+const DOWNLOAD_TIMEOUT_MS = 20 * 1000;
+const MAX_DOWNLOAD_BYTES = 15 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Addresses the server must never download from: loopback, private networks,
+// link-local (cloud metadata), multicast and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create an error with an HTTP status code for the error handler
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Convert Google Drive view links to direct download links
+ * @param {string} url - Original URL
+ * @returns {string} Direct download URL
+ */
+const convertToDirectDownloadUrl = (url) => {
+  const driveMatch = url.match(/https:\/\/drive\.google\.com\/file\/d\/([a-zA-Z0-9-_]+)/);
+  if (driveMatch) {
+    return `https://drive.google.com/uc?export=download&id=${driveMatch[1]}`;
+  }
+  return url;
+};
+
+/**
+ * Get the hosts brochure links may point to
+ * @returns {string[]}
+ */
+const getBrochureHosts = () => {
+  const configured = (process.env.BROCHURE_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_BROCHURE_HOSTS;
+};
+
+/**
+ * Check if a brochure link is an https link to an allowed host
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isAllowedBrochureLink = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.protocol !== 'https:' || parsed.username || parsed.password) {
+    return false;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  return getBrochureHosts().some(host => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+/**
+ * Check if an IP address is private, loopback or otherwise not on the internet
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+  // IPv4 written as IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Make sure a host name only resolves to public addresses
+ * @param {string} hostname
+ */
+const checkPublicHost = async (hostname) => {
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    throw httpError(502, `Could not find the brochure's host (${hostname})`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw httpError(400, 'Brochure link points to a private address');
+  }
+};
+
+/**
+ * Fetch a brochure link, checking every redirect against the allowed hosts
+ * @param {string} url - Direct download URL
+ * @param {AbortSignal} signal - Ends the download when it takes too long
+ * @returns {Promise<Response>}
+ */
+const fetchBrochure = async (url, signal) => {
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    if (!isAllowedBrochureLink(current)) {
+      throw httpError(400, `Brochure links must be https links to ${getBrochureHosts().join(', ')}`);
+    }
+    await checkPublicHost(new URL(current).hostname);
+
+    const response = await fetch(current, { redirect: 'manual', signal });
+    const location = response.headers.get('location');
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    if (response.body) await response.body.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw httpError(502, 'Brochure link redirects too many times');
+    }
+    current = new URL(location, current).href;
+  }
+};
+
+/**
+ * Read a download into memory, refusing anything over MAX_DOWNLOAD_BYTES
+ * @param {Response} response
+ * @returns {Promise<Buffer>}
+ */
+const readLimited = async (response) => {
+  const tooLarge = () => httpError(400, `Brochure file is larger than ${MAX_DOWNLOAD_BYTES / (1024 * 1024)} MB`);
+
+  if (parseInt(response.headers.get('content-length')) > MAX_DOWNLOAD_BYTES) {
+    if (response.body) await response.body.cancel();
+    throw tooLarge();
+  }
+  if (!response.body) return Buffer.alloc(0);
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.length;
+    if (size > MAX_DOWNLOAD_BYTES) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Download a linked brochure (allowed hosts only, with a time and size limit)
+ * @param {string} brochureUrl - https link
+ * @returns {Promise<Object>} { buffer, contentType }
+ */
+const downloadBrochure = async (brochureUrl) => {
+  const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+
+  try {
+    const response = await fetchBrochure(convertToDirectDownloadUrl(brochureUrl), signal);
+
+    if (!response.ok) {
+      if (response.body) await response.body.cancel();
+      throw httpError(502, `Could not download brochure (HTTP ${response.status})`);
+    }
+
+    return {
+      buffer: await readLimited(response),
+      contentType: response.headers.get('content-type') || ''
+    };
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw httpError(502, error.name === 'TimeoutError'
+      ? 'Brochure download took too long'
+      : `Could not download brochure (${error.message})`);
+  }
+};
+
+/**
+ * Get the file name shown for a brochure
+ * @param {string} brochureUrl - Event's brochureUrl field
+ * @returns {string}
+ */
+const getBrochureFilename = (brochureUrl) => {
+  if (brochureUrl.startsWith('/media/')) {
+    return path.basename(brochureUrl);
+  }
+  try {
+    return path.basename(new URL(brochureUrl).pathname) || 'brochure';
+  } catch (error) {
+    return 'brochure';
+  }
+};
+
+/**
+ * Load an event brochure so it can be sent to the AI provider
+ * Handles both uploaded files (/media/...) and external links (e.g. Google Drive)
+ *
+ * @param {string} brochureUrl - Event's brochureUrl field
+ * @returns {Promise<Object>} { data: <base64>, mimeType, filename }
+ */
+const loadBrochure = async (brochureUrl) => {
+  // Local upload stored in the media folder
+  if (brochureUrl.startsWith('/media/')) {
+    const mediaDir = path.join(__dirname, '..', 'media');
+    const filePath = path.join(mediaDir, path.basename(brochureUrl));
+
+    if (!fs.existsSync(filePath)) {
+      throw httpError(404, 'Brochure file not found on server');
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+
+    return {
+      data: fs.readFileSync(filePath).toString('base64'),
+      mimeType: MIME_TYPES[ext] || 'application/octet-stream',
+      filename: path.basename(filePath)
+    };
+  }
+
+  // External link: download it on the server
+  const { buffer, contentType } = await downloadBrochure(brochureUrl);
+
+  // Tiny responses are usually error pages, not documents
+  if (buffer.length < 100) {
+    throw httpError(502, 'Brochure link returned an empty or invalid file');
+  }
+
+  // Work out the file type from the response, falling back to the URL
+  let mimeType = contentType.split(';')[0];
+  if (!mimeType || mimeType === 'application/octet-stream' || mimeType === 'text/html') {
+    const ext = path.extname(new URL(brochureUrl).pathname).toLowerCase();
+    mimeType = MIME_TYPES[ext] || 'application/pdf'; // Default assumption
+  }
+
+  return {
+    data: buffer.toString('base64'),
+    mimeType,
+    filename: getBrochureFilename(brochureUrl)
+  };
+};
+
+/**
+ * Hash a loaded file so cached summaries can tell when it changes
+ * @param {Object} file - { data: <base64> }
+ * @returns {string} SHA-256 hex digest of the file contents
+ */
+const hashFile = (file) => {
+  return crypto
+    .createHash('sha256')
+    .update(Buffer.from(file.data, 'base64'))
+    .digest('hex');
+};
+
+/**
+ * Summarize a document with AI
+ *
+ * @param {Object} file - { data: <base64>, mimeType }
+ * @param {Object} provider - AI provider (see aiProvider.js)
+ * @returns {Promise<string>} Summary text
+ */
+const summarizeDocument = async (file, provider) => {
+  return provider.generateContent({
+    prompt: SUMMARY_PROMPT,
+    file: {
+      data: file.data,
+      mimeType: file.mimeType
+    }
+  });
+};
+
+/**
+ * Read the text out of a document with AI (works for scans and images too)
+ *
+ * @param {Object} file - { data: <base64>, mimeType }
+ * @param {Object} provider - AI provider (see aiProvider.js)
+ * @returns {Promise<string>} Document text
+ */
+const extractDocumentText = async (file, provider) => {
+  const text = await provider.generateContent({
+    prompt: EXTRACT_PROMPT,
+    file: {
+      data: file.data,
+      mimeType: file.mimeType
+    }
+  });
+  return String(text || '').trim().slice(0, MAX_EXTRACTED_LENGTH);
+};
+
+module.exports = {
+  isAllowedBrochureLink,
+  getBrochureFilename,
+  loadBrochure,
+  hashFile,
+  summarizeDocument,
+  extractDocumentText
+};
@@ -0,0 +1,98 @@
+/**
+ * Team Policy Service
+ * Decides whether teams for an event can still be created or changed,
+ * based on the event's deadlines and the admin's team policy settings:
+ *
+ *   open   - before registration closes: everything allowed
+ *   grace  - registration closed, but inside the admin's grace window:
+ *            allowed, with a warning
+ *   locked - after the grace window, after the roster-lock date,
+ *            or once the event has ended: blocked
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Format a date for messages shown to users
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Date(date).toDateString();
+
+/**
+ * Work out the team policy for an event at a point in time
+ *
+ * @param {Object} event - Event document (or plain object)
+ * @param {Date} [now] - Time to evaluate at (defaults to now)
+ * @returns {Object} { phase, reason, warning, registrationClose, graceEndsAt, rosterLockAt }
+ */
+const getTeamPolicy = (event, now = new Date()) => {
+  const deadlines = event.deadlines || {};
+  const settings = event.teamPolicy || {};
+
+  const registrationClose = deadlines.registrationClose ? new Date(deadlines.registrationClose) : null;
+  const graceHours = settings.graceHours || 0;
+  const graceEndsAt = registrationClose ? new Date(registrationClose.getTime() + graceHours * HOUR_MS) : null;
+  const rosterLockAt = settings.rosterLockDate ? new Date(settings.rosterLockDate) : null;
+
+  const policy = {
+    phase: 'open',
+    reason: null,
+    warning: null,
+    registrationClose,
+    graceEndsAt,
+    rosterLockAt
+  };
+
+  // Event is over: nothing can change
+  const ended = event.status === 'past' ||
+    (deadlines.eventEnd && now > new Date(deadlines.eventEnd));
+  if (ended) {
+    return { ...policy, phase: 'locked', reason: 'This event has ended, so teams can no longer be changed' };
+  }
+
+  // Admin locked rosters on a specific date
+  if (rosterLockAt && now >= rosterLockAt) {
+    return { ...policy, phase: 'locked', reason: `Team rosters for this event were locked on ${formatDate(rosterLockAt)}` };
+  }
+
+  // No registration deadline, or not reached yet
+  if (!registrationClose || now <= registrationClose) {
+    return policy;
+  }
+
+  // Inside the grace window
+  if (now <= graceEndsAt) {
+    return {
+      ...policy,
+      phase: 'grace',
+      warning: `Registration closed on ${formatDate(registrationClose)}. ` +
+        `Team changes are still allowed until ${graceEndsAt.toLocaleString()}.`
+    };
+  }
+
+  return { ...policy, phase: 'locked', reason: `Registration for this event closed on ${formatDate(registrationClose)}` };
+};
+
+/**
+ * Check whether a team action is allowed for an event right now
+ * Team creation, invites, join requests, joins and registration all share
+ * the same rules, so a single check covers them.
+ *
+ * @param {Object} event - Event document
+ * @returns {Object} { allowed, reason, warning }
+ */
+const checkTeamAction = (event) => {
+  const policy = getTeamPolicy(event);
+
+  return {
+    allowed: policy.phase !== 'locked',
+    reason: policy.reason,
+    warning: policy.warning
+  };
+};
+
+module.exports = {
+  getTeamPolicy,
+  checkTeamAction
+};
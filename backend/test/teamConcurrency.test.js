@@ -0,0 +1,261 @@
+/**
+ * Team Concurrency Tests
+ * Fires joins, approvals and team creations at the same time against an
+ * in-memory MongoDB and checks that team size limits and the
+ * one-team-per-event rule (unique { eventId, members } index) still hold.
+ *
+ * Run with: npm test (downloads a MongoDB binary on first run)
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Team = require('../models/Team');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const TeamActivity = require('../models/TeamActivity');
+const teamController = require('../controllers/teamController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongo;
+
+before(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  // The membership rule relies on Team's unique index being built
+  await Promise.all([Team.init(), Event.init(), User.init(), Notification.init(), TeamActivity.init()]);
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Team.deleteMany({}),
+    Event.deleteMany({}),
+    User.deleteMany({}),
+    Notification.deleteMany({})
+  ]);
+});
+
+/**
+ * Call a controller the way Express would
+ * @param {Function} handler - (req, res, next)
+ * @param {Object} req - { user, params, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+const call = async (handler, { user, params = {}, body = {} }) => {
+  const result = { status: 200, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(data) {
+      result.body = data;
+      return this;
+    }
+  };
+
+  await handler({ user, params, body, query: {} }, res, (error) => {
+    result.status = error.statusCode || 500;
+    result.body = { error: { message: error.message } };
+  });
+  return result;
+};
+
+/**
+ * Create test users
+ * @param {number} count
+ * @returns {Promise<Object[]>}
+ */
+const createUsers = (count) => {
+  return Promise.all(Array.from({ length: count }, (_, index) => User.create({
+    name: `Student ${index + 1}`,
+    email: `student${index + 1}-${new mongoose.Types.ObjectId()}@example.edu`,
+    passwordHash: 'not-a-real-hash'
+  })));
+};
+
+/**
+ * Create an event open for team formation
+ * @param {Object} creator - User
+ * @param {number} maxTeamSize
+ * @returns {Promise<Object>}
+ */
+const createEvent = (creator, maxTeamSize) => {
+  return Event.create({
+    title: 'Concurrency Hackathon',
+    description: 'An event for testing concurrent team changes',
+    categories: ['Hackathon'],
+    teamSize: { min: 1, max: maxTeamSize },
+    deadlines: { registrationClose: new Date(Date.now() + 7 * DAY_MS) },
+    createdBy: creator._id
+  });
+};
+
+/**
+ * Create a team led by a user
+ * @param {Object} event
+ * @param {Object} leader - User
+ * @param {Object} [fields] - e.g. { joinRequests: [...] }
+ * @returns {Promise<Object>}
+ */
+const createTeam = (event, leader, fields = {}) => {
+  return Team.create({
+    eventId: event._id,
+    name: `Team ${new mongoose.Types.ObjectId()}`,
+    leaderId: leader._id,
+    members: [leader._id],
+    ...fields
+  });
+};
+
+/**
+ * Build a pending invite
+ * @param {Object} user - Invitee
+ * @param {Object} inviter
+ * @returns {Object}
+ */
+const inviteFor = (user, inviter) => ({
+  userId: user._id,
+  invitedBy: inviter._id,
+  expiresAt: new Date(Date.now() + DAY_MS)
+});
+
+/**
+ * Count the teams a user is in for an event
+ * @param {Object} event
+ * @param {Object} user
+ * @returns {Promise<number>}
+ */
+const teamsOf = (event, user) => Team.countDocuments({ eventId: event._id, members: user._id });
+
+test('concurrent invite accepts never overfill a team', async () => {
+  const [leader, ...invitees] = await createUsers(7);
+  const event = await createEvent(leader, 3);
+  const team = await createTeam(event, leader, {
+    invites: invitees.map(user => inviteFor(user, leader))
+  });
+
+  const results = await Promise.all(invitees.map(user =>
+    call(teamController.joinTeam, { user, params: { id: team._id.toString() } })
+  ));
+
+  const joined = results.filter(result => result.status === 200);
+  const saved = await Team.findById(team._id);
+
+  assert.equal(joined.length, 2);
+  assert.equal(saved.members.length, 3);
+  results.filter(result => result.status !== 200)
+    .forEach(result => assert.equal(result.status, 400));
+});
+
+test('concurrent approvals and accepts share the same size limit', async () => {
+  const [leader, ...others] = await createUsers(9);
+  const requesters = others.slice(0, 4);
+  const invitees = others.slice(4);
+  const event = await createEvent(leader, 4);
+  const team = await createTeam(event, leader, {
+    joinRequests: requesters.map(user => user._id),
+    invites: invitees.map(user => inviteFor(user, leader))
+  });
+
+  await Promise.all([
+    ...requesters.map(user => call(teamController.approveJoinRequest, {
+      user: leader,
+      params: { id: team._id.toString(), userId: user._id.toString() }
+    })),
+    ...invitees.map(user => call(teamController.joinTeam, {
+      user,
+      params: { id: team._id.toString() }
+    }))
+  ]);
+
+  const saved = await Team.findById(team._id);
+  assert.equal(saved.members.length, 4);
+  assert.equal(new Set(saved.members.map(String)).size, 4);
+});
+
+test('one user racing to join, be approved and create a team ends up in one team', async () => {
+  const [user, ...leaders] = await createUsers(5);
+  const event = await createEvent(leaders[0], 5);
+
+  // Invited to two teams, with pending requests on the other two
+  const invitedTeams = await Promise.all(leaders.slice(0, 2).map(leader =>
+    createTeam(event, leader, { invites: [inviteFor(user, leader)] })
+  ));
+  const requestedTeams = await Promise.all(leaders.slice(2).map(leader =>
+    createTeam(event, leader, { joinRequests: [user._id] })
+  ));
+
+  const results = await Promise.all([
+    ...invitedTeams.map(team => call(teamController.joinTeam, {
+      user,
+      params: { id: team._id.toString() }
+    })),
+    ...requestedTeams.map(team => call(teamController.approveJoinRequest, {
+      user: { _id: team.leaderId },
+      params: { id: team._id.toString(), userId: user._id.toString() }
+    })),
+    call(teamController.createTeam, {
+      user,
+      body: { eventId: event._id.toString(), name: 'Solo Team' }
+    })
+  ]);
+
+  assert.equal(await teamsOf(event, user), 1);
+  assert.equal(results.filter(result => result.status < 300).length, 1);
+  results.forEach(result => assert.notEqual(result.status, 500));
+});
+
+test('concurrent team creation by one user makes a single team', async () => {
+  const [user] = await createUsers(1);
+  const event = await createEvent(user, 4);
+
+  const results = await Promise.all(Array.from({ length: 5 }, (_, index) =>
+    call(teamController.createTeam, {
+      user,
+      body: { eventId: event._id.toString(), name: `Team ${index + 1}` }
+    })
+  ));
+
+  assert.equal(results.filter(result => result.status === 201).length, 1);
+  assert.equal(await teamsOf(event, user), 1);
+  assert.equal(await Team.countDocuments({ eventId: event._id }), 1);
+});
+
+test('an invite revoked while accepting does not let the user join', async (t) => {
+  const [leader, invitee] = await createUsers(2);
+  const event = await createEvent(leader, 4);
+  const team = await createTeam(event, leader, { invites: [inviteFor(invitee, leader)] });
+
+  // Revoke the invite after joinTeam has checked it, during its lookup of the
+  // user's other teams (just before the atomic join). t.mock puts findOne back
+  // when the test ends, even if it fails.
+  const findOne = Team.findOne;
+  let revoked = false;
+  t.mock.method(Team, 'findOne', function(filter, ...rest) {
+    if (revoked || !filter || !filter.members) return findOne.call(this, filter, ...rest);
+    revoked = true;
+    return Team.updateOne({ _id: team._id }, { $pull: { invites: { userId: invitee._id } } })
+      .then(() => findOne.call(this, filter, ...rest));
+  });
+
+  const result = await call(teamController.joinTeam, {
+    user: invitee,
+    params: { id: team._id.toString() }
+  });
+
+  assert.ok(revoked);
+  assert.equal(result.status, 400);
+
+  const saved = await Team.findById(team._id);
+  assert.equal(saved.members.length, 1);
+});
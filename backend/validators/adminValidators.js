@@ -0,0 +1,91 @@
+/**
+ * Admin Validation Schemas
+ * Request rules for routes/adminRoutes.js
+ */
+
+const { idParams, requiredText, optionalText, pageQuery } = require('./common');
+const { ROLE_NAMES } = require('../config/roles');
+
+// e.g. "example.edu" or "@cs.example.edu" (the "@" is dropped when saved)
+const DOMAIN_PATTERN = /^@?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+const domains = {
+  in: ['body'],
+  isArray: { options: { min: 1, max: 20 }, errorMessage: 'Institution must have 1 to 20 email domains' }
+};
+
+const domainItem = {
+  in: ['body'],
+  isString: { errorMessage: 'Each domain must be text', bail: true },
+  trim: true,
+  matches: { options: [DOMAIN_PATTERN], errorMessage: 'Each domain must look like example.edu' }
+};
+
+const institutionIdSchema = idParams({ id: 'institution ID' });
+
+// POST /api/admin/institutions
+const createInstitutionSchema = {
+  name: requiredText('Institution name', 2, 200),
+  domains,
+  'domains.*': domainItem
+};
+
+// PUT /api/admin/institutions/:id
+const updateInstitutionSchema = {
+  ...institutionIdSchema,
+  name: { ...requiredText('Institution name', 2, 200), optional: true },
+  domains: { ...domains, optional: true },
+  'domains.*': domainItem
+};
+
+const userIdSchema = idParams({ id: 'user ID' });
+
+// GET /api/admin/users
+const listUsersSchema = {
+  role: {
+    in: ['query'],
+    optional: { options: { values: 'falsy' } },
+    isIn: { options: [ROLE_NAMES], errorMessage: `Role must be one of: ${ROLE_NAMES.join(', ')}` }
+  },
+  branch: optionalText('Branch', 100, ['query']),
+  year: optionalText('Year', 20, ['query']),
+  status: {
+    in: ['query'],
+    optional: { options: { values: 'falsy' } },
+    isIn: { options: [['active', 'suspended']], errorMessage: 'Status must be active or suspended' }
+  },
+  q: optionalText('Search text', 200, ['query']),
+  institution: {
+    in: ['query'],
+    optional: { options: { values: 'falsy' } },
+    isMongoId: { errorMessage: 'Invalid institution ID' }
+  },
+  ...pageQuery
+};
+
+// PUT /api/admin/users/:id/role
+const userRoleSchema = {
+  ...userIdSchema,
+  role: {
+    in: ['body'],
+    isIn: { options: [ROLE_NAMES], errorMessage: `Role must be one of: ${ROLE_NAMES.join(', ')}` }
+  }
+};
+
+// POST /api/admin/users/:id/suspend
+const suspendUserSchema = {
+  ...userIdSchema,
+  reason: {
+    ...optionalText('Reason', 500),
+    trim: true
+  }
+};
+
+module.exports = {
+  createInstitutionSchema,
+  updateInstitutionSchema,
+  userIdSchema,
+  listUsersSchema,
+  userRoleSchema,
+  suspendUserSchema
+};
@@ -0,0 +1,118 @@
+/**
+ * Auth Validation Schemas
+ * Request rules for routes/authRoutes.js
+ */
+
+const { idParams, optionalText } = require('./common');
+
+// Same rules as the User model, checked before anything is saved
+const PHONE_PATTERN = /^[0-9+\-()\s]{7,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_LENGTH = 72;
+
+const email = {
+  in: ['body'],
+  exists: { errorMessage: 'Email is required', bail: true },
+  isString: { errorMessage: 'Email is required', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'Please provide a valid email' }
+};
+
+// A password being chosen (registering or resetting)
+const newPassword = {
+  in: ['body'],
+  exists: { errorMessage: 'Password is required', bail: true },
+  isString: { errorMessage: 'Password is required', bail: true },
+  isLength: {
+    options: { min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH },
+    errorMessage: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+  }
+};
+
+// Token from an emailed link
+const linkToken = {
+  in: ['body'],
+  isString: { errorMessage: 'Link token is required', bail: true },
+  notEmpty: { errorMessage: 'Link token is required' }
+};
+
+const refreshToken = {
+  in: ['body'],
+  isString: { errorMessage: 'Refresh token is required', bail: true },
+  notEmpty: { errorMessage: 'Refresh token is required' }
+};
+
+// POST /api/auth/register
+const registerSchema = {
+  name: {
+    in: ['body'],
+    exists: { errorMessage: 'Name is required', bail: true },
+    isString: { errorMessage: 'Name is required', bail: true },
+    trim: true,
+    isLength: { options: { min: 2, max: 100 }, errorMessage: 'Name must be 2 to 100 characters' }
+  },
+  email,
+  password: newPassword,
+  course: optionalText('Course', 100),
+  branch: optionalText('Branch', 100),
+  year: optionalText('Year', 20),
+  phone: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    matches: { options: [PHONE_PATTERN], errorMessage: 'Please provide a valid phone number' }
+  },
+  skills: {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: (value) => typeof value === 'string' || (Array.isArray(value) && value.length <= 50),
+      errorMessage: 'Skills must be a list of at most 50 skills'
+    }
+  }
+};
+
+// POST /api/auth/login
+const loginSchema = {
+  email,
+  password: {
+    in: ['body'],
+    isString: { errorMessage: 'Password is required', bail: true },
+    notEmpty: { errorMessage: 'Password is required' }
+  }
+};
+
+// POST /api/auth/refresh and /api/auth/logout
+const refreshSchema = {
+  refreshToken
+};
+
+// POST /api/auth/verify-email
+const verifyEmailSchema = {
+  token: linkToken
+};
+
+// POST /api/auth/resend-verification and /api/auth/forgot-password
+const emailSchema = {
+  email
+};
+
+// POST /api/auth/reset-password
+const resetPasswordSchema = {
+  token: linkToken,
+  password: newPassword
+};
+
+// DELETE /api/auth/sessions/:id
+const sessionIdSchema = idParams({ id: 'session ID' });
+
+module.exports = {
+  PHONE_PATTERN,
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  verifyEmailSchema,
+  emailSchema,
+  resetPasswordSchema,
+  sessionIdSchema
+};
@@ -0,0 +1,105 @@
+/**
+ * Shared Validation Rules
+ * Building blocks for the route schemas in this folder (express-validator
+ * schema format; see middleware/validate.js for how errors are returned).
+ */
+
+const { MAX_LIMIT } = require('../services/paginationService');
+
+/**
+ * Rules requiring route params to be MongoDB IDs
+ * @param {Object} params - Param name -> label used in the message, e.g. { id: 'team ID' }
+ * @returns {Object} Schema fragment
+ */
+const idParams = (params) => Object.fromEntries(
+  Object.entries(params).map(([name, label]) => [name, {
+    in: ['params'],
+    isMongoId: { errorMessage: `Invalid ${label}` }
+  }])
+);
+
+/**
+ * Rule for a required MongoDB ID in the request body
+ * @param {string} label - e.g. 'User ID'
+ * @returns {Object} Schema rule
+ */
+const bodyId = (label) => ({
+  in: ['body'],
+  exists: { errorMessage: `${label} is required`, bail: true },
+  isMongoId: { errorMessage: `Invalid ${label}` }
+});
+
+/**
+ * Rule for an optional text field with a maximum length
+ * @param {string} label - e.g. 'Reason'
+ * @param {number} max - Longest allowed length
+ * @param {string[]} [location] - Where the field is (default body)
+ * @returns {Object} Schema rule
+ */
+const optionalText = (label, max, location = ['body']) => ({
+  in: location,
+  optional: { options: { values: 'null' } },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  isLength: { options: { max }, errorMessage: `${label} cannot exceed ${max} characters` }
+});
+
+/**
+ * Rule for a required text field with length bounds (surrounding spaces don't count)
+ * @param {string} label - e.g. 'Team name'
+ * @param {number} min - Shortest allowed length
+ * @param {number} max - Longest allowed length
+ * @returns {Object} Schema rule
+ */
+const requiredText = (label, min, max) => ({
+  in: ['body'],
+  exists: { errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required`, bail: true },
+  isLength: {
+    options: { min, max },
+    errorMessage: min > 1
+      ? `${label} must be ${min} to ${max} characters`
+      : `${label} cannot exceed ${max} characters`
+  }
+});
+
+/**
+ * Rule for an optional date (ISO 8601, e.g. "2025-03-01" or "2025-03-01T09:00")
+ * Empty values are allowed so forms can clear a date.
+ * @param {string} label - e.g. 'Event start'
+ * @param {string[]} [location] - Where the field is (default body)
+ * @returns {Object} Schema rule
+ */
+const optionalDate = (label, location = ['body']) => ({
+  in: location,
+  optional: { options: { values: 'falsy' } },
+  isISO8601: { errorMessage: `${label} must be a valid date` }
+});
+
+// ?limit and ?cursor for paged lists (see services/paginationService.js)
+const pageQuery = {
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: {
+      options: { min: 1, max: MAX_LIMIT },
+      errorMessage: `Limit must be a whole number from 1 to ${MAX_LIMIT}`
+    }
+  },
+  cursor: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'Invalid cursor', bail: true },
+    isLength: { options: { max: 500 }, errorMessage: 'Invalid cursor' }
+  }
+};
+
+module.exports = {
+  idParams,
+  bodyId,
+  optionalText,
+  requiredText,
+  optionalDate,
+  pageQuery
+};
@@ -0,0 +1,236 @@
+/**
+ * Event Validation Schemas
+ * Request rules for routes/eventRoutes.js
+ *
+ * Creating an event is a multipart form (it can include a brochure), so its
+ * fields arrive as text; updates are JSON with nested deadlines and teamSize.
+ */
+
+const { idParams, optionalText, requiredText, optionalDate, pageQuery } = require('./common');
+const { isAllowedBrochureLink } = require('../services/summarizerService');
+
+// Deadlines in the order they must fall
+const DEADLINE_ORDER = [
+  ['registrationOpen', 'Registration opening'],
+  ['registrationClose', 'Registration close'],
+  ['eventStart', 'Event start'],
+  ['eventEnd', 'Event end']
+];
+
+const MAX_TEAM_SIZE = 100;
+
+// Brochures uploaded to this server (see routes/eventRoutes.js)
+const MEDIA_PATH_PATTERN = /^\/media\/[\w.-]+$/;
+
+/**
+ * Find the first deadline that comes before an earlier one
+ * @param {Object} deadlines - Any of registrationOpen, registrationClose, eventStart, eventEnd
+ * @returns {Object|null} { field, message }, or null if the order is fine
+ */
+const getDeadlineOrderError = (deadlines = {}) => {
+  const set = DEADLINE_ORDER
+    .filter(([field]) => deadlines[field])
+    .map(([field, label]) => ({ field, label, date: new Date(deadlines[field]) }))
+    .filter(({ date }) => !isNaN(date.getTime()));
+
+  for (let later = 1; later < set.length; later++) {
+    for (let earlier = 0; earlier < later; earlier++) {
+      if (set[later].date < set[earlier].date) {
+        return {
+          field: set[later].field,
+          message: `${set[later].label} must be after ${set[earlier].label.toLowerCase()}`
+        };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Rule for one deadline: a valid date that doesn't come before earlier deadlines
+ * @param {string} field - e.g. 'eventEnd'
+ * @param {Function} readDeadlines - (req) => the request's deadlines
+ * @returns {Object} Schema rule
+ */
+const deadlineRule = (field, readDeadlines) => {
+  const label = DEADLINE_ORDER.find(([name]) => name === field)[1];
+  return {
+    ...optionalDate(label),
+    custom: {
+      options: (value, { req }) => {
+        const error = getDeadlineOrderError(readDeadlines(req));
+        if (error && error.field === field) throw new Error(error.message);
+        return true;
+      }
+    }
+  };
+};
+
+/**
+ * Rule for a team size bound
+ * @param {string} label - e.g. 'Maximum team size'
+ * @returns {Object} Schema rule
+ */
+const teamSizeRule = (label) => ({
+  in: ['body'],
+  optional: { options: { values: 'falsy' } },
+  isInt: {
+    options: { min: 1, max: MAX_TEAM_SIZE },
+    errorMessage: `${label} must be a whole number from 1 to ${MAX_TEAM_SIZE}`
+  }
+});
+
+/**
+ * Rule that the maximum team size is at least the minimum (when both are given)
+ * @param {Function} readTeamSize - (req) => { min, max } from the request
+ * @returns {Object} Rule to add to the maximum's schema
+ */
+const notBelowMin = (readTeamSize) => ({
+  options: (value, { req }) => {
+    const { min, max } = readTeamSize(req);
+    if (min && max && parseInt(max) < parseInt(min)) {
+      throw new Error('Maximum team size must be greater than or equal to minimum');
+    }
+    return true;
+  }
+});
+
+const graceHours = {
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isInt: { options: { min: 0, max: 720 }, errorMessage: 'Grace window must be 0 to 720 hours' }
+};
+
+const eventIdSchema = idParams({ id: 'event ID' });
+
+// POST /api/events (multipart form)
+const createEventSchema = {
+  title: requiredText('Title', 3, 200),
+  description: requiredText('Description', 10, 5000),
+  categories: requiredText('Categories', 1, 500),
+  rules: optionalText('Rules', 20000),
+  teamSizeMin: teamSizeRule('Minimum team size'),
+  teamSizeMax: {
+    ...teamSizeRule('Maximum team size'),
+    custom: notBelowMin(req => ({ min: req.body.teamSizeMin, max: req.body.teamSizeMax }))
+  },
+  registrationClose: deadlineRule('registrationClose', req => req.body),
+  eventStart: deadlineRule('eventStart', req => req.body),
+  eventEnd: deadlineRule('eventEnd', req => req.body),
+  graceHours: { ...graceHours, optional: { options: { values: 'falsy' } } },
+  rosterLockDate: optionalDate('Roster lock date')
+};
+
+// PUT /api/events/:id (JSON, every field optional)
+const updateEventSchema = {
+  ...eventIdSchema,
+  title: { ...requiredText('Title', 3, 200), optional: true },
+  description: { ...requiredText('Description', 10, 5000), optional: true },
+  categories: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { min: 1, max: 10 }, errorMessage: 'Event must have 1 to 10 categories' }
+  },
+  'categories.*': {
+    in: ['body'],
+    isString: { errorMessage: 'Each category must be text', bail: true },
+    trim: true,
+    isLength: { options: { min: 1, max: 100 }, errorMessage: 'Categories must be 1 to 100 characters' }
+  },
+  rules: {
+    in: ['body'],
+    optional: true,
+    isArray: { options: { max: 50 }, errorMessage: 'Cannot have more than 50 rules' }
+  },
+  'rules.*': {
+    in: ['body'],
+    isString: { errorMessage: 'Each rule must be text' }
+  },
+  deadlines: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Deadlines must be an object' }
+  },
+  ...Object.fromEntries(DEADLINE_ORDER.map(([field]) => [
+    `deadlines.${field}`,
+    deadlineRule(field, req => req.body.deadlines)
+  ])),
+  teamSize: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Team size must be an object' }
+  },
+  'teamSize.min': teamSizeRule('Minimum team size'),
+  'teamSize.max': {
+    ...teamSizeRule('Maximum team size'),
+    custom: notBelowMin(req => req.body.teamSize || {})
+  },
+  status: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [['upcoming', 'ongoing', 'past']], errorMessage: 'Status must be upcoming, ongoing or past' }
+  },
+  brochureUrl: {
+    ...optionalText('Brochure URL', 500),
+    custom: {
+      // An uploaded file, or an https link the server is allowed to download
+      options: (value) => {
+        if (value === '' || MEDIA_PATH_PATTERN.test(value) || isAllowedBrochureLink(value)) return true;
+        throw new Error('Brochure URL must be an uploaded file or an https link to an allowed host (e.g. Google Drive)');
+      }
+    }
+  },
+  teamPolicy: {
+    in: ['body'],
+    optional: true,
+    isObject: { errorMessage: 'Team policy must be an object' }
+  },
+  'teamPolicy.graceHours': graceHours,
+  'teamPolicy.rosterLockDate': optionalDate('Roster lock date')
+};
+
+// GET /api/events
+const listEventsSchema = {
+  q: optionalText('Search text', 200, ['query']),
+  status: {
+    in: ['query'],
+    optional: { options: { values: 'falsy' } },
+    isIn: { options: [['upcoming', 'ongoing', 'past']], errorMessage: 'Status must be upcoming, ongoing or past' }
+  },
+  category: optionalText('Category', 100, ['query']),
+  from: optionalDate('From date', ['query']),
+  to: optionalDate('To date', ['query']),
+  ...pageQuery
+};
+
+// POST /api/events/:id/ask
+const askSchema = {
+  ...eventIdSchema,
+  question: requiredText('Question', 1, 1000)
+};
+
+// POST /api/events/:id/organizers
+const organizerSchema = {
+  ...eventIdSchema,
+  email: {
+    in: ['body'],
+    exists: { errorMessage: 'Email is required', bail: true },
+    isString: { errorMessage: 'Email is required', bail: true },
+    trim: true,
+    isEmail: { errorMessage: 'Please provide a valid email' }
+  }
+};
+
+// DELETE /api/events/:id/organizers/:userId
+const organizerIdSchema = idParams({ id: 'event ID', userId: 'user ID' });
+
+module.exports = {
+  getDeadlineOrderError,
+  eventIdSchema,
+  createEventSchema,
+  updateEventSchema,
+  listEventsSchema,
+  askSchema,
+  organizerSchema,
+  organizerIdSchema
+};
@@ -0,0 +1,120 @@
+/**
+ * Team Validation Schemas
+ * Request rules for routes/teamRoutes.js (including the team chat routes)
+ */
+
+const { idParams, bodyId, optionalText, requiredText, pageQuery } = require('./common');
+
+// Longest invite lifetime a leader can choose (days)
+const MAX_INVITE_DAYS = 30;
+
+// Routes that only take a team ID: GET /:id, POST /:id/join, DELETE /:id, ...
+const teamIdSchema = idParams({ id: 'team ID' });
+
+// Routes about one person on a team: approve/reject requests, remove members, ...
+const teamMemberSchema = idParams({ id: 'team ID', userId: 'user ID' });
+
+// POST /api/teams
+const createTeamSchema = {
+  eventId: bodyId('Event ID'),
+  name: requiredText('Team name', 2, 100)
+};
+
+// GET /api/teams/my-teams, /my-invites, /my-requests
+const myTeamsSchema = {
+  eventId: {
+    in: ['query'],
+    optional: true,
+    isMongoId: { errorMessage: 'Invalid event ID' }
+  },
+  ...pageQuery
+};
+
+// GET /api/teams/event/:eventId
+const eventTeamsSchema = {
+  ...idParams({ eventId: 'event ID' }),
+  ...pageQuery
+};
+
+// GET /api/teams/:id/recommendations
+const recommendationsSchema = {
+  ...teamIdSchema,
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1, max: 50 }, errorMessage: 'Limit must be a whole number from 1 to 50' }
+  }
+};
+
+// POST /api/teams/:id/invite
+const inviteSchema = {
+  ...teamIdSchema,
+  userId: bodyId('User ID'),
+  message: optionalText('Message', 500),
+  expiresInDays: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isInt: {
+      options: { min: 1, max: MAX_INVITE_DAYS },
+      errorMessage: `Invites can last 1 to ${MAX_INVITE_DAYS} days`
+    }
+  }
+};
+
+// POST /api/teams/:id/transfer and /:id/co-leaders
+const teamUserBodySchema = {
+  ...teamIdSchema,
+  userId: bodyId('User ID')
+};
+
+// POST /api/teams/:id/members/:userId/remove and /:id/invites/:userId/revoke
+const teamActionReasonSchema = {
+  ...teamMemberSchema,
+  reason: optionalText('Reason', 500)
+};
+
+// GET /api/teams/:id/activity
+const teamActivitySchema = {
+  ...teamIdSchema,
+  ...pageQuery
+};
+
+// GET /api/teams/:id/messages
+const listMessagesSchema = {
+  ...teamIdSchema,
+  before: {
+    in: ['query'],
+    optional: true,
+    isMongoId: { errorMessage: 'Invalid message ID' }
+  },
+  limit: pageQuery.limit
+};
+
+// POST /api/teams/:id/messages
+const sendMessageSchema = {
+  ...teamIdSchema,
+  content: {
+    ...requiredText('Message', 1, 2000),
+    notEmpty: { errorMessage: 'Message cannot be empty', bail: true }
+  }
+};
+
+// DELETE /api/teams/:id/messages/:messageId
+const messageIdSchema = idParams({ id: 'team ID', messageId: 'message ID' });
+
+module.exports = {
+  MAX_INVITE_DAYS,
+  teamIdSchema,
+  teamMemberSchema,
+  createTeamSchema,
+  myTeamsSchema,
+  eventTeamsSchema,
+  recommendationsSchema,
+  inviteSchema,
+  teamUserBodySchema,
+  teamActionReasonSchema,
+  teamActivitySchema,
+  listMessagesSchema,
+  sendMessageSchema,
+  messageIdSchema
+};
@@ -0,0 +1,91 @@
+/**
+ * User Validation Schemas
+ * Request rules for routes/userRoutes.js
+ */
+
+const { idParams, optionalText, pageQuery } = require('./common');
+const { PHONE_PATTERN } = require('./authValidators');
+const { SKILL_LEVELS } = require('../config/skillCatalog');
+
+const MAX_LIST_LENGTH = 50;
+
+/**
+ * Check a profile's skills: strings or { skill, level } objects
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isSkillList = (value) => {
+  if (!Array.isArray(value) || value.length > MAX_LIST_LENGTH) return false;
+  return value.every(item => {
+    if (typeof item === 'string') return true;
+    return item && typeof item === 'object' && typeof item.skill === 'string' &&
+      (!item.level || SKILL_LEVELS.includes(item.level));
+  });
+};
+
+// PUT /api/users/me
+const updateProfileSchema = {
+  name: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: 'Name must be text', bail: true },
+    trim: true,
+    isLength: { options: { min: 2, max: 100 }, errorMessage: 'Name must be 2 to 100 characters' }
+  },
+  course: optionalText('Course', 100),
+  branch: optionalText('Branch', 100),
+  year: optionalText('Year', 20),
+  phone: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    matches: { options: [PHONE_PATTERN], errorMessage: 'Please provide a valid phone number' }
+  },
+  skills: {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: isSkillList,
+      errorMessage: `Skills must be a list of at most ${MAX_LIST_LENGTH} skills, with levels from: ${SKILL_LEVELS.join(', ')}`
+    }
+  },
+  achievements: {
+    in: ['body'],
+    optional: true,
+    isArray: {
+      options: { max: MAX_LIST_LENGTH },
+      errorMessage: `Achievements must be a list of at most ${MAX_LIST_LENGTH} items`
+    }
+  },
+  'achievements.*': {
+    in: ['body'],
+    isString: { errorMessage: 'Each achievement must be text', bail: true },
+    isLength: { options: { max: 500 }, errorMessage: 'Achievements cannot exceed 500 characters' }
+  }
+};
+
+// GET /api/users/all
+const listStudentsSchema = {
+  skills: optionalText('Skills', 500, ['query']),
+  ...pageQuery
+};
+
+// GET /api/users/search
+const searchUsersSchema = {
+  skills: {
+    in: ['query'],
+    isString: { errorMessage: 'Skills parameter is required', bail: true },
+    notEmpty: { errorMessage: 'Skills parameter is required', bail: true },
+    isLength: { options: { max: 500 }, errorMessage: 'Skills cannot exceed 500 characters' }
+  },
+  ...pageQuery
+};
+
+// GET /api/users/:id
+const userIdSchema = idParams({ id: 'user ID' });
+
+module.exports = {
+  updateProfileSchema,
+  listStudentsSchema,
+  searchUsersSchema,
+  userIdSchema
+};
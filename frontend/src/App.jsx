@@ -11,6 +11,9 @@ import Navbar from './components/Navbar';
 // Pages
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import EventDetails from './pages/EventDetails';
 import CreateEvent from './pages/CreateEvent';
@@ -19,6 +22,7 @@ import EditProfile from './pages/EditProfile';
 import SearchTeammates from './pages/SearchTeammates';
 import TeamView from './pages/TeamView';
 import MyTeams from './pages/MyTeams';
+import AdminDashboard from './pages/AdminDashboard';
 
 function App() {
   return (
@@ -30,6 +34,9 @@ function App() {
             {/* Public routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
 
             {/* Protected routes */}
             <Route
@@ -51,7 +58,7 @@ function App() {
             <Route
               path="/create-event"
               element={
-                <ProtectedRoute adminOnly>
+                <ProtectedRoute permission="events:create">
                   <CreateEvent />
                 </ProtectedRoute>
               }
@@ -96,6 +103,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute permission="users:manage">
+                  <AdminDashboard />
+                </ProtectedRoute>
+              }
+            />
 
             {/* Redirect unknown routes to home */}
             <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,113 @@
+/**
+ * ActiveSessions Component
+ * The devices the user is logged in on, with buttons to log any other
+ * device out (or all of them at once).
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (!confirm(`Log out ${session.device}?`)) return;
+
+    setActionLoading(true);
+    try {
+      await api.delete(`/auth/sessions/${session._id}`);
+      setSessions(sessions.filter(s => s._id !== session._id));
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to log out device');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!confirm('Log out every other device?')) return;
+
+    setActionLoading(true);
+    try {
+      const response = await api.delete('/auth/sessions');
+      setSessions(sessions.filter(s => s.current));
+      alert(response.data.message);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to log out devices');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const otherSessions = sessions.filter(s => !s.current);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Where You're Logged In</h2>
+        {otherSessions.length > 0 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={actionLoading}
+            className="btn-secondary text-sm"
+          >
+            Log out all other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-600">Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-gray-600">No active sessions</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={session._id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="font-medium">
+                  {session.device}
+                  {session.current && (
+                    <span className="badge badge-success ml-2">This device</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {session.ip && `${session.ip} · `}
+                  Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={actionLoading}
+                  className="text-sm text-red-600 hover:text-red-700 font-medium"
+                >
+                  Log out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
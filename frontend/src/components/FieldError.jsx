@@ -0,0 +1,13 @@
+/**
+ * FieldError Component
+ * Shows the server's validation message for one form input, if any.
+ * `errors` is the field -> message map from getFieldErrors().
+ */
+
+const FieldError = ({ errors, name }) => {
+  if (!errors[name]) return null;
+
+  return <p className="mt-1 text-sm text-red-600">{errors[name]}</p>;
+};
+
+export default FieldError;
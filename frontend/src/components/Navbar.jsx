@@ -5,9 +5,10 @@
 
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
 
   const handleLogout = async () => {
@@ -50,7 +51,7 @@ const Navbar = () => {
               >
                 My Teams
               </Link>
-              {isAdmin && (
+              {hasPermission('events:create') && (
                 <Link
                   to="/create-event"
                   className="bg-primary-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-primary-700"
@@ -59,6 +60,9 @@ const Navbar = () => {
                 </Link>
               )}
 
+              {/* Notifications */}
+              <NotificationBell />
+
               {/* User menu */}
               <div className="relative group">
                 <button className="flex items-center space-x-2 text-gray-700 hover:text-primary-600">
@@ -82,6 +86,14 @@ const Navbar = () => {
                   >
                     Edit Profile
                   </Link>
+                  {hasPermission('users:manage') && (
+                    <Link
+                      to="/admin"
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      Manage Users
+                    </Link>
+                  )}
                   <button
                     onClick={handleLogout}
                     className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
@@ -0,0 +1,157 @@
+/**
+ * NotificationBell Component
+ * Bell icon with unread count; opens a list of recent notifications
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { useRealtime } from '../utils/realtime';
+
+// New notifications arrive live; this slower check catches any missed
+// while the real-time connection was down (milliseconds)
+const POLL_INTERVAL = 5 * 60 * 1000;
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // New notification pushed by the server
+  useRealtime('user', (message) => {
+    if (message.type !== 'notification') return;
+    setUnreadCount(prev => prev + 1);
+    setNotifications(prev => [message.data.notification, ...prev]);
+  });
+
+  // Close the list when clicking anywhere else
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await api.get('/notifications/unread-count');
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await api.get('/notifications');
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleToggle = () => {
+    if (!open) {
+      fetchNotifications();
+    }
+    setOpen(!open);
+  };
+
+  const handleClick = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        await api.post(`/notifications/${notification._id}/read`);
+        setNotifications(prev => prev.map(n =>
+          n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n
+        ));
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.post('/notifications/read-all');
+      setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={handleToggle}
+        className="relative p-2 text-gray-700 hover:text-primary-600"
+        aria-label="Notifications"
+      >
+        <span className="text-xl">🔔</span>
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 bg-red-600 text-white text-xs font-semibold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-20">
+          <div className="flex justify-between items-center px-4 py-2 border-b border-gray-200">
+            <span className="font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleClick(notification)}
+                    className={`w-full text-left px-4 py-3 text-sm hover:bg-gray-50 border-b border-gray-100 ${
+                      notification.readAt ? 'text-gray-600' : 'text-gray-900 bg-primary-50'
+                    }`}
+                  >
+                    <p className={notification.readAt ? '' : 'font-medium'}>{notification.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
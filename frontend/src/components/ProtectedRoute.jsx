@@ -1,6 +1,7 @@
 /**
  * Protected Route Component
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated, and home if they lack
+ * the route's permission
  */
 
 import { Navigate } from 'react-router-dom';
@@ -10,10 +11,10 @@ import { useAuth } from '../context/AuthContext';
  * Wrapper component that protects routes from unauthenticated access
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render if authenticated
- * @param {boolean} props.adminOnly - If true, only admins can access this route
+ * @param {string} [props.permission] - Permission needed for this route, e.g. 'events:create'
  */
-const ProtectedRoute = ({ children, adminOnly = false }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, loading, hasPermission } = useAuth();
 
   // Show loading spinner while checking auth
   if (loading) {
@@ -29,8 +30,8 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  // Redirect to home if admin access required but user is not admin
-  if (adminOnly && user.role !== 'admin') {
+  // Redirect to home if the user lacks the route's permission
+  if (permission && !hasPermission(permission)) {
     return <Navigate to="/" replace />;
   }
 
@@ -0,0 +1,137 @@
+/**
+ * SkillInput Component
+ * Pick skills from the catalog with autocomplete, and optionally set a
+ * proficiency level for each. Skills not in the catalog can still be added
+ * by typing them and pressing Enter.
+ *
+ * value/onChange use a list of { skill, level } (skill is a catalog ID or custom text).
+ */
+
+import { useState, useEffect } from 'react';
+import { searchSkills, useSkillCatalog } from '../utils/skills';
+
+// Wait this long after typing stops before searching (milliseconds)
+const SEARCH_DELAY = 200;
+
+const SkillInput = ({ value, onChange }) => {
+  const { skillName, levels } = useSkillCatalog();
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    if (!text.trim()) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      try {
+        const skills = await searchSkills(text.trim());
+        if (active) setSuggestions(skills);
+      } catch (error) {
+        console.error('Error searching skills:', error);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [text]);
+
+  const hasSkill = (skill) => value.some(item => item.skill.toLowerCase() === skill.toLowerCase());
+
+  const addSkill = (skill) => {
+    if (skill && !hasSkill(skill)) {
+      onChange([...value, { skill, level: '' }]);
+    }
+    setText('');
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ',') return;
+    e.preventDefault();
+
+    const typed = text.trim();
+    if (!typed) return;
+
+    // Use the catalog skill if the text is exactly its name
+    const exact = suggestions.find(skill => skill.name.toLowerCase() === typed.toLowerCase());
+    addSkill(exact ? exact.id : typed);
+  };
+
+  const setLevel = (skill, level) => {
+    onChange(value.map(item => (item.skill === skill ? { ...item, level } : item)));
+  };
+
+  const removeSkill = (skill) => {
+    onChange(value.filter(item => item.skill !== skill));
+  };
+
+  return (
+    <div>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {value.map(({ skill, level }) => (
+            <span key={skill} className="badge badge-primary flex items-center gap-2">
+              {skillName(skill)}
+              <select
+                value={level}
+                onChange={(e) => setLevel(skill, e.target.value)}
+                className="bg-transparent text-xs border-none focus:ring-0 p-0 pr-4"
+                aria-label={`Level for ${skillName(skill)}`}
+              >
+                <option value="">Any level</option>
+                {levels.map((option) => (
+                  <option key={option} value={option}>
+                    {option.charAt(0).toUpperCase() + option.slice(1)}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => removeSkill(skill)}
+                className="hover:text-red-600"
+                aria-label={`Remove ${skillName(skill)}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="relative">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="input-field"
+          placeholder="Start typing, e.g. React, Python, Figma"
+        />
+        {suggestions.length > 0 && (
+          <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+            {suggestions.map((skill) => (
+              <li key={skill.id}>
+                <button
+                  type="button"
+                  onClick={() => addSkill(skill.id)}
+                  disabled={hasSkill(skill.id)}
+                  className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50 disabled:text-gray-400 flex justify-between"
+                >
+                  <span>{skill.name}</span>
+                  <span className="text-xs text-gray-500">{skill.category}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SkillInput;
@@ -0,0 +1,65 @@
+/**
+ * TeamActivityLog Component
+ * The team's log of removed members and revoked invites, with the reason
+ * the leader gave, newest first. Shown to team members.
+ */
+
+import { useEffect, useRef } from 'react';
+import { usePagedList } from '../utils/pagination';
+
+// What each logged action reads as
+const ACTION_LABELS = {
+  member_removed: 'removed',
+  invite_revoked: 'withdrew the invite of'
+};
+
+const TeamActivityLog = ({ teamId, refreshKey }) => {
+  const {
+    items: activity,
+    loading,
+    loadingMore,
+    hasMore,
+    reload,
+    sentinelRef
+  } = usePagedList(`/teams/${teamId}/activity`);
+
+  // Reload when the roster or invites change (a removal or revoke adds an entry);
+  // the first page is already loading when the log appears
+  const firstRender = useRef(true);
+  useEffect(() => {
+    if (firstRender.current) {
+      firstRender.current = false;
+      return;
+    }
+    reload();
+  }, [refreshKey]);
+
+  if (loading || activity.length === 0) return null;
+
+  return (
+    <div className="card mt-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-4">Team Activity</h2>
+      <ul className="space-y-3">
+        {activity.map((entry) => (
+          <li key={entry._id} className="text-sm text-gray-700">
+            <span className="font-medium text-gray-900">{entry.actorId?.name || 'A former member'}</span>
+            {` ${ACTION_LABELS[entry.action] || entry.action} `}
+            <span className="font-medium text-gray-900">{entry.targetUserId?.name || 'a former user'}</span>
+            <span className="text-gray-500"> · {new Date(entry.createdAt).toLocaleString()}</span>
+            {entry.reason && (
+              <p className="text-gray-600 italic mt-1">Reason: {entry.reason}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hasMore && (
+        <div ref={sentinelRef} className="text-center py-4 text-gray-500">
+          {loadingMore ? 'Loading more activity...' : ''}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamActivityLog;
@@ -0,0 +1,218 @@
+/**
+ * TeamChat Component
+ * Chat panel for team members, shown on the team page.
+ * New messages arrive live; unread ones are marked until the chat is read.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../utils/realtime';
+
+const TeamChat = ({ teamId, isLeader }) => {
+  const { user } = useAuth();
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [lastReadAt, setLastReadAt] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [content, setContent] = useState('');
+  const [sending, setSending] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [teamId]);
+
+  // Messages from teammates (delivered to members only)
+  useRealtime('user', (message) => {
+    if (message.data.teamId !== teamId) return;
+
+    if (message.type === 'team:message') {
+      const incoming = message.data.message;
+      setMessages(prev => prev.some(m => m._id === incoming._id) ? prev : [...prev, incoming]);
+      if (incoming.senderId?._id !== user._id) {
+        setUnreadCount(prev => prev + 1);
+      }
+    } else if (message.type === 'team:message_deleted') {
+      setMessages(prev => prev.filter(m => m._id !== message.data.messageId));
+    }
+  });
+
+  // Keep the newest message in view (but not when loading older ones)
+  const newestId = messages[messages.length - 1]?._id;
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [newestId]);
+
+  const fetchMessages = async () => {
+    try {
+      const response = await api.get(`/teams/${teamId}/messages`);
+      setMessages(response.data.messages);
+      setHasMore(response.data.hasMore);
+      setLastReadAt(response.data.lastReadAt);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching team chat:', error);
+    }
+  };
+
+  const handleLoadOlder = async () => {
+    if (messages.length === 0) return;
+    setLoadingOlder(true);
+    try {
+      const response = await api.get(`/teams/${teamId}/messages`, {
+        params: { before: messages[0]._id }
+      });
+      setMessages(prev => [...response.data.messages, ...prev]);
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      console.error('Error fetching older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMarkRead = async () => {
+    try {
+      const response = await api.post(`/teams/${teamId}/messages/read`);
+      setLastReadAt(response.data.lastReadAt);
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking chat as read:', error);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSending(true);
+    try {
+      const response = await api.post(`/teams/${teamId}/messages`, { content });
+      const sent = response.data.teamMessage;
+      setMessages(prev => prev.some(m => m._id === sent._id) ? prev : [...prev, sent]);
+      setContent('');
+      // Replying means you've seen everything above
+      if (unreadCount > 0) handleMarkRead();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleDelete = async (messageId) => {
+    if (!confirm('Delete this message for everyone?')) return;
+    try {
+      await api.delete(`/teams/${teamId}/messages/${messageId}`);
+      setMessages(prev => prev.filter(m => m._id !== messageId));
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to delete message');
+    }
+  };
+
+  // Unread = from a teammate and newer than the last time you read the chat
+  const isUnread = (message) => {
+    if (message.senderId?._id === user._id) return false;
+    return !lastReadAt || new Date(message.createdAt) > new Date(lastReadAt);
+  };
+  const firstUnreadId = unreadCount > 0 ? messages.find(isUnread)?._id : null;
+
+  return (
+    <div className="card mt-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">
+          Team Chat
+          {unreadCount > 0 && (
+            <span className="ml-2 badge badge-danger">{unreadCount} unread</span>
+          )}
+        </h2>
+        {unreadCount > 0 && (
+          <button
+            onClick={handleMarkRead}
+            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Mark as read
+          </button>
+        )}
+      </div>
+
+      <div ref={listRef} className="h-80 overflow-y-auto bg-gray-50 rounded-lg p-4 mb-4 space-y-3">
+        {hasMore && (
+          <div className="text-center">
+            <button
+              onClick={handleLoadOlder}
+              disabled={loadingOlder}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium disabled:opacity-50"
+            >
+              {loadingOlder ? 'Loading...' : 'Load earlier messages'}
+            </button>
+          </div>
+        )}
+
+        {messages.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center">No messages yet. Say hi to your team!</p>
+        ) : (
+          messages.map((message) => {
+            const isMine = message.senderId?._id === user._id;
+            return (
+              <div key={message._id}>
+                {message._id === firstUnreadId && (
+                  <div className="flex items-center my-2">
+                    <div className="flex-1 border-t border-red-300"></div>
+                    <span className="px-2 text-xs font-medium text-red-600">New messages</span>
+                    <div className="flex-1 border-t border-red-300"></div>
+                  </div>
+                )}
+                <div className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+                  <div className={`max-w-[75%] rounded-lg px-3 py-2 ${
+                    isMine ? 'bg-primary-600 text-white' : 'bg-white border border-gray-200 text-gray-900'
+                  } ${isUnread(message) ? 'ring-2 ring-red-200' : ''}`}>
+                    <div className={`flex items-center justify-between gap-3 text-xs mb-1 ${
+                      isMine ? 'text-primary-100' : 'text-gray-500'
+                    }`}>
+                      <span className="font-medium">{isMine ? 'You' : message.senderId?.name || 'Former member'}</span>
+                      <span>{new Date(message.createdAt).toLocaleString()}</span>
+                    </div>
+                    <p className="text-sm whitespace-pre-wrap break-words">{message.content}</p>
+                    {isLeader && (
+                      <button
+                        onClick={() => handleDelete(message._id)}
+                        className={`mt-1 text-xs ${isMine ? 'text-primary-100 hover:text-white' : 'text-red-600 hover:text-red-700'}`}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <form onSubmit={handleSend} className="flex gap-2">
+        <input
+          type="text"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder="Message your team..."
+          maxLength={2000}
+          className="input-field flex-1"
+        />
+        <button
+          type="submit"
+          disabled={sending || !content.trim()}
+          className="btn-primary disabled:opacity-50"
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TeamChat;
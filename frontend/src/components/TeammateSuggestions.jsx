@@ -0,0 +1,133 @@
+/**
+ * TeammateSuggestions Component
+ * Suggested students to invite, shown to the team leader and co-leaders.
+ * Each suggestion says why it was made (skills the event needs, skills the
+ * team lacks, experience).
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../utils/api';
+import { useSkillCatalog } from '../utils/skills';
+
+const TeammateSuggestions = ({ teamId, refreshKey, onInvited }) => {
+  const { skillName } = useSkillCatalog();
+  const [recommendations, setRecommendations] = useState([]);
+  const [eventSkills, setEventSkills] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inviteMessage, setInviteMessage] = useState('');
+  const [invitingId, setInvitingId] = useState(null);
+
+  // Reload when the roster or invites change (invited people drop off the list)
+  useEffect(() => {
+    fetchRecommendations();
+  }, [teamId, refreshKey]);
+
+  const fetchRecommendations = async () => {
+    try {
+      const response = await api.get(`/teams/${teamId}/recommendations`);
+      setRecommendations(response.data.recommendations);
+      setEventSkills(response.data.eventSkills);
+    } catch (error) {
+      console.error('Error fetching recommendations:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (candidate) => {
+    setInvitingId(candidate._id);
+    try {
+      await api.post(`/teams/${teamId}/invite`, {
+        userId: candidate._id,
+        message: inviteMessage.trim() || undefined
+      });
+      alert(`Invite sent to ${candidate.name}!`);
+      setInviteMessage('');
+      onInvited();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to send invite');
+    } finally {
+      setInvitingId(null);
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Invite Members</h2>
+        <Link to="/search" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+          Browse all students →
+        </Link>
+      </div>
+
+      {eventSkills.length > 0 && (
+        <p className="text-sm text-gray-600 mb-4">
+          Skills this event's categories call for:{' '}
+          <span className="font-medium">{eventSkills.join(', ')}</span>
+        </p>
+      )}
+
+      <textarea
+        value={inviteMessage}
+        onChange={(e) => setInviteMessage(e.target.value)}
+        placeholder="Add a personal message to your next invite (optional)"
+        maxLength={500}
+        rows={2}
+        className="input-field mb-1"
+      />
+      <p className="text-xs text-gray-500 mb-4">Invites expire after 7 days if not accepted.</p>
+
+      {loading ? (
+        <p className="text-gray-500 text-sm">Finding teammates...</p>
+      ) : recommendations.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          No suggestions right now. Everyone with skills your team lacks is already in a team or invited.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {recommendations.map(({ user: candidate, score, reasons, neededSkills }) => (
+            <div key={candidate._id} className="flex items-start justify-between p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-start space-x-4">
+                <div className="w-12 h-12 rounded-full bg-primary-600 flex items-center justify-center text-white text-lg font-bold flex-shrink-0">
+                  {candidate.name.charAt(0).toUpperCase()}
+                </div>
+                <div>
+                  <h3 className="font-bold text-gray-900">
+                    {candidate.name}
+                    <span className="ml-2 badge badge-primary">Match {score}</span>
+                  </h3>
+                  <p className="text-sm text-gray-600">{candidate.email}</p>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {candidate.skills.map((skill) => (
+                      <span
+                        key={skill}
+                        className={`badge ${neededSkills.includes(skillName(skill)) ? 'badge-success' : 'badge-primary'}`}
+                      >
+                        {skillName(skill)}
+                      </span>
+                    ))}
+                  </div>
+                  <ul className="mt-2 text-sm text-gray-700 list-disc list-inside">
+                    {reasons.map((reason) => (
+                      <li key={reason}>{reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+              <button
+                onClick={() => handleInvite(candidate)}
+                disabled={invitingId !== null}
+                className="btn-primary disabled:opacity-50 flex-shrink-0 ml-4"
+              >
+                {invitingId === candidate._id ? 'Inviting...' : 'Invite'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeammateSuggestions;
@@ -4,7 +4,7 @@
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
-import api from '../utils/api';
+import api, { getFieldErrors } from '../utils/api';
 
 const AuthContext = createContext(null);
 
@@ -79,7 +79,10 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data?.error?.message || 'Login failed'
+        error: error.response?.data?.error?.message || 'Login failed',
+        fields: getFieldErrors(error),
+        // Logging in needs a verified email and this one isn't yet
+        emailNotVerified: !!error.response?.data?.error?.emailNotVerified
       };
     }
   };
@@ -91,6 +94,12 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await api.post('/auth/register', userData);
+
+      // The user logs in once they've followed the link emailed to them
+      if (response.data.verificationRequired) {
+        return { success: true, verificationRequired: true, message: response.data.message };
+      }
+
       const { user, accessToken, refreshToken } = response.data;
 
       // Save tokens
@@ -104,7 +113,8 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data?.error?.message || 'Registration failed'
+        error: error.response?.data?.error?.message || 'Registration failed',
+        fields: getFieldErrors(error)
       };
     }
   };
@@ -140,7 +150,30 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data?.error?.message || 'Update failed'
+        error: error.response?.data?.error?.message || 'Update failed',
+        fields: getFieldErrors(error)
+      };
+    }
+  };
+
+  /**
+   * Verify an email address with the token from a verification link
+   * @param {string} token - Token from the link
+   */
+  const verifyEmail = async (token) => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+
+      // Show the change right away if the link was for the logged-in user
+      if (user?._id === response.data.user._id) {
+        setUser(response.data.user);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Verification failed'
       };
     }
   };
@@ -152,8 +185,10 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     updateProfile,
+    verifyEmail,
     isAuthenticated: !!user,
-    isAdmin: user?.role === 'admin'
+    // e.g. hasPermission('events:create'); see backend/config/roles.js
+    hasPermission: (permission) => !!user?.permissions?.includes(permission)
   };
 
   return (
@@ -0,0 +1,384 @@
+/**
+ * Admin Dashboard Page
+ * Lists the users an admin looks after (newest sign-ups first) and lets
+ * them change roles, suspend accounts and log users out of every device
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { usePagedList } from '../utils/pagination';
+import { ROLE_LABELS, getRoleLabel } from '../utils/roles';
+
+const EMPTY_FILTERS = { q: '', role: '', branch: '', year: '', status: '', institution: '' };
+
+const AdminDashboard = () => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const canSeeAllInstitutions = hasPermission('institutions:manage');
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Filters the current results were loaded with
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [institutions, setInstitutions] = useState([]);
+  // Users changed on this page, by ID (so the list keeps its place)
+  const [updatedUsers, setUpdatedUsers] = useState({});
+  const [busyUserId, setBusyUserId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  // Only send the filters that are set
+  const params = Object.fromEntries(
+    Object.entries(appliedFilters).filter(([, value]) => value.trim())
+  );
+
+  const {
+    items: users,
+    total,
+    loading,
+    loadingMore,
+    hasMore,
+    reload,
+    sentinelRef
+  } = usePagedList('/admin/users', params);
+
+  useEffect(() => {
+    if (canSeeAllInstitutions) loadInstitutions();
+  }, [canSeeAllInstitutions]);
+
+  const loadInstitutions = async () => {
+    try {
+      const response = await api.get('/admin/institutions');
+      setInstitutions(response.data.institutions);
+    } catch (error) {
+      console.error('Error loading institutions:', error);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setUpdatedUsers({});
+
+    // Same filters again: fetch fresh results
+    if (JSON.stringify(filters) === JSON.stringify(appliedFilters)) {
+      reload();
+    } else {
+      setAppliedFilters(filters);
+    }
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setUpdatedUsers({});
+  };
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage({ type: '', text: '' }), 4000);
+  };
+
+  /**
+   * Run an admin action on a user and show its outcome
+   * @param {Object} user
+   * @param {Function} request - () => axios promise
+   * @param {string} failure - Message if the server gives none
+   */
+  const runAction = async (user, request, failure) => {
+    setBusyUserId(user._id);
+    try {
+      const response = await request();
+      if (response.data.user) {
+        setUpdatedUsers(current => ({ ...current, [user._id]: response.data.user }));
+      }
+      showMessage('success', response.data.message);
+    } catch (error) {
+      showMessage('error', error.response?.data?.error?.message || failure);
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleRoleChange = (user, role) => {
+    if (role === user.role) return;
+    if (!window.confirm(`Make ${user.name} a ${getRoleLabel(role)}?`)) return;
+
+    runAction(user, () => api.put(`/admin/users/${user._id}/role`, { role }), 'Failed to change role');
+  };
+
+  const handleSuspend = (user) => {
+    const reason = window.prompt(
+      `Suspend ${user.name}? They will be logged out everywhere and cannot log in until unsuspended.\n\nReason (optional, shown to them):`
+    );
+    if (reason === null) return;
+
+    runAction(user, () => api.post(`/admin/users/${user._id}/suspend`, { reason }), 'Failed to suspend user');
+  };
+
+  const handleUnsuspend = (user) => {
+    runAction(user, () => api.post(`/admin/users/${user._id}/unsuspend`), 'Failed to unsuspend user');
+  };
+
+  const handleLogout = (user) => {
+    if (!window.confirm(`Log ${user.name} out of every device?`)) return;
+
+    runAction(user, () => api.post(`/admin/users/${user._id}/logout`), 'Failed to log user out');
+  };
+
+  const hasFilters = Object.values(filters).some(value => value);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="card mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-4">User Management</h1>
+        <p className="text-gray-600 mb-6">
+          Everyone who has signed up{canSeeAllInstitutions ? '' : ' at your institution'}, newest first
+        </p>
+
+        <form onSubmit={handleSearch}>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label htmlFor="q" className="block text-sm font-medium text-gray-700 mb-2">
+                Name or Email
+              </label>
+              <input
+                id="q"
+                name="q"
+                type="text"
+                value={filters.q}
+                onChange={handleFilterChange}
+                placeholder="e.g., ann or @example.edu"
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-2">
+                Role
+              </label>
+              <select
+                id="role"
+                name="role"
+                value={filters.role}
+                onChange={handleFilterChange}
+                className="input-field"
+              >
+                <option value="">All roles</option>
+                {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                  <option key={role} value={role}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-2">
+                Status
+              </label>
+              <select
+                id="status"
+                name="status"
+                value={filters.status}
+                onChange={handleFilterChange}
+                className="input-field"
+              >
+                <option value="">Everyone</option>
+                <option value="active">Active</option>
+                <option value="suspended">Suspended</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="branch" className="block text-sm font-medium text-gray-700 mb-2">
+                Branch
+              </label>
+              <input
+                id="branch"
+                name="branch"
+                type="text"
+                value={filters.branch}
+                onChange={handleFilterChange}
+                placeholder="e.g., Computer Science"
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label htmlFor="year" className="block text-sm font-medium text-gray-700 mb-2">
+                Year
+              </label>
+              <input
+                id="year"
+                name="year"
+                type="text"
+                value={filters.year}
+                onChange={handleFilterChange}
+                placeholder="e.g., 3rd Year"
+                className="input-field"
+              />
+            </div>
+            {canSeeAllInstitutions && (
+              <div>
+                <label htmlFor="institution" className="block text-sm font-medium text-gray-700 mb-2">
+                  Institution
+                </label>
+                <select
+                  id="institution"
+                  name="institution"
+                  value={filters.institution}
+                  onChange={handleFilterChange}
+                  className="input-field"
+                >
+                  <option value="">All institutions</option>
+                  {institutions.map((institution) => (
+                    <option key={institution._id} value={institution._id}>{institution.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="flex gap-3 mt-4">
+            <button type="submit" className="btn-primary">
+              {hasFilters ? 'Apply Filters' : 'Refresh'}
+            </button>
+            {hasFilters && (
+              <button type="button" onClick={clearFilters} className="btn-secondary">
+                Clear Filters
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      {message.text && (
+        <div
+          className={`mb-6 p-4 rounded-md ${
+            message.type === 'success'
+              ? 'bg-green-50 border border-green-200 text-green-700'
+              : 'bg-red-50 border border-red-200 text-red-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading users...</p>
+        </div>
+      ) : users.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-600 text-lg">No users match these filters.</p>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <p className="text-gray-600 mb-4">
+            Showing {users.length} of {total} user{total !== 1 ? 's' : ''}
+          </p>
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">User</th>
+                <th className="py-2 pr-4 font-medium">Branch / Year</th>
+                {canSeeAllInstitutions && <th className="py-2 pr-4 font-medium">Institution</th>}
+                <th className="py-2 pr-4 font-medium">Joined</th>
+                <th className="py-2 pr-4 font-medium">Role</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map((listed) => {
+                const user = { ...listed, ...updatedUsers[listed._id] };
+                const isSelf = user._id === currentUser._id;
+                const busy = busyUserId === user._id;
+
+                return (
+                  <tr key={user._id} className="align-top">
+                    <td className="py-3 pr-4">
+                      <p className="font-medium text-gray-900">{user.name}</p>
+                      <p className="text-gray-500">{user.email}</p>
+                    </td>
+                    <td className="py-3 pr-4 text-gray-700">
+                      {[user.branch, user.year].filter(Boolean).join(' · ') || '—'}
+                    </td>
+                    {canSeeAllInstitutions && (
+                      <td className="py-3 pr-4 text-gray-700">{listed.institutionId?.name || '—'}</td>
+                    )}
+                    <td className="py-3 pr-4 text-gray-700">
+                      {new Date(user.createdAt).toLocaleDateString()}
+                    </td>
+                    <td className="py-3 pr-4">
+                      {isSelf ? (
+                        <span className="badge badge-warning">{getRoleLabel(user.role)}</span>
+                      ) : (
+                        <select
+                          value={user.role}
+                          onChange={(e) => handleRoleChange(user, e.target.value)}
+                          disabled={busy}
+                          className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        >
+                          {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                            <option key={role} value={role}>{label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4">
+                      {user.suspendedAt ? (
+                        <span className="badge badge-danger" title={user.suspendedReason || undefined}>
+                          Suspended
+                        </span>
+                      ) : (
+                        <span className="badge badge-success">Active</span>
+                      )}
+                      {user.suspendedReason && (
+                        <p className="text-xs text-gray-500 mt-1">{user.suspendedReason}</p>
+                      )}
+                    </td>
+                    <td className="py-3">
+                      {!isSelf && (
+                        <div className="flex flex-wrap gap-3">
+                          {user.suspendedAt ? (
+                            <button
+                              onClick={() => handleUnsuspend(user)}
+                              disabled={busy}
+                              className="text-primary-600 hover:text-primary-700 font-medium disabled:opacity-50"
+                            >
+                              Unsuspend
+                            </button>
+                          ) : (
+                            <button
+                              onClick={() => handleSuspend(user)}
+                              disabled={busy}
+                              className="text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+                            >
+                              Suspend
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleLogout(user)}
+                            disabled={busy}
+                            className="text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+                          >
+                            Log Out
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {hasMore && (
+            <div ref={sentinelRef} className="text-center py-6 text-gray-500">
+              {loadingMore ? 'Loading more users...' : ''}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
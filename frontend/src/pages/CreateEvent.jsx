@@ -5,7 +5,8 @@
 
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import api from '../utils/api';
+import api, { getFieldErrors } from '../utils/api';
+import FieldError from '../components/FieldError';
 
 const CreateEvent = () => {
   const navigate = useNavigate();
@@ -18,11 +19,15 @@ const CreateEvent = () => {
     teamSizeMax: 6,
     registrationClose: '',
     eventStart: '',
-    eventEnd: ''
+    eventEnd: '',
+    graceHours: 0,
+    rosterLockDate: ''
   });
   const [brochureFile, setBrochureFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Server validation messages per input
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const handleChange = (e) => {
     setFormData({
@@ -55,6 +60,7 @@ const CreateEvent = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setLoading(true);
 
     try {
@@ -79,6 +85,12 @@ const CreateEvent = () => {
       if (formData.eventEnd) {
         submitData.append('eventEnd', formData.eventEnd);
       }
+
+      // Team policy: grace period after registration closes, roster lock date
+      submitData.append('graceHours', formData.graceHours);
+      if (formData.rosterLockDate) {
+        submitData.append('rosterLockDate', formData.rosterLockDate);
+      }
       
       // Add brochure file if selected
       if (brochureFile) {
@@ -95,6 +107,7 @@ const CreateEvent = () => {
       navigate(`/events/${response.data.event._id}`);
     } catch (error) {
       setError(error.response?.data?.error?.message || 'Failed to create event');
+      setFieldErrors(getFieldErrors(error));
     } finally {
       setLoading(false);
     }
@@ -126,6 +139,7 @@ const CreateEvent = () => {
               className="input-field"
               placeholder="e.g., Smart India Hackathon 2024"
             />
+            <FieldError errors={fieldErrors} name="title" />
           </div>
 
           {/* Description */}
@@ -142,6 +156,7 @@ const CreateEvent = () => {
               className="input-field"
               placeholder="Describe the event..."
             />
+            <FieldError errors={fieldErrors} name="description" />
           </div>
 
           {/* Categories */}
@@ -158,6 +173,7 @@ const CreateEvent = () => {
               className="input-field"
               placeholder="e.g., Hackathon, Innovation, Technology"
             />
+            <FieldError errors={fieldErrors} name="categories" />
           </div>
 
           {/* Rules */}
@@ -173,6 +189,7 @@ const CreateEvent = () => {
               className="input-field"
               placeholder="Each line will be a separate rule"
             />
+            <FieldError errors={fieldErrors} name="rules" />
           </div>
 
           {/* Team size */}
@@ -190,6 +207,7 @@ const CreateEvent = () => {
                 min="1"
                 className="input-field"
               />
+              <FieldError errors={fieldErrors} name="teamSizeMin" />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -204,6 +222,7 @@ const CreateEvent = () => {
                 min="1"
                 className="input-field"
               />
+              <FieldError errors={fieldErrors} name="teamSizeMax" />
             </div>
           </div>
 
@@ -220,6 +239,7 @@ const CreateEvent = () => {
                 onChange={handleChange}
                 className="input-field"
               />
+              <FieldError errors={fieldErrors} name="registrationClose" />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -232,6 +252,7 @@ const CreateEvent = () => {
                 onChange={handleChange}
                 className="input-field"
               />
+              <FieldError errors={fieldErrors} name="eventStart" />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -244,6 +265,45 @@ const CreateEvent = () => {
                 onChange={handleChange}
                 className="input-field"
               />
+              <FieldError errors={fieldErrors} name="eventEnd" />
+            </div>
+          </div>
+
+          {/* Team policy */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Grace Period (hours)
+              </label>
+              <input
+                type="number"
+                name="graceHours"
+                value={formData.graceHours}
+                onChange={handleChange}
+                min="0"
+                max="720"
+                className="input-field"
+              />
+              <FieldError errors={fieldErrors} name="graceHours" />
+              <p className="text-xs text-gray-500 mt-1">
+                Teams can still change for this long after registration closes
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Lock Team Rosters On
+              </label>
+              <input
+                type="date"
+                name="rosterLockDate"
+                value={formData.rosterLockDate}
+                onChange={handleChange}
+                className="input-field"
+              />
+              <FieldError errors={fieldErrors} name="rosterLockDate" />
+              <p className="text-xs text-gray-500 mt-1">
+                Optional: no team changes at all from this date
+              </p>
             </div>
           </div>
 
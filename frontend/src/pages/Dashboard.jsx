@@ -1,46 +1,73 @@
 /**
  * Dashboard Page
- * Main page showing event feed with filters
+ * Main page showing event feed with search and filters
+ * More events load as the user scrolls to the bottom of the list.
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
-import api from '../utils/api';
+import { usePagedList } from '../utils/pagination';
 import { useAuth } from '../context/AuthContext';
 
 const Dashboard = () => {
-  const [events, setEvents] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [statusFilter, setStatusFilter] = useState('all');
   const [categoryFilter, setCategoryFilter] = useState('');
+  const [searchText, setSearchText] = useState('');
+  const [search, setSearch] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
   const { user } = useAuth();
 
-  useEffect(() => {
-    fetchEvents();
-  }, [statusFilter, categoryFilter]);
-
-  const fetchEvents = async () => {
-    try {
-      setLoading(true);
-      const params = {};
-      
-      if (statusFilter !== 'all') {
-        params.status = statusFilter;
-      }
-      
-      if (categoryFilter) {
-        params.category = categoryFilter;
-      }
-
-      const response = await api.get('/events', { params });
-      setEvents(response.data.events);
-    } catch (error) {
-      console.error('Error fetching events:', error);
-    } finally {
-      setLoading(false);
+  // Only send the filters that are set
+  const params = {};
+  if (statusFilter !== 'all') params.status = statusFilter;
+  if (categoryFilter) params.category = categoryFilter;
+  if (search) params.q = search;
+  if (fromDate) params.from = fromDate;
+  if (toDate) params.to = toDate;
+
+  const {
+    items: events,
+    total,
+    data,
+    loading,
+    loadingMore,
+    hasMore,
+    sentinelRef
+  } = usePagedList('/events', params);
+
+  // Counts per category and status for the filter chips
+  const facets = data?.facets || { categories: [], statuses: [] };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch(searchText.trim());
+  };
+
+  const clearFilters = () => {
+    setSearchText('');
+    setSearch('');
+    setStatusFilter('all');
+    setCategoryFilter('');
+    setFromDate('');
+    setToDate('');
+  };
+
+  const statusCount = (status) => {
+    if (status === 'all') {
+      return facets.statuses.reduce((sum, facet) => sum + facet.count, 0);
     }
+    return facets.statuses.find(facet => facet.value === status)?.count || 0;
   };
 
+  const chipClass = (active) => `px-3 py-1 rounded-full text-sm font-medium border ${
+    active
+      ? 'bg-primary-600 text-white border-primary-600'
+      : 'bg-white text-gray-700 border-gray-300 hover:border-primary-400'
+  }`;
+
+  const hasFilters = search || statusFilter !== 'all' || categoryFilter || fromDate || toDate;
+
   const getStatusBadgeClass = (status) => {
     switch (status) {
       case 'upcoming':
@@ -66,49 +93,92 @@ const Dashboard = () => {
         </p>
       </div>
 
-      {/* Filters */}
-      <div className="card mb-8">
+      {/* Search and filters */}
+      <div className="card mb-8 space-y-4">
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search titles, descriptions and rules..."
+            className="input-field flex-1"
+          />
+          <button type="submit" className="btn-primary">
+            Search
+          </button>
+        </form>
+
         <div className="flex flex-wrap gap-4">
-          {/* Status filter */}
           <div className="flex-1 min-w-[200px]">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Status
+              Starts from
             </label>
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
               className="input-field"
-            >
-              <option value="all">All Events</option>
-              <option value="upcoming">Upcoming</option>
-              <option value="ongoing">Ongoing</option>
-              <option value="past">Past</option>
-            </select>
+            />
           </div>
-
-          {/* Category filter */}
           <div className="flex-1 min-w-[200px]">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Category
+              Starts by
             </label>
             <input
-              type="text"
-              value={categoryFilter}
-              onChange={(e) => setCategoryFilter(e.target.value)}
-              placeholder="e.g., Hackathon"
+              type="date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
               className="input-field"
             />
           </div>
+        </div>
 
-          <div className="flex items-end">
+        {/* Status chips */}
+        <div className="flex flex-wrap gap-2">
+          {['all', 'upcoming', 'ongoing', 'past'].map((status) => (
             <button
-              onClick={fetchEvents}
-              className="btn-primary"
+              key={status}
+              type="button"
+              onClick={() => setStatusFilter(status)}
+              className={chipClass(statusFilter === status)}
             >
-              Apply Filters
+              {status === 'all' ? 'All Events' : status.charAt(0).toUpperCase() + status.slice(1)}
+              {' '}({statusCount(status)})
             </button>
-          </div>
+          ))}
         </div>
+
+        {/* Category chips */}
+        {facets.categories.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {facets.categories.map((facet) => {
+              const active = categoryFilter.toLowerCase() === facet.value.toLowerCase();
+              return (
+                <button
+                  key={facet.value}
+                  type="button"
+                  onClick={() => setCategoryFilter(active ? '' : facet.value)}
+                  className={chipClass(active)}
+                >
+                  {facet.value} ({facet.count})
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {hasFilters && (
+          <div className="flex justify-between items-center text-sm text-gray-600">
+            <span>{search ? `Best matches for "${search}" first` : 'Sorted by start date'}</span>
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="text-primary-600 hover:text-primary-700 font-medium"
+            >
+              Clear filters
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Events grid */}
@@ -123,73 +193,85 @@ const Dashboard = () => {
           <p className="text-gray-500 mt-2">Try adjusting your filters</p>
         </div>
       ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {events.map((event) => (
-            <Link
-              key={event._id}
-              to={`/events/${event._id}`}
-              className="card hover:shadow-xl transition-shadow cursor-pointer"
-            >
-              {/* Event status badge */}
-              <div className="flex justify-between items-start mb-4">
-                <span className={getStatusBadgeClass(event.status)}>
-                  {event.status.charAt(0).toUpperCase() + event.status.slice(1)}
-                </span>
-                {event.brochureUrl && (
-                  <span className="text-xs text-gray-500">📄 Brochure</span>
-                )}
-              </div>
-
-              {/* Event title */}
-              <h3 className="text-xl font-bold text-gray-900 mb-2">
-                {event.title}
-              </h3>
-
-              {/* Event description (truncated) */}
-              <p className="text-gray-600 text-sm mb-4 line-clamp-3">
-                {event.description}
-              </p>
-
-              {/* Categories */}
-              <div className="flex flex-wrap gap-2 mb-4">
-                {event.categories.slice(0, 3).map((category, index) => (
-                  <span
-                    key={index}
-                    className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded"
-                  >
-                    {category}
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            Showing {events.length} of {total} event{total !== 1 ? 's' : ''}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {events.map((event) => (
+              <Link
+                key={event._id}
+                to={`/events/${event._id}`}
+                className="card hover:shadow-xl transition-shadow cursor-pointer"
+              >
+                {/* Event status badge */}
+                <div className="flex justify-between items-start mb-4">
+                  <span className={getStatusBadgeClass(event.status)}>
+                    {event.status.charAt(0).toUpperCase() + event.status.slice(1)}
                   </span>
-                ))}
-              </div>
-
-              {/* Event details */}
-              <div className="space-y-2 text-sm text-gray-600">
-                <div className="flex items-center">
-                  <span className="font-medium mr-2">Team Size:</span>
-                  {event.teamSize.min} - {event.teamSize.max} members
+                  {event.brochureUrl && (
+                    <span className="text-xs text-gray-500">📄 Brochure</span>
+                  )}
                 </div>
-                {event.deadlines.eventStart && (
-                  <div className="flex items-center">
-                    <span className="font-medium mr-2">Starts:</span>
-                    {new Date(event.deadlines.eventStart).toLocaleDateString()}
-                  </div>
-                )}
-                {event.deadlines.registrationClose && (
+
+                {/* Event title */}
+                <h3 className="text-xl font-bold text-gray-900 mb-2">
+                  {event.title}
+                </h3>
+
+                {/* Event description (truncated) */}
+                <p className="text-gray-600 text-sm mb-4 line-clamp-3">
+                  {event.description}
+                </p>
+
+                {/* Categories */}
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {event.categories.slice(0, 3).map((category, index) => (
+                    <span
+                      key={index}
+                      className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded"
+                    >
+                      {category}
+                    </span>
+                  ))}
+                </div>
+
+                {/* Event details */}
+                <div className="space-y-2 text-sm text-gray-600">
                   <div className="flex items-center">
-                    <span className="font-medium mr-2">Register by:</span>
-                    {new Date(event.deadlines.registrationClose).toLocaleDateString()}
+                    <span className="font-medium mr-2">Team Size:</span>
+                    {event.teamSize.min} - {event.teamSize.max} members
                   </div>
-                )}
-              </div>
-
-              {/* View details button */}
-              <div className="mt-4">
-                <span className="text-primary-600 font-medium text-sm hover:text-primary-700">
-                  View Details →
-                </span>
-              </div>
-            </Link>
-          ))}
+                  {event.deadlines.eventStart && (
+                    <div className="flex items-center">
+                      <span className="font-medium mr-2">Starts:</span>
+                      {new Date(event.deadlines.eventStart).toLocaleDateString()}
+                    </div>
+                  )}
+                  {event.deadlines.registrationClose && (
+                    <div className="flex items-center">
+                      <span className="font-medium mr-2">Register by:</span>
+                      {new Date(event.deadlines.registrationClose).toLocaleDateString()}
+                    </div>
+                  )}
+                </div>
+
+                {/* View details button */}
+                <div className="mt-4">
+                  <span className="text-primary-600 font-medium text-sm hover:text-primary-700">
+                    View Details →
+                  </span>
+                </div>
+              </Link>
+            ))}
+          </div>
+
+          {/* Reaching this loads the next page */}
+          {hasMore && (
+            <div ref={sentinelRef} className="text-center py-8 text-gray-500 text-sm">
+              {loadingMore ? 'Loading more events...' : ''}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -6,6 +6,8 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import SkillInput from '../components/SkillInput';
+import FieldError from '../components/FieldError';
 
 const EditProfile = () => {
   const { user, updateProfile } = useAuth();
@@ -17,11 +19,19 @@ const EditProfile = () => {
     course: user?.course || '',
     branch: user?.branch || '',
     year: user?.year || '',
-    skills: user?.skills?.join(', ') || '',
     achievements: user?.achievements?.join('\n') || ''
   });
+  // [{ skill, level }] - skill is a catalog ID or custom text
+  const [skills, setSkills] = useState(
+    (user?.skills || []).map(skill => ({
+      skill,
+      level: user.skillLevels?.find(entry => entry.skill === skill)?.level || ''
+    }))
+  );
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Server validation messages per input
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState('');
 
   const handleChange = (e) => {
@@ -34,6 +44,7 @@ const EditProfile = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setSuccess('');
     setLoading(true);
 
@@ -45,7 +56,7 @@ const EditProfile = () => {
         course: formData.course,
         branch: formData.branch,
         year: formData.year,
-        skills: formData.skills.split(',').map(s => s.trim()).filter(s => s),
+        skills,
         achievements: formData.achievements.split('\n').map(a => a.trim()).filter(a => a)
       };
 
@@ -66,6 +77,7 @@ const EditProfile = () => {
         }, 1500);
       } else {
         setError(result.error);
+        setFieldErrors(result.fields);
       }
     } catch (error) {
       setError('Failed to update profile');
@@ -105,6 +117,7 @@ const EditProfile = () => {
               required
               className="input-field"
             />
+            <FieldError errors={fieldErrors} name="name" />
           </div>
 
           {/* Phone */}
@@ -120,6 +133,7 @@ const EditProfile = () => {
               className="input-field"
               placeholder="e.g., +1 555-123-4567"
             />
+            <FieldError errors={fieldErrors} name="phone" />
             <p className="mt-1 text-xs text-gray-500">Optional. Digits, spaces, +, -, and () allowed.</p>
           </div>
 
@@ -139,6 +153,7 @@ const EditProfile = () => {
                     className="input-field"
                     placeholder="e.g., B.Tech"
                   />
+                  <FieldError errors={fieldErrors} name="course" />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -152,6 +167,7 @@ const EditProfile = () => {
                     className="input-field"
                     placeholder="e.g., Computer Science"
                   />
+                  <FieldError errors={fieldErrors} name="branch" />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -165,24 +181,19 @@ const EditProfile = () => {
                     className="input-field"
                     placeholder="e.g., 3rd Year"
                   />
+                  <FieldError errors={fieldErrors} name="year" />
                 </div>
               </div>
 
               {/* Skills */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Skills (comma-separated)
+                  Skills
                 </label>
-                <input
-                  type="text"
-                  name="skills"
-                  value={formData.skills}
-                  onChange={handleChange}
-                  className="input-field"
-                  placeholder="e.g., React, Python, Machine Learning"
-                />
+                <SkillInput value={skills} onChange={setSkills} />
+                <FieldError errors={fieldErrors} name="skills" />
                 <p className="mt-1 text-sm text-gray-500">
-                  These skills help others find you as a teammate
+                  These skills help others find you as a teammate. Setting a level is optional.
                 </p>
               </div>
 
@@ -199,6 +210,7 @@ const EditProfile = () => {
                   className="input-field"
                   placeholder="e.g., Winner of XYZ Hackathon 2023"
                 />
+                <FieldError errors={fieldErrors} name="achievements" />
               </div>
             </>
           )}
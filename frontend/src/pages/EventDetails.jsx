@@ -7,17 +7,26 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import { useAuth } from '../context/AuthContext';
-import geminiService from '../utils/geminiService';
+import { useRealtime } from '../utils/realtime';
+import {
+  summarizeBrochure,
+  askEventQuestion,
+  getConversation,
+  clearConversation,
+  getAiUsage
+} from '../utils/aiService';
 
 const EventDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user, isAdmin } = useAuth();
+  const { user } = useAuth();
 
   const [event, setEvent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('about');
   const [teams, setTeams] = useState([]);
+  // Cursor for the next page of teams (null when all are loaded)
+  const [teamsCursor, setTeamsCursor] = useState(null);
   const [myTeam, setMyTeam] = useState(null);
   const [showCreateTeam, setShowCreateTeam] = useState(false);
   const [teamName, setTeamName] = useState('');
@@ -26,16 +35,88 @@ const EventDetails = () => {
   const [chatbotLoading, setChatbotLoading] = useState(false);
   const [brochureSummary, setBrochureSummary] = useState('');
   const [summarizing, setSummarizing] = useState(false);
+  const [aiUsage, setAiUsage] = useState(null);
+  const [registrations, setRegistrations] = useState([]);
+  const [teamPolicy, setTeamPolicy] = useState(null);
+  const [showPolicySettings, setShowPolicySettings] = useState(false);
+  const [policyForm, setPolicyForm] = useState({ graceHours: 0, rosterLockDate: '' });
+  // What the user may do with this event: { canEdit, canDelete, canViewRegistrations }
+  const [access, setAccess] = useState({});
+  const [organizerEmail, setOrganizerEmail] = useState('');
 
   useEffect(() => {
     fetchEvent();
     fetchTeams();
+    fetchAiUsage();
+    fetchConversation();
   }, [id]);
 
+  useEffect(() => {
+    if (activeTab === 'registrations') {
+      fetchRegistrations();
+    }
+  }, [activeTab]);
+
+  // Keep the event and its team list current while the page is open
+  useRealtime(`event:${id}`, (message) => {
+    if (message.type === 'team:updated') {
+      fetchTeams();
+      if (activeTab === 'registrations') fetchRegistrations();
+    } else if (message.data.action === 'deleted') {
+      navigate('/');
+    } else {
+      fetchEvent();
+    }
+  });
+
+  const fetchRegistrations = async () => {
+    try {
+      const response = await api.get(`/events/${id}/registrations`);
+      setRegistrations(response.data.teams);
+    } catch (error) {
+      console.error('Error fetching registrations:', error);
+    }
+  };
+
+  const fetchConversation = async () => {
+    try {
+      const messages = await getConversation(id);
+      setChatHistory(messages.map(message => ({
+        type: message.role === 'user' ? 'user' : 'bot',
+        message: message.content,
+        citations: message.citations || [],
+        timestamp: new Date(message.createdAt).getTime()
+      })));
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+    }
+  };
+
+  const handleClearConversation = async () => {
+    if (!window.confirm('Clear your conversation about this event?')) return;
+
+    try {
+      await clearConversation(id);
+      setChatHistory([]);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to clear conversation');
+    }
+  };
+
+  const fetchAiUsage = async () => {
+    try {
+      setAiUsage(await getAiUsage());
+    } catch (error) {
+      console.error('Error fetching AI usage:', error);
+    }
+  };
+
   const fetchEvent = async () => {
     try {
       const response = await api.get(`/events/${id}`);
       setEvent(response.data.event);
+      setTeamPolicy(response.data.teamPolicy);
+      setAccess(response.data.access || {});
     } catch (error) {
       console.error('Error fetching event:', error);
     } finally {
@@ -45,14 +126,24 @@ const EventDetails = () => {
 
   const fetchTeams = async () => {
     try {
-      const response = await api.get(`/teams/event/${id}`);
-      setTeams(response.data.teams);
-
-      // Check if user is already in a team
-      const userTeam = response.data.teams.find(team =>
-        team.members.some(member => member._id === user._id)
-      );
-      setMyTeam(userTeam);
+      const [teamsResponse, myTeamResponse] = await Promise.all([
+        api.get(`/teams/event/${id}`),
+        // Check if user is already in a team (it may not be on the first page)
+        api.get('/teams/my-teams', { params: { eventId: id, limit: 1 } })
+      ]);
+      setTeams(teamsResponse.data.items);
+      setTeamsCursor(teamsResponse.data.nextCursor);
+      setMyTeam(myTeamResponse.data.items[0] || null);
+    } catch (error) {
+      console.error('Error fetching teams:', error);
+    }
+  };
+
+  const loadMoreTeams = async () => {
+    try {
+      const response = await api.get(`/teams/event/${id}`, { params: { cursor: teamsCursor } });
+      setTeams(current => [...current, ...response.data.items]);
+      setTeamsCursor(response.data.nextCursor);
     } catch (error) {
       console.error('Error fetching teams:', error);
     }
@@ -61,19 +152,86 @@ const EventDetails = () => {
   const handleCreateTeam = async (e) => {
     e.preventDefault();
     try {
-      await api.post('/teams', {
+      const response = await api.post('/teams', {
         eventId: id,
         name: teamName
       });
       setShowCreateTeam(false);
       setTeamName('');
       fetchTeams();
-      alert('Team created successfully!');
+      alert(response.data.warning
+        ? `Team created successfully!\n\n${response.data.warning}`
+        : 'Team created successfully!');
     } catch (error) {
       alert(error.response?.data?.error?.message || 'Failed to create team');
     }
   };
 
+  const handleRequestToJoin = async (teamId) => {
+    try {
+      const response = await api.post(`/teams/${teamId}/request`);
+      fetchTeams();
+      alert(response.data.warning
+        ? `Join request sent! The team leader will review it.\n\n${response.data.warning}`
+        : 'Join request sent! The team leader will review it.');
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to send join request');
+    }
+  };
+
+  const openPolicySettings = () => {
+    setPolicyForm({
+      graceHours: event.teamPolicy?.graceHours || 0,
+      rosterLockDate: event.teamPolicy?.rosterLockDate
+        ? new Date(event.teamPolicy.rosterLockDate).toISOString().split('T')[0]
+        : ''
+    });
+    setShowPolicySettings(true);
+  };
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      await api.put(`/events/${id}`, {
+        teamPolicy: {
+          graceHours: parseInt(policyForm.graceHours) || 0,
+          rosterLockDate: policyForm.rosterLockDate || null
+        }
+      });
+      setShowPolicySettings(false);
+      fetchEvent();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to update team settings');
+    }
+  };
+
+  const handleAddOrganizer = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post(`/events/${id}/organizers`, { email: organizerEmail });
+      setEvent(current => ({ ...current, organizers: response.data.organizers }));
+      setOrganizerEmail('');
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to add organizer');
+    }
+  };
+
+  const handleRemoveOrganizer = async (organizer) => {
+    if (!window.confirm(`Remove ${organizer.name} as an organizer?`)) return;
+
+    try {
+      const response = await api.delete(`/events/${id}/organizers/${organizer._id}`);
+      if (organizer._id === user._id) {
+        // They may no longer be able to manage the event
+        fetchEvent();
+      } else {
+        setEvent(current => ({ ...current, organizers: response.data.organizers }));
+      }
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to remove organizer');
+    }
+  };
+
   const handleAskChatbot = async (e) => {
     e.preventDefault();
     if (!chatbotQuestion.trim()) return;
@@ -86,14 +244,11 @@ const EventDetails = () => {
     setChatbotLoading(true);
 
     try {
-      console.log('Asking chatbot:', currentQuestion);
-      console.log('Event data:', event);
-      
-      // Use Gemini AI for better responses
-      const answer = await geminiService.answerEventQuestion(currentQuestion, event);
+      // The backend AI gateway answers the question
+      const { answer, citations } = await askEventQuestion(id, currentQuestion);
       
-      // Add bot response to chat history
-      setChatHistory(prev => [...prev, { type: 'bot', message: answer, timestamp: Date.now() }]);
+      // Add bot response (with the event sections it was based on) to chat history
+      setChatHistory(prev => [...prev, { type: 'bot', message: answer, citations, timestamp: Date.now() }]);
     } catch (error) {
       console.error('Chatbot error:', error);
       
@@ -105,6 +260,7 @@ const EventDetails = () => {
       }]);
     } finally {
       setChatbotLoading(false);
+      fetchAiUsage();
     }
   };
 
@@ -113,10 +269,8 @@ const EventDetails = () => {
 
     setSummarizing(true);
     try {
-      console.log('Starting brochure summarization...');
-      
-      // Use the new API-based method with caching
-      const summary = await geminiService.analyzeBrochureViaAPI(id);
+      // The backend AI gateway reads and summarizes the brochure
+      const summary = await summarizeBrochure(id);
       setBrochureSummary(summary);
       
       // Switch to chatbot tab and scroll to it
@@ -134,6 +288,7 @@ const EventDetails = () => {
       alert(error.message);
     } finally {
       setSummarizing(false);
+      fetchAiUsage();
     }
   };
 
@@ -167,6 +322,9 @@ const EventDetails = () => {
     );
   }
 
+  // Event deadlines / organizer roster lock (see backend teamPolicyService)
+  const teamsLocked = teamPolicy?.phase === 'locked';
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Event header */}
@@ -180,7 +338,7 @@ const EventDetails = () => {
               {event.status.charAt(0).toUpperCase() + event.status.slice(1)}
             </span>
           </div>
-          {isAdmin && (
+          {access.canDelete && (
             <button
               onClick={handleDeleteEvent}
               className="text-red-600 hover:text-red-700 text-sm font-medium"
@@ -222,7 +380,7 @@ const EventDetails = () => {
       {/* Tabs */}
       <div className="border-b border-gray-200 mb-6">
         <nav className="flex space-x-8">
-          {['about', 'rules', 'teams', 'chatbot'].map((tab) => (
+          {['about', 'rules', 'teams', 'chatbot', ...(access.canViewRegistrations ? ['registrations'] : [])].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -275,6 +433,44 @@ const EventDetails = () => {
                 </button>
               </div>
             )}
+
+            {/* Organizers (events from before organizers only list their creator) */}
+            <div className="mt-8">
+              <h3 className="text-lg font-semibold mb-3">Organizers</h3>
+              <ul className="space-y-2">
+                {(event.organizers?.length ? event.organizers : [event.createdBy]).filter(Boolean).map((organizer) => (
+                  <li key={organizer._id} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-700">
+                      {organizer.name} <span className="text-gray-500">({organizer.email})</span>
+                    </span>
+                    {access.canEdit && event.organizers?.length > 1 && (
+                      <button
+                        onClick={() => handleRemoveOrganizer(organizer)}
+                        className="text-red-600 hover:text-red-700 font-medium"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              {access.canEdit && (
+                <form onSubmit={handleAddOrganizer} className="mt-4 flex gap-2">
+                  <input
+                    type="email"
+                    value={organizerEmail}
+                    onChange={(e) => setOrganizerEmail(e.target.value)}
+                    className="input-field"
+                    placeholder="Add an organizer by email"
+                    required
+                  />
+                  <button type="submit" className="btn-secondary whitespace-nowrap">
+                    Add Organizer
+                  </button>
+                </form>
+              )}
+            </div>
           </div>
         )}
 
@@ -302,18 +498,83 @@ const EventDetails = () => {
           <div>
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-2xl font-bold">Teams</h2>
-              {!myTeam && (
-                <button
-                  onClick={() => setShowCreateTeam(true)}
-                  className="btn-primary"
-                >
-                  Create Team
-                </button>
-              )}
+              <div className="flex gap-2">
+                {access.canEdit && (
+                  <button onClick={openPolicySettings} className="btn-secondary">
+                    Team Settings
+                  </button>
+                )}
+                {!myTeam && (
+                  <button
+                    onClick={() => setShowCreateTeam(true)}
+                    disabled={teamsLocked}
+                    title={teamsLocked ? teamPolicy.reason : undefined}
+                    className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Create Team
+                  </button>
+                )}
+              </div>
             </div>
 
+            {/* Deadline / roster lock notices */}
+            {teamsLocked && (
+              <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+                🔒 {teamPolicy.reason}. Teams can no longer be created or joined.
+              </div>
+            )}
+            {teamPolicy?.warning && (
+              <div className="mb-6 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-md text-sm">
+                ⏳ {teamPolicy.warning}
+              </div>
+            )}
+
+            {/* Team policy settings (organizers) */}
+            {showPolicySettings && (
+              <form onSubmit={handleSavePolicy} className="mb-6 p-4 bg-gray-50 rounded-lg">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Grace Period (hours)
+                    </label>
+                    <input
+                      type="number"
+                      value={policyForm.graceHours}
+                      onChange={(e) => setPolicyForm({ ...policyForm, graceHours: e.target.value })}
+                      min="0"
+                      max="720"
+                      className="input-field"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Lock Team Rosters On
+                    </label>
+                    <input
+                      type="date"
+                      value={policyForm.rosterLockDate}
+                      onChange={(e) => setPolicyForm({ ...policyForm, rosterLockDate: e.target.value })}
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button type="submit" className="btn-primary">
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowPolicySettings(false)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
             {/* Create team form */}
-            {showCreateTeam && (
+            {showCreateTeam && !teamsLocked && (
               <form onSubmit={handleCreateTeam} className="mb-6 p-4 bg-gray-50 rounded-lg">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Team Name
@@ -361,19 +622,80 @@ const EventDetails = () => {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {teams.map((team) => (
                   <div key={team._id} className="p-4 bg-gray-50 rounded-lg">
-                    <h3 className="font-bold mb-2">{team.name}</h3>
+                    <h3 className="font-bold mb-2">
+                      {team.name}
+                      {team.registeredAt && (
+                        <span className="ml-2 badge badge-success">Registered</span>
+                      )}
+                    </h3>
                     <p className="text-sm text-gray-600 mb-2">
                       Leader: {team.leaderId.name}
                     </p>
                     <p className="text-sm text-gray-600 mb-2">
                       Members: {team.members.length} / {event.teamSize.max}
                     </p>
-                    <button
-                      onClick={() => navigate(`/teams/${team._id}`)}
-                      className="text-primary-600 hover:text-primary-700 text-sm font-medium"
-                    >
-                      View Details →
-                    </button>
+                    <div className="flex items-center justify-between">
+                      <button
+                        onClick={() => navigate(`/teams/${team._id}`)}
+                        className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+                      >
+                        View Details →
+                      </button>
+                      {!myTeam && !access.canEdit && !team.registeredAt && !teamsLocked && (
+                        team.joinRequests?.includes(user._id) ? (
+                          <span className="text-xs text-gray-500">Request pending</span>
+                        ) : team.members.length < event.teamSize.max && (
+                          <button
+                            onClick={() => handleRequestToJoin(team._id)}
+                            className="btn-secondary text-sm"
+                          >
+                            Request to Join
+                          </button>
+                        )
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {teamsCursor && (
+              <div className="text-center mt-4">
+                <button onClick={loadMoreTeams} className="btn-secondary text-sm">
+                  Load more teams
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Registrations tab (organizers) */}
+        {activeTab === 'registrations' && access.canViewRegistrations && (
+          <div>
+            <h2 className="text-2xl font-bold mb-4">Registered Teams</h2>
+            {registrations.length === 0 ? (
+              <p className="text-gray-600">No teams have registered for this event yet.</p>
+            ) : (
+              <div className="space-y-4">
+                {registrations.map((team) => (
+                  <div key={team._id} className="p-4 bg-gray-50 rounded-lg">
+                    <div className="flex justify-between items-start mb-2">
+                      <h3 className="font-bold">{team.name}</h3>
+                      <span className="text-xs text-gray-500">
+                        Registered {new Date(team.registeredAt).toLocaleString()}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 mb-2">
+                      Leader: {team.leaderId.name} ({team.leaderId.email})
+                    </p>
+                    <ul className="text-sm text-gray-700 space-y-1">
+                      {team.members.map((member) => (
+                        <li key={member._id}>
+                          • {member.name} — {member.email}
+                          {member.branch && ` • ${member.branch}`}
+                          {member.year && ` • ${member.year}`}
+                        </li>
+                      ))}
+                    </ul>
                   </div>
                 ))}
               </div>
@@ -384,7 +706,17 @@ const EventDetails = () => {
         {/* Chatbot tab */}
         {activeTab === 'chatbot' && (
           <div>
-            <h2 className="text-2xl font-bold mb-4">Ask About This Event</h2>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-bold">Ask About This Event</h2>
+              {chatHistory.length > 0 && (
+                <button
+                  onClick={handleClearConversation}
+                  className="text-sm text-gray-500 hover:text-gray-700"
+                >
+                  Clear conversation
+                </button>
+              )}
+            </div>
             <p className="text-gray-600 mb-6">
               Ask me anything about the event - deadlines, team size, rules, and more! 
               {event.brochureUrl && (
@@ -392,6 +724,11 @@ const EventDetails = () => {
                   💡 <strong>Tip:</strong> Use the "Summarise Brochure" button above to get AI-powered insights from the event brochure.
                 </span>
               )}
+              {aiUsage && (
+                <span className="block mt-2 text-xs text-gray-500">
+                  {aiUsage.remaining} of {aiUsage.limit} AI requests left today
+                </span>
+              )}
             </p>
 
             <form onSubmit={handleAskChatbot} className="mb-6">
@@ -441,6 +778,20 @@ const EventDetails = () => {
                           <div className="mt-1 whitespace-pre-wrap prose prose-sm max-w-none">
                             {message.message}
                           </div>
+                          {message.citations && message.citations.length > 0 && (
+                            <div className="mt-2 flex flex-wrap gap-1">
+                              <span className="text-xs text-gray-500">Sources:</span>
+                              {message.citations.map((citation, citationIndex) => (
+                                <span
+                                  key={citationIndex}
+                                  title={citation.excerpt}
+                                  className="text-xs bg-white text-gray-600 px-2 py-0.5 rounded border border-gray-200"
+                                >
+                                  {citation.label}
+                                </span>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       )}
                     </div>
@@ -0,0 +1,97 @@
+/**
+ * Forgot Password Page
+ * Asks for the user's email and sends them a link to reset their password
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api, { getFieldErrors } from '../utils/api';
+import FieldError from '../components/FieldError';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setLoading(true);
+
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to send reset link');
+      setFieldErrors(getFieldErrors(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div>
+          <h2 className="text-center text-4xl font-extrabold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            We'll email you a link to choose a new one.
+          </p>
+        </div>
+
+        {message ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+            {message}
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email Address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input-field mt-1"
+                placeholder="you@example.com"
+              />
+              <FieldError errors={fieldErrors} name="email" />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link to="/login" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,17 +1,26 @@
 /**
  * Login Page
- * Allows users to log into their account
+ * Allows users to log into their account, and to get a new verification
+ * link when logging in needs a verified email
  */
 
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import FieldError from '../components/FieldError';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  // Server validation messages per input
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // Shown after registering or resetting a password
+  const location = useLocation();
+  const [notice, setNotice] = useState(location.state?.notice || '');
+  const [emailNotVerified, setEmailNotVerified] = useState(false);
 
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -19,6 +28,9 @@ const Login = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
+    setFieldErrors({});
+    setEmailNotVerified(false);
     setLoading(true);
 
     const result = await login(email, password);
@@ -27,11 +39,24 @@ const Login = () => {
       navigate('/');
     } else {
       setError(result.error);
+      setFieldErrors(result.fields);
+      setEmailNotVerified(result.emailNotVerified);
     }
 
     setLoading(false);
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification', { email });
+      setError('');
+      setEmailNotVerified(false);
+      setNotice(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to send verification email');
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -47,9 +72,24 @@ const Login = () => {
 
         {/* Login form */}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {notice && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              {notice}
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
               {error}
+              {emailNotVerified && (
+                <button
+                  type="button"
+                  onClick={handleResendVerification}
+                  className="block mt-2 font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Send a new verification link
+                </button>
+              )}
             </div>
           )}
 
@@ -69,13 +109,19 @@ const Login = () => {
                 className="input-field mt-1"
                 placeholder="you@example.com"
               />
+              <FieldError errors={fieldErrors} name="email" />
             </div>
 
             {/* Password input */}
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
+              <div className="flex justify-between items-center">
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                  Forgot password?
+                </Link>
+              </div>
               <input
                 id="password"
                 name="password"
@@ -86,6 +132,7 @@ const Login = () => {
                 className="input-field mt-1"
                 placeholder="••••••••"
               />
+              <FieldError errors={fieldErrors} name="password" />
             </div>
           </div>
 
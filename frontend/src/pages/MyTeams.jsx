@@ -7,23 +7,32 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../utils/api';
 import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../utils/realtime';
 
 const MyTeams = () => {
   const [teams, setTeams] = useState([]);
   const [invites, setInvites] = useState([]);
+  const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [actionError, setActionError] = useState('');
   const [actionSuccess, setActionSuccess] = useState('');
   const { user } = useAuth();
 
   useEffect(() => {
-    Promise.all([fetchMyTeams(), fetchMyInvites()]).finally(() => setLoading(false));
+    Promise.all([fetchMyTeams(), fetchMyInvites(), fetchMyRequests()]).finally(() => setLoading(false));
   }, []);
 
+  // Reload when one of my teams, invites or requests changes
+  useRealtime('user', (message) => {
+    if (message.type === 'team:updated') {
+      Promise.all([fetchMyTeams(), fetchMyInvites(), fetchMyRequests()]);
+    }
+  });
+
   const fetchMyTeams = async () => {
     try {
-      const response = await api.get('/teams/my-teams');
-      setTeams(response.data.teams);
+      const response = await api.get('/teams/my-teams', { params: { limit: 100 } });
+      setTeams(response.data.items);
     } catch (error) {
       console.error('Error fetching teams:', error);
     }
@@ -31,20 +40,29 @@ const MyTeams = () => {
 
   const fetchMyInvites = async () => {
     try {
-      const response = await api.get('/teams/my-invites');
-      setInvites(response.data.invites || []);
+      const response = await api.get('/teams/my-invites', { params: { limit: 100 } });
+      setInvites(response.data.items);
     } catch (error) {
       console.error('Error fetching invites:', error);
     }
   };
 
+  const fetchMyRequests = async () => {
+    try {
+      const response = await api.get('/teams/my-requests', { params: { limit: 100 } });
+      setRequests(response.data.items);
+    } catch (error) {
+      console.error('Error fetching join requests:', error);
+    }
+  };
+
   const handleAccept = async (teamId) => {
     try {
       setActionError('');
       setActionSuccess('');
       await api.post(`/teams/${teamId}/join`);
       setActionSuccess('Joined team successfully');
-      await Promise.all([fetchMyTeams(), fetchMyInvites()]);
+      await Promise.all([fetchMyTeams(), fetchMyInvites(), fetchMyRequests()]);
       setTimeout(() => setActionSuccess(''), 2500);
     } catch (error) {
       setActionError(error.response?.data?.error?.message || 'Failed to join team');
@@ -66,6 +84,20 @@ const MyTeams = () => {
     }
   };
 
+  const handleCancelRequest = async (teamId) => {
+    try {
+      setActionError('');
+      setActionSuccess('');
+      await api.delete(`/teams/${teamId}/request`);
+      setActionSuccess('Join request cancelled');
+      await fetchMyRequests();
+      setTimeout(() => setActionSuccess(''), 2500);
+    } catch (error) {
+      setActionError(error.response?.data?.error?.message || 'Failed to cancel request');
+      setTimeout(() => setActionError(''), 3000);
+    }
+  };
+
   const getEventStatusBadge = (status) => {
     switch (status) {
       case 'upcoming':
@@ -125,6 +157,13 @@ const MyTeams = () => {
                     Event: <span className="font-medium">{team.eventId?.title || 'Unknown'}</span>
                     {' '}• Leader: <span className="font-medium">{team.leaderId?.name || 'Unknown'}</span>
                   </p>
+                  {team.invite?.message && (
+                    <p className="text-sm text-gray-700 italic mt-1">"{team.invite.message}"</p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Invited by {team.invite?.invitedBy?.name || 'a former member'}
+                    {team.invite?.expiresAt && ` · expires ${new Date(team.invite.expiresAt).toLocaleDateString()}`}
+                  </p>
                 </div>
                 <div className="flex gap-2">
                   <button onClick={() => handleAccept(team._id)} className="btn-primary">Accept</button>
@@ -136,6 +175,35 @@ const MyTeams = () => {
         </div>
       )}
 
+      {/* Outgoing join requests */}
+      {requests.length > 0 && (
+        <div className="card mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Your Join Requests</h2>
+            <span className="badge badge-primary">{requests.length} Awaiting Leader</span>
+          </div>
+
+          <div className="space-y-4">
+            {requests.map((team) => (
+              <div key={team._id} className="flex items-center justify-between p-4 bg-gray-50 rounded-md">
+                <div>
+                  <Link to={`/teams/${team._id}`} className="text-gray-900 font-medium hover:text-primary-600">
+                    {team.name || 'Team'}
+                  </Link>
+                  <p className="text-sm text-gray-600">
+                    Event: <span className="font-medium">{team.eventId?.title || 'Unknown'}</span>
+                    {' '}• Leader: <span className="font-medium">{team.leaderId?.name || 'Unknown'}</span>
+                  </p>
+                </div>
+                <button onClick={() => handleCancelRequest(team._id)} className="btn-secondary">
+                  Cancel Request
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {teams.length === 0 ? (
         <div className="card text-center py-12">
           <p className="text-gray-600 text-lg mb-4">You're not part of any teams yet</p>
@@ -158,9 +226,14 @@ const MyTeams = () => {
                 </h3>
                 {team.leaderId._id === user._id ? (
                   <span className="badge badge-warning">You're the Leader</span>
+                ) : team.coLeaders?.includes(user._id) ? (
+                  <span className="badge badge-primary">Co-leader</span>
                 ) : (
                   <span className="badge badge-primary">Member</span>
                 )}
+                {team.registeredAt && (
+                  <span className="ml-2 badge badge-success">Registered</span>
+                )}
               </div>
 
               {/* Event info */}
@@ -1,16 +1,35 @@
 /**
  * Profile Page
- * Displays user profile information
+ * Displays user profile information and the devices the user is logged in on
  */
 
+import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import { useSkillCatalog } from '../utils/skills';
+import { getRoleLabel } from '../utils/roles';
+import ActiveSessions from '../components/ActiveSessions';
 
 const Profile = () => {
   const { user } = useAuth();
+  const { skillName } = useSkillCatalog();
+  const [sendingVerification, setSendingVerification] = useState(false);
 
   if (!user) return null;
 
+  const handleResendVerification = async () => {
+    setSendingVerification(true);
+    try {
+      await api.post('/auth/resend-verification', { email: user.email });
+      alert(`We've sent a new verification link to ${user.email}`);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to send verification email');
+    } finally {
+      setSendingVerification(false);
+    }
+  };
+
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="card">
@@ -22,14 +41,30 @@ const Profile = () => {
             </div>
             <div>
               <h1 className="text-3xl font-bold text-gray-900">{user.name}</h1>
-              <p className="text-gray-600">{user.email}</p>
+              <p className="text-gray-600">
+                {user.email}
+                {user.emailVerified ? (
+                  <span className="badge badge-success ml-2">Verified</span>
+                ) : (
+                  <>
+                    <span className="badge badge-warning ml-2">Not verified</span>
+                    <button
+                      onClick={handleResendVerification}
+                      disabled={sendingVerification}
+                      className="ml-2 text-sm text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      Resend link
+                    </button>
+                  </>
+                )}
+              </p>
                 {user.phone && (
                   <p className="text-gray-600 mt-1">📞 {user.phone}</p>
                 )}
               <span className={`badge mt-2 ${
-                user.role === 'admin' ? 'badge-warning' : 'badge-primary'
+                user.role === 'student' ? 'badge-primary' : 'badge-warning'
               }`}>
-                {user.role.charAt(0).toUpperCase() + user.role.slice(1)}
+                {getRoleLabel(user.role)}
               </span>
             </div>
           </div>
@@ -66,11 +101,15 @@ const Profile = () => {
             <h2 className="text-xl font-bold text-gray-900 mb-4">Skills</h2>
             {user.skills && user.skills.length > 0 ? (
               <div className="flex flex-wrap gap-2">
-                {user.skills.map((skill, index) => (
-                  <span key={index} className="badge badge-primary">
-                    {skill}
-                  </span>
-                ))}
+                {user.skills.map((skill, index) => {
+                  const level = user.skillLevels?.find(entry => entry.skill === skill)?.level;
+                  return (
+                    <span key={index} className="badge badge-primary">
+                      {skillName(skill)}
+                      {level && <span className="ml-1 opacity-75">· {level}</span>}
+                    </span>
+                  );
+                })}
               </div>
             ) : (
               <p className="text-gray-600">No skills added yet</p>
@@ -112,6 +151,9 @@ const Profile = () => {
               </div>
             </div>
           </div>
+
+          {/* Sessions */}
+          <ActiveSessions />
         </div>
       </div>
     </div>
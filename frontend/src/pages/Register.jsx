@@ -6,6 +6,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import FieldError from '../components/FieldError';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -14,13 +15,14 @@ const Register = () => {
     phone: '',
     password: '',
     confirmPassword: '',
-    role: 'student',
     course: '',
     branch: '',
     year: '',
     skills: ''
   });
   const [error, setError] = useState('');
+  // Server validation messages per input
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const { register } = useAuth();
@@ -36,6 +38,7 @@ const Register = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
 
     // Validate passwords match
     if (formData.password !== formData.confirmPassword) {
@@ -68,10 +71,13 @@ const Register = () => {
 
     const result = await register(userData);
 
-    if (result.success) {
+    if (result.verificationRequired) {
+      navigate('/login', { state: { notice: result.message } });
+    } else if (result.success) {
       navigate('/');
     } else {
       setError(result.error);
+      setFieldErrors(result.fields);
     }
 
     setLoading(false);
@@ -114,12 +120,13 @@ const Register = () => {
                 className="input-field mt-1"
                 placeholder="abc def"
               />
+              <FieldError errors={fieldErrors} name="name" />
             </div>
 
             {/* Email */}
             <div>
               <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email Address *
+                College Email Address *
               </label>
               <input
                 id="email"
@@ -129,8 +136,9 @@ const Register = () => {
                 value={formData.email}
                 onChange={handleChange}
                 className="input-field mt-1"
-                placeholder="you@gmail.com"
+                placeholder="you@college.edu"
               />
+              <FieldError errors={fieldErrors} name="email" />
             </div>
 
             {/* Phone */}
@@ -147,95 +155,79 @@ const Register = () => {
                 className="input-field mt-1"
                 placeholder="e.g.,9876543210"
               />
+              <FieldError errors={fieldErrors} name="phone" />
               <p className="text-xs text-gray-500 mt-1">
                 Optional. Digits, spaces, +, -, and () allowed.
               </p>
             </div>
 
-            {/* Role */}
+            {/* Student details */}
             <div>
-              <label htmlFor="role" className="block text-sm font-medium text-gray-700">
-                I am a *
+              <label htmlFor="course" className="block text-sm font-medium text-gray-700">
+                Course
               </label>
-              <select
-                id="role"
-                name="role"
-                value={formData.role}
+              <input
+                id="course"
+                name="course"
+                type="text"
+                value={formData.course}
                 onChange={handleChange}
                 className="input-field mt-1"
-              >
-                <option value="student">Student</option>
-                {/* <option value="admin">Admin</option> */}
-              </select>
+                placeholder="B.Tech"
+              />
+              <FieldError errors={fieldErrors} name="course" />
             </div>
 
-            {/* Student-specific fields */}
-            {formData.role === 'student' && (
-              <>
-                <div>
-                  <label htmlFor="course" className="block text-sm font-medium text-gray-700">
-                    Course
-                  </label>
-                  <input
-                    id="course"
-                    name="course"
-                    type="text"
-                    value={formData.course}
-                    onChange={handleChange}
-                    className="input-field mt-1"
-                    placeholder="B.Tech"
-                  />
-                </div>
-
-                <div>
-                  <label htmlFor="branch" className="block text-sm font-medium text-gray-700">
-                    Branch
-                  </label>
-                  <input
-                    id="branch"
-                    name="branch"
-                    type="text"
-                    value={formData.branch}
-                    onChange={handleChange}
-                    className="input-field mt-1"
-                    placeholder="Computer Science"
-                  />
-                </div>
+            <div>
+              <label htmlFor="branch" className="block text-sm font-medium text-gray-700">
+                Branch
+              </label>
+              <input
+                id="branch"
+                name="branch"
+                type="text"
+                value={formData.branch}
+                onChange={handleChange}
+                className="input-field mt-1"
+                placeholder="Computer Science"
+              />
+              <FieldError errors={fieldErrors} name="branch" />
+            </div>
 
-                <div>
-                  <label htmlFor="year" className="block text-sm font-medium text-gray-700">
-                    Year
-                  </label>
-                  <input
-                    id="year"
-                    name="year"
-                    type="text"
-                    value={formData.year}
-                    onChange={handleChange}
-                    className="input-field mt-1"
-                    placeholder="3rd Year"
-                  />
-                </div>
+            <div>
+              <label htmlFor="year" className="block text-sm font-medium text-gray-700">
+                Year
+              </label>
+              <input
+                id="year"
+                name="year"
+                type="text"
+                value={formData.year}
+                onChange={handleChange}
+                className="input-field mt-1"
+                placeholder="3rd Year"
+              />
+              <FieldError errors={fieldErrors} name="year" />
+            </div>
 
-                <div>
-                  <label htmlFor="skills" className="block text-sm font-medium text-gray-700">
-                    Skills (comma-separated)
-                  </label>
-                  <input
-                    id="skills"
-                    name="skills"
-                    type="text"
-                    value={formData.skills}
-                    onChange={handleChange}
-                    className="input-field mt-1"
-                    placeholder="e.g., React, Python, UI/UX, Machine Learning"
-                  />
-                  <p className="text-xs text-gray-500 mt-1">
-                    Enter your skills separated by commas. This helps teammates find you!
-                  </p>
-                </div>
-              </>
-            )}
+            <div>
+              <label htmlFor="skills" className="block text-sm font-medium text-gray-700">
+                Skills (comma-separated)
+              </label>
+              <input
+                id="skills"
+                name="skills"
+                type="text"
+                value={formData.skills}
+                onChange={handleChange}
+                className="input-field mt-1"
+                placeholder="e.g., React, Python, UI/UX, Machine Learning"
+              />
+              <FieldError errors={fieldErrors} name="skills" />
+              <p className="text-xs text-gray-500 mt-1">
+                Enter your skills separated by commas. This helps teammates find you!
+              </p>
+            </div>
 
             {/* Password */}
             <div>
@@ -252,6 +244,7 @@ const Register = () => {
                 className="input-field mt-1"
                 placeholder="••••••••"
               />
+              <FieldError errors={fieldErrors} name="password" />
             </div>
 
             {/* Confirm Password */}
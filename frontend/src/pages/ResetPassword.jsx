@@ -0,0 +1,134 @@
+/**
+ * Reset Password Page
+ * Opened from a password reset email; sets a new password using the
+ * token in the link
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api, { getFieldErrors } from '../utils/api';
+import FieldError from '../components/FieldError';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  // The link itself was rejected (expired, used, or replaced)
+  const [linkFailed, setLinkFailed] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setLinkFailed(false);
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      navigate('/login', { state: { notice: response.data.message } });
+    } catch (error) {
+      const fields = getFieldErrors(error);
+      setError(error.response?.data?.error?.message || 'Failed to reset password');
+      setFieldErrors(fields);
+      setLinkFailed(error.response?.status === 400 && !fields.password);
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-12 text-center">
+        <p className="text-gray-600 mb-4">This reset link is incomplete.</p>
+        <Link to="/forgot-password" className="btn-primary">
+          Get a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div>
+          <h2 className="text-center text-4xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            You'll be logged out on every device.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              {error}
+              {linkFailed && (
+                <Link to="/forgot-password" className="block mt-2 font-medium text-primary-600 hover:text-primary-500">
+                  Get a new link
+                </Link>
+              )}
+            </div>
+          )}
+
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                New Password
+              </label>
+              <input
+                id="password"
+                name="password"
+                type="password"
+                required
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input-field mt-1"
+                placeholder="••••••••"
+              />
+              <FieldError errors={fieldErrors} name="password" />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                Confirm New Password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type="password"
+                required
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="input-field mt-1"
+                placeholder="••••••••"
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Saving...' : 'Reset password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
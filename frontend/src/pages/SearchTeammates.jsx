@@ -1,66 +1,55 @@
 import { useState, useEffect } from 'react';
 import api from '../utils/api';
+import { useSkillCatalog } from '../utils/skills';
+import { usePagedList } from '../utils/pagination';
 
 const SearchTeammates = () => {
+  const { skillName } = useSkillCatalog();
   const [skills, setSkills] = useState('');
-  const [results, setResults] = useState([]);
-  const [loading, setLoading] = useState(false);
+  // Skills filter the current results were loaded with
+  const [appliedSkills, setAppliedSkills] = useState('');
   const [myTeams, setMyTeams] = useState([]);
   const [invitingUserId, setInvitingUserId] = useState(null);
   const [selectedTeam, setSelectedTeam] = useState('');
   const [message, setMessage] = useState({ type: '', text: '' });
 
+  const {
+    items: results,
+    total,
+    loading,
+    loadingMore,
+    hasMore,
+    reload,
+    sentinelRef
+  } = usePagedList('/users/all', appliedSkills ? { skills: appliedSkills } : {});
+
   useEffect(() => {
-    loadAllStudents();
     loadMyTeams();
   }, []);
 
-  const loadAllStudents = async () => {
-    setLoading(true);
-    try {
-      const response = await api.get('/users/all?limit=100');
-      setResults(response.data.users);
-    } catch (error) {
-      console.error('Error loading students:', error);
-      showMessage('error', 'Failed to load students');
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const loadMyTeams = async () => {
     try {
-      const response = await api.get('/teams/my-teams');
-      setMyTeams(response.data.teams);
+      const response = await api.get('/teams/my-teams', { params: { limit: 100 } });
+      setMyTeams(response.data.items);
     } catch (error) {
       console.error('Error loading teams:', error);
     }
   };
 
-  const handleSearch = async (e) => {
+  const handleSearch = (e) => {
     e.preventDefault();
-    setLoading(true);
 
-    try {
-      if (skills.trim()) {
-        const response = await api.get('/users/all', {
-          params: { skills: skills.trim(), limit: 100 }
-        });
-        setResults(response.data.users);
-      } else {
-        await loadAllStudents();
-      }
-    } catch (error) {
-      console.error('Search error:', error);
-      showMessage('error', 'Failed to search students');
-    } finally {
-      setLoading(false);
+    // Same filter again (or none): fetch fresh results
+    if (skills.trim() === appliedSkills) {
+      reload();
+    } else {
+      setAppliedSkills(skills.trim());
     }
   };
 
   const clearFilter = () => {
     setSkills('');
-    loadAllStudents();
+    setAppliedSkills('');
   };
 
   const handleInvite = async (userId) => {
@@ -149,7 +138,7 @@ const SearchTeammates = () => {
       ) : results.length === 0 ? (
         <div className="card text-center py-12">
           <p className="text-gray-600 text-lg">
-            {skills.trim() 
+            {appliedSkills
               ? 'No students found with those skills. Try different keywords or clear the filter.'
               : 'No other students registered yet.'}
           </p>
@@ -158,8 +147,8 @@ const SearchTeammates = () => {
         <div>
           <div className="mb-4">
             <p className="text-gray-600">
-              Showing {results.length} student{results.length !== 1 ? 's' : ''}
-              {skills.trim() && ` matching "${skills}"`}
+              Showing {results.length} of {total} student{total !== 1 ? 's' : ''}
+              {appliedSkills && ` matching "${appliedSkills}"`}
             </p>
           </div>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -197,7 +186,7 @@ const SearchTeammates = () => {
                           key={index}
                           className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded"
                         >
-                          {skill}
+                          {skillName(skill)}
                         </span>
                       ))
                     ) : (
@@ -284,6 +273,13 @@ const SearchTeammates = () => {
               </div>
             ))}
           </div>
+
+          {/* Reaching this loads the next page */}
+          {hasMore && (
+            <div ref={sentinelRef} className="text-center py-8 text-gray-500 text-sm">
+              {loadingMore ? 'Loading more students...' : ''}
+            </div>
+          )}
         </div>
       )}
     </div>
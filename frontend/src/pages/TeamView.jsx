@@ -7,25 +7,40 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../utils/realtime';
+import { useSkillCatalog } from '../utils/skills';
+import TeamChat from '../components/TeamChat';
+import TeammateSuggestions from '../components/TeammateSuggestions';
+import TeamActivityLog from '../components/TeamActivityLog';
 
 const TeamView = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { skillName } = useSkillCatalog();
 
   const [team, setTeam] = useState(null);
+  const [teamPolicy, setTeamPolicy] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [inviteEmail, setInviteEmail] = useState('');
-  const [inviting, setInviting] = useState(false);
 
   useEffect(() => {
     fetchTeam();
   }, [id]);
 
+  // Reload when a teammate, invitee or the leader changes the team
+  useRealtime(`team:${id}`, (message) => {
+    if (message.data.action === 'deleted') {
+      navigate('/my-teams');
+      return;
+    }
+    fetchTeam();
+  });
+
   const fetchTeam = async () => {
     try {
       const response = await api.get(`/teams/${id}`);
       setTeam(response.data.team);
+      setTeamPolicy(response.data.teamPolicy);
     } catch (error) {
       console.error('Error fetching team:', error);
     } finally {
@@ -33,54 +48,70 @@ const TeamView = () => {
     }
   };
 
-  const handleInvite = async (e) => {
-    e.preventDefault();
-    setInviting(true);
+  const handleJoinTeam = async () => {
+    try {
+      await api.post(`/teams/${id}/join`);
+      alert('Successfully joined the team!');
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to join team');
+    }
+  };
 
+  const handleRequestToJoin = async () => {
     try {
-      // Search for user by email
-      const searchResponse = await api.get('/users/search', {
-        params: { skills: inviteEmail }
-      });
-
-      // Find exact email match
-      const userToInvite = searchResponse.data.users.find(
-        u => u.email.toLowerCase() === inviteEmail.toLowerCase()
-      );
-
-      if (!userToInvite) {
-        alert('User not found with that email');
-        setInviting(false);
-        return;
-      }
+      await api.post(`/teams/${id}/request`);
+      alert('Join request sent! The team leader will review it.');
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to send join request');
+    }
+  };
 
-      // Send invite
-      await api.post(`/teams/${id}/invite`, {
-        userId: userToInvite._id
-      });
+  const handleCancelRequest = async () => {
+    try {
+      await api.delete(`/teams/${id}/request`);
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to cancel join request');
+    }
+  };
 
-      alert('Invite sent successfully!');
-      setInviteEmail('');
+  const handleApproveRequest = async (userId) => {
+    try {
+      await api.post(`/teams/${id}/requests/${userId}/approve`);
       fetchTeam();
     } catch (error) {
-      alert(error.response?.data?.error?.message || 'Failed to send invite');
-    } finally {
-      setInviting(false);
+      alert(error.response?.data?.error?.message || 'Failed to approve request');
     }
   };
 
-  const handleJoinTeam = async () => {
+  const handleRejectRequest = async (userId) => {
     try {
-      await api.post(`/teams/${id}/join`);
-      alert('Successfully joined the team!');
+      await api.post(`/teams/${id}/requests/${userId}/reject`);
       fetchTeam();
     } catch (error) {
-      alert(error.response?.data?.error?.message || 'Failed to join team');
+      alert(error.response?.data?.error?.message || 'Failed to reject request');
+    }
+  };
+
+  const handleRegisterTeam = async () => {
+    if (!window.confirm('Register this team for the event? The roster will be locked after registration.')) return;
+
+    try {
+      await api.post(`/teams/${id}/register`);
+      alert('Team registered successfully!');
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to register team');
     }
   };
 
   const handleLeaveTeam = async () => {
-    if (!window.confirm('Are you sure you want to leave this team?')) return;
+    const confirmMessage = team.leaderId._id === user._id
+      ? 'You are the team leader. Leadership will pass to the longest-standing member. Leave this team?'
+      : 'Are you sure you want to leave this team?';
+    if (!window.confirm(confirmMessage)) return;
 
     try {
       await api.post(`/teams/${id}/leave`);
@@ -91,6 +122,56 @@ const TeamView = () => {
     }
   };
 
+  const handleTransferLeadership = async (member) => {
+    if (!window.confirm(`Make ${member.name} the team leader? You will become a regular member.`)) return;
+
+    try {
+      await api.post(`/teams/${id}/transfer`, { userId: member._id });
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to transfer leadership');
+    }
+  };
+
+  const handleToggleCoLeader = async (member, isCoLeader) => {
+    try {
+      if (isCoLeader) {
+        await api.delete(`/teams/${id}/co-leaders/${member._id}`);
+      } else {
+        await api.post(`/teams/${id}/co-leaders`, { userId: member._id });
+      }
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to update co-leader');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    // Cancel aborts; an empty reason is fine
+    const reason = window.prompt(`Remove ${member.name} from the team? Optionally give a reason:`, '');
+    if (reason === null) return;
+
+    try {
+      const response = await api.post(`/teams/${id}/members/${member._id}/remove`, { reason });
+      if (response.data.warning) alert(response.data.warning);
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to remove member');
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    const reason = window.prompt(`Withdraw the invite to ${invite.userId.name}? Optionally give a reason:`, '');
+    if (reason === null) return;
+
+    try {
+      await api.post(`/teams/${id}/invites/${invite.userId._id}/revoke`, { reason });
+      fetchTeam();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to revoke invite');
+    }
+  };
+
   const handleDeleteTeam = async () => {
     if (!window.confirm('Are you sure you want to delete this team?')) return;
 
@@ -122,8 +203,20 @@ const TeamView = () => {
   }
 
   const isLeader = team.leaderId._id === user._id;
+  const coLeaders = team.coLeaders || [];
+  const isCoLeader = coLeaders.includes(user._id);
+  // Leader and co-leaders can invite and handle join requests
+  const canManageMembers = isLeader || isCoLeader;
   const isMember = team.members.some(m => m._id === user._id);
-  const hasInvite = team.invites.some(i => i._id === user._id);
+  const hasInvite = team.invites.some(i => i.userId?._id === user._id);
+  const joinRequests = team.joinRequests || [];
+  const hasRequested = joinRequests.some(r => r._id === user._id);
+  const isFull = team.members.length >= team.eventId.teamSize.max;
+  const isRegistered = !!team.registeredAt;
+  const registrationClose = team.eventId.deadlines?.registrationClose;
+  const tooSmall = team.members.length < team.eventId.teamSize.min;
+  // Event deadlines / admin roster lock (see backend teamPolicyService)
+  const teamsLocked = teamPolicy?.phase === 'locked';
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -138,16 +231,36 @@ const TeamView = () => {
           </div>
           <div className="flex gap-2">
             {hasInvite && (
-              <button onClick={handleJoinTeam} className="btn-primary">
+              <button
+                onClick={handleJoinTeam}
+                disabled={teamsLocked}
+                title={teamsLocked ? teamPolicy.reason : undefined}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
                 Accept Invite
               </button>
             )}
-            {isMember && !isLeader && (
+            {!isMember && !hasInvite && !hasRequested && !isFull && !isRegistered && (
+              <button
+                onClick={handleRequestToJoin}
+                disabled={teamsLocked}
+                title={teamsLocked ? teamPolicy.reason : undefined}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Request to Join
+              </button>
+            )}
+            {hasRequested && (
+              <button onClick={handleCancelRequest} className="btn-secondary">
+                Cancel Request
+              </button>
+            )}
+            {isMember && !isRegistered && (
               <button onClick={handleLeaveTeam} className="btn-secondary">
                 Leave Team
               </button>
             )}
-            {isLeader && (
+            {isLeader && !isRegistered && (
               <button onClick={handleDeleteTeam} className="text-red-600 hover:text-red-700 font-medium">
                 Delete Team
               </button>
@@ -157,30 +270,105 @@ const TeamView = () => {
 
         <div className="text-sm text-gray-600">
           <span className="font-medium">Team Size:</span> {team.members.length} / {team.eventId.teamSize.max}
+          <span className="ml-2 text-gray-500">(minimum {team.eventId.teamSize.min})</span>
         </div>
+
+        {teamsLocked && !isRegistered && (
+          <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            🔒 {teamPolicy.reason}. Invites, joins and registration are disabled.
+          </div>
+        )}
+        {teamPolicy?.warning && !isRegistered && (
+          <div className="mt-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-md text-sm">
+            ⏳ {teamPolicy.warning}
+          </div>
+        )}
+
+        {isRegistered && (
+          <div className="mt-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md text-sm">
+            ✅ Registered for the event on {new Date(team.registeredAt).toLocaleDateString()}. The roster is locked.
+          </div>
+        )}
       </div>
 
-      {/* Invite form (leader only) */}
-      {isLeader && team.members.length < team.eventId.teamSize.max && (
+      {/* Registration (leader only) */}
+      {isLeader && !isRegistered && (
         <div className="card mb-6">
-          <h2 className="text-xl font-bold text-gray-900 mb-4">Invite Members</h2>
-          <form onSubmit={handleInvite} className="flex gap-2">
-            <input
-              type="email"
-              value={inviteEmail}
-              onChange={(e) => setInviteEmail(e.target.value)}
-              placeholder="Enter email address"
-              className="input-field flex-1"
-              required
-            />
-            <button
-              type="submit"
-              disabled={inviting}
-              className="btn-primary disabled:opacity-50"
-            >
-              {inviting ? 'Inviting...' : 'Send Invite'}
+          <h2 className="text-xl font-bold text-gray-900 mb-2">Register for the Event</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Once registered, members can no longer join or leave the team.
+            {registrationClose && (
+              <> Registration closes on {new Date(registrationClose).toLocaleDateString()}.</>
+            )}
+          </p>
+          {teamsLocked ? (
+            <p className="text-sm text-red-600">{teamPolicy.reason}.</p>
+          ) : tooSmall ? (
+            <p className="text-sm text-yellow-700">
+              You need at least {team.eventId.teamSize.min} members to register
+              (currently {team.members.length}).
+            </p>
+          ) : (
+            <button onClick={handleRegisterTeam} className="btn-primary">
+              Register Team
             </button>
-          </form>
+          )}
+        </div>
+      )}
+
+      {/* Suggested teammates to invite (leader and co-leaders) */}
+      {canManageMembers && !isFull && !isRegistered && !teamsLocked && (
+        <TeammateSuggestions
+          teamId={team._id}
+          refreshKey={`${team.members.length}-${team.invites.length}`}
+          onInvited={fetchTeam}
+        />
+      )}
+
+      {/* Join requests (leader and co-leaders) */}
+      {canManageMembers && !isRegistered && joinRequests.length > 0 && (
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Join Requests</h2>
+          <div className="space-y-4">
+            {joinRequests.map((request) => (
+              <div key={request._id} className="flex items-center justify-between p-4 bg-blue-50 rounded-lg">
+                <div className="flex items-center space-x-4">
+                  <div className="w-12 h-12 rounded-full bg-blue-500 flex items-center justify-center text-white text-lg font-bold">
+                    {request.name.charAt(0).toUpperCase()}
+                  </div>
+                  <div>
+                    <h3 className="font-bold text-gray-900">{request.name}</h3>
+                    <p className="text-sm text-gray-600">{request.email}</p>
+                    {request.skills && request.skills.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {request.skills.slice(0, 5).map((skill, index) => (
+                          <span
+                            key={index}
+                            className="text-xs bg-primary-100 text-primary-800 px-2 py-1 rounded"
+                          >
+                            {skillName(skill)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleApproveRequest(request._id)}
+                    disabled={isFull || teamsLocked}
+                    title={teamsLocked ? teamPolicy.reason : isFull ? 'Team is full' : undefined}
+                    className="btn-primary disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                  <button onClick={() => handleRejectRequest(request._id)} className="btn-secondary">
+                    Reject
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
         </div>
       )}
 
@@ -200,6 +388,9 @@ const TeamView = () => {
                     {member._id === team.leaderId._id && (
                       <span className="ml-2 badge badge-warning">Leader</span>
                     )}
+                    {coLeaders.includes(member._id) && (
+                      <span className="ml-2 badge badge-primary">Co-leader</span>
+                    )}
                   </h3>
                   <p className="text-sm text-gray-600">{member.email}</p>
                   {member.skills && member.skills.length > 0 && (
@@ -209,16 +400,42 @@ const TeamView = () => {
                           key={index}
                           className="text-xs bg-primary-100 text-primary-800 px-2 py-1 rounded"
                         >
-                          {skill}
+                          {skillName(skill)}
                         </span>
                       ))}
                     </div>
                   )}
                 </div>
               </div>
-              <div className="text-sm text-gray-600">
-                <div>Events: {member.stats?.eventsParticipated || 0}</div>
-                <div>Won: {member.stats?.eventsWon || 0}</div>
+              <div className="flex items-center gap-4">
+                {isLeader && member._id !== team.leaderId._id && (
+                  <div className="flex flex-col items-end gap-1">
+                    <button
+                      onClick={() => handleTransferLeadership(member)}
+                      className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      Make leader
+                    </button>
+                    <button
+                      onClick={() => handleToggleCoLeader(member, coLeaders.includes(member._id))}
+                      className="text-xs text-gray-600 hover:text-gray-800 font-medium"
+                    >
+                      {coLeaders.includes(member._id) ? 'Remove co-leader' : 'Make co-leader'}
+                    </button>
+                    {!isRegistered && !teamsLocked && (
+                      <button
+                        onClick={() => handleRemoveMember(member)}
+                        className="text-xs text-red-600 hover:text-red-700 font-medium"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                )}
+                <div className="text-sm text-gray-600">
+                  <div>Events: {member.stats?.eventsParticipated || 0}</div>
+                  <div>Won: {member.stats?.eventsWon || 0}</div>
+                </div>
               </div>
             </div>
           ))}
@@ -231,20 +448,46 @@ const TeamView = () => {
           <h2 className="text-xl font-bold text-gray-900 mb-4">Pending Invites</h2>
           <div className="space-y-4">
             {team.invites.map((invite) => (
-              <div key={invite._id} className="flex items-center space-x-4 p-4 bg-yellow-50 rounded-lg">
-                <div className="w-12 h-12 rounded-full bg-yellow-500 flex items-center justify-center text-white text-lg font-bold">
-                  {invite.name.charAt(0).toUpperCase()}
-                </div>
-                <div>
-                  <h3 className="font-bold text-gray-900">{invite.name}</h3>
-                  <p className="text-sm text-gray-600">{invite.email}</p>
-                  <p className="text-xs text-yellow-700 mt-1">Invite pending</p>
+              <div key={invite.userId._id} className="flex items-center justify-between p-4 bg-yellow-50 rounded-lg">
+                <div className="flex items-center space-x-4">
+                  <div className="w-12 h-12 rounded-full bg-yellow-500 flex items-center justify-center text-white text-lg font-bold">
+                    {invite.userId.name.charAt(0).toUpperCase()}
+                  </div>
+                  <div>
+                    <h3 className="font-bold text-gray-900">{invite.userId.name}</h3>
+                    <p className="text-sm text-gray-600">{invite.userId.email}</p>
+                    {invite.message && (
+                      <p className="text-sm text-gray-700 italic mt-1">"{invite.message}"</p>
+                    )}
+                    <p className="text-xs text-yellow-700 mt-1">
+                      Invited by {invite.invitedBy?.name || 'a former member'} · expires {new Date(invite.expiresAt).toLocaleDateString()}
+                    </p>
+                  </div>
                 </div>
+                {canManageMembers && (
+                  <button
+                    onClick={() => handleRevokeInvite(invite)}
+                    className="text-sm text-red-600 hover:text-red-700 font-medium"
+                  >
+                    Revoke
+                  </button>
+                )}
               </div>
             ))}
           </div>
         </div>
       )}
+
+      {/* Removed members and revoked invites (members only) */}
+      {isMember && (
+        <TeamActivityLog
+          teamId={team._id}
+          refreshKey={`${team.members.length}-${team.invites.length}`}
+        />
+      )}
+
+      {/* Team chat (members only) */}
+      {isMember && <TeamChat teamId={team._id} isLeader={isLeader} />}
     </div>
   );
 };
@@ -0,0 +1,67 @@
+/**
+ * Verify Email Page
+ * Opened from a verification email; confirms the address using the token
+ * in the link
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  // Links work once, so don't send the token twice (e.g. in development's double effects)
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+
+    verifyEmail(token).then((result) => {
+      if (result.success) {
+        setStatus('verified');
+      } else {
+        setStatus('failed');
+        setError(result.error);
+      }
+    });
+  }, [token]);
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-12">
+      <div className="card text-center">
+        {status === 'verifying' && (
+          <p className="text-gray-600">Verifying your email...</p>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h1>
+            <p className="text-gray-600 mb-6">Thanks for confirming your email address.</p>
+            <Link to={isAuthenticated ? '/' : '/login'} className="btn-primary">
+              {isAuthenticated ? 'Go to dashboard' : 'Log in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Couldn't verify your email</h1>
+            <p className="text-gray-600 mb-6">{error}</p>
+            <p className="text-sm text-gray-600">
+              {isAuthenticated
+                ? 'You can send a new link from your profile.'
+                : 'Log in to get a new link.'}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,78 @@
+/**
+ * AI Service
+ * Talks to the backend AI gateway. The AI provider and its API key
+ * live on the server, so the browser only ever calls our own API.
+ */
+
+import api from './api';
+
+/**
+ * Get the error message from a failed API call
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message to use if the server sent none
+ * @returns {string}
+ */
+const getErrorMessage = (error, fallback) => {
+  return error.response?.data?.error?.message || fallback;
+};
+
+/**
+ * Get an AI summary of an event's brochure
+ * The server stores the summary on the event, so it is only generated once
+ * @param {string} eventId - The event ID
+ * @returns {Promise<string>} AI-generated summary
+ */
+export const summarizeBrochure = async (eventId) => {
+  try {
+    const response = await api.post(`/events/${eventId}/summarize-brochure`);
+    return response.data.data.summary;
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Failed to analyze brochure'));
+  }
+};
+
+/**
+ * Ask the AI assistant a question about an event
+ * The server keeps the conversation, so follow-up questions work
+ * @param {string} eventId - The event ID
+ * @param {string} question - User's question
+ * @returns {Promise<Object>} { answer, citations }
+ */
+export const askEventQuestion = async (eventId, question) => {
+  try {
+    const response = await api.post(`/events/${eventId}/ask`, { question });
+    return {
+      answer: response.data.answer,
+      citations: response.data.citations || []
+    };
+  } catch (error) {
+    throw new Error(getErrorMessage(error, 'Failed to process question'));
+  }
+};
+
+/**
+ * Get the current user's earlier conversation about an event
+ * @param {string} eventId - The event ID
+ * @returns {Promise<Object[]>} Messages: { role, content, citations, createdAt }
+ */
+export const getConversation = async (eventId) => {
+  const response = await api.get(`/events/${eventId}/conversation`);
+  return response.data.messages;
+};
+
+/**
+ * Start the conversation about an event over
+ * @param {string} eventId - The event ID
+ */
+export const clearConversation = async (eventId) => {
+  await api.delete(`/events/${eventId}/conversation`);
+};
+
+/**
+ * Get the current user's AI quota usage
+ * @returns {Promise<Object>} { used, limit, remaining, resetsAt }
+ */
+export const getAiUsage = async () => {
+  const response = await api.get('/ai/usage');
+  return response.data.usage;
+};
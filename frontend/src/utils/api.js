@@ -30,6 +30,42 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in progress, shared so parallel 401s use one refresh token once
+let refreshPromise = null;
+
+/**
+ * Swap the stored refresh token for new tokens
+ * Refresh tokens work once, so the new one replaces the old in localStorage.
+ * @returns {Promise<string>} New access token
+ */
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  try {
+    const response = await axios.post('/api/auth/refresh', {
+      refreshToken
+    });
+
+    const { accessToken, refreshToken: newRefreshToken } = response.data;
+
+    // Save the new tokens
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    return accessToken;
+  } catch (error) {
+    // Another tab refreshed first: its tokens are already saved, so use them
+    const storedRefreshToken = localStorage.getItem('refreshToken');
+    if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+      return localStorage.getItem('accessToken');
+    }
+    throw error;
+  }
+};
+
 // Response interceptor: Handle token refresh
 api.interceptors.response.use(
   (response) => {
@@ -44,20 +80,12 @@ api.interceptors.response.use(
 
       try {
         // Try to refresh the token
-        const refreshToken = localStorage.getItem('refreshToken');
-        
-        if (!refreshToken) {
-          throw new Error('No refresh token');
+        if (!refreshPromise) {
+          refreshPromise = refreshTokens().finally(() => {
+            refreshPromise = null;
+          });
         }
-
-        const response = await axios.post('/api/auth/refresh', {
-          refreshToken
-        });
-
-        const { accessToken } = response.data;
-
-        // Save new access token
-        localStorage.setItem('accessToken', accessToken);
+        const accessToken = await refreshPromise;
 
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -71,8 +99,33 @@ api.interceptors.response.use(
       }
     }
 
+    // Account suspended by an admin: it can't be used until unsuspended
+    if (error.response?.status === 403 && error.response.data?.error?.suspended &&
+      localStorage.getItem('accessToken')) {
+      localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
+      window.location.href = '/login';
+    }
+
     return Promise.reject(error);
   }
 );
 
+/**
+ * Get the per-field messages from a failed request's validation error
+ * The backend returns { error: { code, message, fields } } where fields maps
+ * input names (e.g. "email", "teamSize.max") to messages. Errors for one
+ * item of a list ("achievements[2]") are also filed under the list's name.
+ * @param {Error} error - Axios error
+ * @returns {Object} Field name -> message (empty if none)
+ */
+export const getFieldErrors = (error) => {
+  const fields = { ...(error.response?.data?.error?.fields || {}) };
+  Object.entries(fields).forEach(([field, message]) => {
+    const list = field.split('[')[0];
+    if (!fields[list]) fields[list] = message;
+  });
+  return fields;
+};
+
 export default api;
@@ -0,0 +1,98 @@
+/**
+ * Paged Lists
+ * List endpoints return one page at a time as { items, nextCursor, total };
+ * the next page is fetched by sending nextCursor back as ?cursor= (it is null
+ * on the last page). usePagedList loads pages as the user scrolls.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api from './api';
+
+/**
+ * React hook: a list loaded page by page, with infinite scroll
+ * Put sentinelRef on an element below the list; the next page loads when it
+ * scrolls into view. Changing params starts again from the first page.
+ *
+ * @param {string} path - API path, e.g. '/events'
+ * @param {Object} [params] - Query parameters (filters, limit)
+ * @returns {Object} { items, total, data, loading, loadingMore, hasMore, loadMore, reload, sentinelRef }
+ *   data is the first page's full response (for extras such as facets)
+ */
+export const usePagedList = (path, params = {}) => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [data, setData] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [observed, setObserved] = useState(null);
+
+  // Responses for an older set of params are ignored
+  const requestId = useRef(0);
+  const paramsKey = JSON.stringify(params);
+
+  const reload = useCallback(async () => {
+    const id = ++requestId.current;
+    setLoading(true);
+    try {
+      const response = await api.get(path, { params: JSON.parse(paramsKey) });
+      if (id !== requestId.current) return;
+      setItems(response.data.items);
+      setTotal(response.data.total);
+      setNextCursor(response.data.nextCursor);
+      setData(response.data);
+    } catch (error) {
+      console.error(`Error loading ${path}:`, error);
+    } finally {
+      if (id === requestId.current) setLoading(false);
+    }
+  }, [path, paramsKey]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return;
+
+    const id = requestId.current;
+    setLoadingMore(true);
+    try {
+      const response = await api.get(path, {
+        params: { ...JSON.parse(paramsKey), cursor: nextCursor }
+      });
+      if (id !== requestId.current) return;
+      setItems(current => [...current, ...response.data.items]);
+      setTotal(response.data.total);
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      console.error(`Error loading more ${path}:`, error);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [path, paramsKey, nextCursor, loading, loadingMore]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Load the next page when the sentinel element comes into view
+  useEffect(() => {
+    if (!observed || !nextCursor) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(observed);
+
+    return () => observer.disconnect();
+  }, [observed, nextCursor, loadMore]);
+
+  return {
+    items,
+    total,
+    data,
+    loading,
+    loadingMore,
+    hasMore: !!nextCursor,
+    loadMore,
+    reload,
+    sentinelRef: setObserved
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Real-time Updates
+ * One shared WebSocket connection to the backend (/ws) that pages use to
+ * hear about changes made by other people (teammates, leaders, organizers).
+ *
+ * Channels:
+ *   'user'          - your own updates (invites, join requests, notifications)
+ *   'team:<teamId>' - changes to a team's roster, invites and requests
+ *   'event:<id>'    - changes to an event and its teams
+ *
+ * Messages look like { type, channel, data }. They only say what changed,
+ * so pages reload the details through the normal API.
+ */
+
+import { useEffect, useRef } from 'react';
+import api from './api';
+
+// Reconnect delays (milliseconds): start small, back off up to a limit
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+let socket = null;
+let retryDelay = MIN_RETRY_DELAY;
+let reconnectTimer = null;
+
+// channel -> Set of handler functions
+const listeners = new Map();
+
+/**
+ * Build the WebSocket URL for the current page (proxied to the backend by Vite)
+ * @param {string} token - Access token
+ * @returns {string}
+ */
+const getSocketUrl = (token) => {
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  return `${protocol}://${window.location.host}/ws?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Tell the server to start or stop sending a channel
+ * The personal 'user' channel is joined automatically by the server.
+ * @param {string} action - 'subscribe' or 'unsubscribe'
+ * @param {string} channel
+ */
+const sendSubscription = (action, channel) => {
+  if (channel === 'user' || !socket || socket.readyState !== WebSocket.OPEN) return;
+  socket.send(JSON.stringify({ action, channel }));
+};
+
+/**
+ * Pass a message from the server to the handlers for its channel
+ * @param {Object} message - { type, channel, data }
+ */
+const dispatch = (message) => {
+  const channel = message.channel?.startsWith('user:') ? 'user' : message.channel;
+  (listeners.get(channel) || []).forEach(handler => handler(message));
+};
+
+/**
+ * Open the connection (if anyone is listening and we are logged in)
+ */
+const connect = () => {
+  const token = localStorage.getItem('accessToken');
+  if (socket || listeners.size === 0 || !token) return;
+
+  let opened = false;
+  socket = new WebSocket(getSocketUrl(token));
+
+  socket.onopen = () => {
+    opened = true;
+    retryDelay = MIN_RETRY_DELAY;
+    listeners.forEach((handlers, channel) => sendSubscription('subscribe', channel));
+  };
+
+  socket.onmessage = (event) => {
+    try {
+      dispatch(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Invalid real-time message:', error);
+    }
+  };
+
+  socket.onclose = async () => {
+    socket = null;
+    if (listeners.size === 0) return;
+
+    // Never connected: the access token has probably expired. Any API call
+    // refreshes it (see api.js), so make a cheap one before trying again.
+    if (!opened) {
+      try {
+        await api.get('/users/me');
+      } catch (error) {
+        // Still logged out or offline; keep retrying with back-off
+      }
+    }
+
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+  };
+};
+
+/**
+ * Listen for real-time messages on a channel
+ * @param {string} channel - 'user', 'team:<id>' or 'event:<id>'
+ * @param {Function} handler - Called with each message
+ * @returns {Function} Call to stop listening
+ */
+export const subscribe = (channel, handler) => {
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Set());
+    sendSubscription('subscribe', channel);
+  }
+  listeners.get(channel).add(handler);
+  connect();
+
+  return () => {
+    const handlers = listeners.get(channel);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      listeners.delete(channel);
+      sendSubscription('unsubscribe', channel);
+    }
+
+    // Nobody is listening any more (e.g. after logout): close the connection
+    if (listeners.size === 0) {
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    }
+  };
+};
+
+/**
+ * React hook: run a handler for every real-time message on a channel
+ * while the component is mounted
+ * @param {string} channel - Channel name (nothing happens if empty)
+ * @param {Function} handler - Called with each message
+ */
+export const useRealtime = (channel, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!channel) return undefined;
+    return subscribe(channel, (message) => handlerRef.current(message));
+  }, [channel]);
+};
@@ -0,0 +1,20 @@
+/**
+ * Role Helpers
+ * Display names for the backend's roles (backend/config/roles.js). What a
+ * role can do comes from the user's `permissions`, not from these names.
+ */
+
+export const ROLE_LABELS = {
+  student: 'Student',
+  'event-organizer': 'Event Organizer',
+  'faculty-coordinator': 'Faculty Coordinator',
+  admin: 'Admin',
+  'super-admin': 'Super Admin'
+};
+
+/**
+ * Get the display name of a role
+ * @param {string} role - e.g. 'event-organizer'
+ * @returns {string} e.g. 'Event Organizer'
+ */
+export const getRoleLabel = (role) => ROLE_LABELS[role] || role;
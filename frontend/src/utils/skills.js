@@ -0,0 +1,66 @@
+/**
+ * Skill Catalog Helpers
+ * Users' skills are stored as canonical catalog IDs (e.g. "react", "cpp").
+ * These helpers load the catalog from the backend once and turn IDs back
+ * into display names ("React", "C++"). Custom skills that aren't in the
+ * catalog are shown as typed.
+ */
+
+import { useState, useEffect } from 'react';
+import api from './api';
+
+// Shared by every component, so the catalog is only fetched once per page load
+let catalogRequest = null;
+
+/**
+ * Load the full skill catalog
+ * @returns {Promise<Object>} { skills, categories, levels }
+ */
+export const loadSkillCatalog = () => {
+  if (!catalogRequest) {
+    catalogRequest = api.get('/skills')
+      .then(response => response.data)
+      .catch(error => {
+        // Allow a retry next time
+        catalogRequest = null;
+        throw error;
+      });
+  }
+  return catalogRequest;
+};
+
+/**
+ * Search the catalog by name or alias (for autocomplete)
+ * @param {string} text - What the user has typed
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>} Matching catalog skills
+ */
+export const searchSkills = async (text, limit = 8) => {
+  const response = await api.get('/skills', { params: { q: text, limit } });
+  return response.data.skills;
+};
+
+/**
+ * React hook: the skill catalog, plus a function to name skills by ID
+ * Until the catalog loads, skillName() returns the ID unchanged.
+ * @returns {Object} { skillName, levels, loaded }
+ */
+export const useSkillCatalog = () => {
+  const [catalog, setCatalog] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadSkillCatalog()
+      .then(data => { if (active) setCatalog(data); })
+      .catch(error => console.error('Error loading skill catalog:', error));
+    return () => { active = false; };
+  }, []);
+
+  const names = new Map((catalog?.skills || []).map(skill => [skill.id, skill.name]));
+
+  return {
+    skillName: (skill) => names.get(skill) || skill,
+    levels: catalog?.levels || [],
+    loaded: !!catalog
+  };
+};
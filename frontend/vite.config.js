@@ -10,6 +10,11 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:5000',
         changeOrigin: true,
+      },
+      // Live updates (WebSocket)
+      '/ws': {
+        target: 'ws://localhost:5000',
+        ws: true,
       }
     }
   }